@@ -1,19 +1,339 @@
 #!/usr/bin/env node
 
-import { fileURLToPath, pathToFileURL } from 'url'
 import path from 'path'
 import fs from 'fs'
-import inquirer from 'inquirer'
 import chalk from 'chalk'
-import os from 'os'
-import { execSync } from 'child_process'
+import {
+  CliError,
+  isInteractive,
+  loadConfig,
+  parseArgs,
+  resolveAnswers,
+} from './lib/cli.js'
+import { removeFeature, renameFeature, scaffoldFeature } from './lib/feature.js'
+import { scaffoldComponent } from './lib/component.js'
+import { scaffoldRoute } from './lib/route.js'
+import { generateApi } from './lib/api.js'
+import { checkProject, formatSarif, formatText } from './lib/check.js'
+import {
+  buildGraph,
+  formatDot,
+  formatMermaid,
+  graphFormats,
+} from './lib/graph.js'
+import { syncBarrels } from './lib/barrels.js'
+import { syncAgentFiles } from './lib/agents.js'
+import { gitProblem, isValidRemote } from './lib/git.js'
+import { diagnoseProject } from './lib/doctor.js'
+import { addUiPrimitives } from './lib/ui.js'
+import { addDb } from './lib/db.js'
+import { addAuth } from './lib/auth.js'
+import { syncEnv } from './lib/env.js'
+import { formatPlanTree, runPlan, simulatePlan } from './lib/plan.js'
+import { planProject } from './lib/scaffold.js'
+import { recordInManifest } from './lib/manifest.js'
+import { defaultPresetName, loadPreset, projectPreset } from './lib/preset.js'
+import { loadBrand } from './lib/theme.js'
+import { upgradeProject } from './lib/upgrade.js'
+import {
+  defaultBranches,
+  deployTargets,
+  isValidBranch,
+  workflowSecrets,
+} from './lib/deploy.js'
+import {
+  detectPackageManager,
+  packageManagerNames,
+  packageManagers,
+  projectCommands,
+} from './lib/packageManager.js'
+import { agentsEnd, agentsStart } from './templates/agentFiles.js'
+import { barrelEnd, barrelStart } from './templates/barrelFiles.js'
+import { uiPrimitives } from './templates/uiFiles.js'
+import { featureDependencies, undeclaredPackages } from './lib/project.js'
+
+const usage = `Usage:
+  npx create-lscs-next-app [project-name] [options]
+  npx create-lscs-next-app feature <feature-name>
+  npx create-lscs-next-app feature rename <old-name> <new-name> [--dry-run]
+  npx create-lscs-next-app feature remove <feature-name> [--force] [--dry-run]
+  npx create-lscs-next-app component <Name> --level atom|molecule|organism [--feature <feature-name>]
+  npx create-lscs-next-app route <path> [--feature <feature-name>] [--api]
+  npx create-lscs-next-app api <spec.yaml|json> --feature <feature-name>
+  npx create-lscs-next-app check [project-dir] [--format text|json|sarif]
+  npx create-lscs-next-app graph [project-dir] [--format mermaid|dot|json]
+  npx create-lscs-next-app sync [project-dir]
+  npx create-lscs-next-app ai sync [project-dir]
+  npx create-lscs-next-app doctor [project-dir] [--fix]
+  npx create-lscs-next-app add ui <primitive...> [--no-install]
+  npx create-lscs-next-app add db|auth [--no-install]
+  npx create-lscs-next-app env [project-dir] [--check]
+  npx create-lscs-next-app upgrade [project-dir] [--dry-run]
+
+Options:
+  -y, --yes              Skip prompts and use defaults for anything not given
+  --workflows            Add GitHub workflows (default)
+  --no-workflows         Skip GitHub workflows
+  --compose              Add compose.yml next to the Dockerfile (default: off)
+  --git                  Init a git repository with hooks and an initial commit (default)
+  --no-git               Skip git
+  --remote <url>         Add <url> as the origin remote
+  --deploy <target>      coolify, digitalocean, ssh or none (default: none)
+  --dev-branch <name>    Branch deployed to dev (default: ${defaultBranches.dev})
+  --staging-branch <name>
+                         Branch deployed to staging (default: ${defaultBranches.staging})
+  --prod-branch <name>   Branch deployed to prod (default: ${defaultBranches.prod})
+  --overwrite            Replace the project folder if it already exists
+  --shadcn               Set up shadcn/ui with atom wrappers (default: off)
+  --db                   Add Drizzle ORM with SQLite (default: off)
+  --auth                 Add BetterAuth, implies --db (default: off)
+  --pm <manager>         npm, pnpm, yarn or bun (default: the one running the CLI)
+  --preset <name|path>   Bundled preset, preset folder or npm package (default: ${defaultPresetName})
+  --brand <tokens.json>  Brand colors, fonts and radius for src/styles/theme.css (default: LSCS)
+  --template-dir <path>  Build the Next.js base from a folder or .tgz instead of the bundled one
+  --latest               Use npx create-next-app@latest instead of the bundled, pinned base
+  --dry-run              Print the files and commands without creating anything
+  --format tree|json     Output format for --dry-run (default: tree)
+  --config <file>        Load answers from a JSON file (e.g. lscs.config.json)
+  -h, --help             Show this help`
+
+// Answers needed to create a project. Each one can come from a flag, the
+// --config file or a prompt; see resolveAnswers in lib/cli.js.
+const projectQuestions = [
+  {
+    type: 'input',
+    name: 'projectName',
+    message: '📦 Enter your project name:',
+    hint: 'the <project-name> argument',
+    validate: (input) => {
+      const name = String(input).trim()
+      if (name === '') return 'Project name cannot be empty'
+      // The folder name becomes the package.json name.
+      return (
+        /^[a-z0-9][a-z0-9._~-]*$/.test(path.basename(name)) ||
+        'Project folder name must be a valid npm package name (lowercase letters, digits, "-", "_", ".", "~")'
+      )
+    },
+    filter: (input) => String(input).trim(),
+  },
+  {
+    type: 'confirm',
+    name: 'overwrite',
+    message: (answers) =>
+      `Folder "${answers.projectName}" already exists. Do you want to overwrite it?`,
+    hint: '--overwrite or --no-overwrite',
+    default: false,
+    required: true,
+    when: (answers) =>
+      fs.existsSync(path.resolve(process.cwd(), answers.projectName)),
+  },
+  {
+    type: 'list',
+    name: 'packageManager',
+    message: '📦 Which package manager should the project use?',
+    choices: packageManagerNames,
+    default: detectPackageManager(),
+  },
+  {
+    type: 'confirm',
+    name: 'shadcn',
+    message: '🧩 Set up shadcn/ui (Button, Input, Label, Card atoms)?',
+    default: false,
+  },
+  {
+    type: 'confirm',
+    name: 'db',
+    message: '🗄️ Add a database (Drizzle ORM + SQLite)?',
+    default: false,
+  },
+  {
+    type: 'confirm',
+    name: 'auth',
+    message: '🔐 Add authentication (BetterAuth, uses the database)?',
+    default: false,
+  },
+  {
+    type: 'confirm',
+    name: 'workflows',
+    message: '⚙️ Add GitHub workflows (CI/CD)?',
+    default: true,
+  },
+  {
+    type: 'confirm',
+    name: 'compose',
+    message: '🐳 Add a compose.yml to run the container locally?',
+    default: false,
+    when: (answers) => answers.workflows,
+  },
+  {
+    type: 'list',
+    name: 'deployTarget',
+    message: '🚢 Where should the deployment workflow deploy to?',
+    hint: '--deploy',
+    choices: Object.entries(deployTargets).map(([value, name]) => ({
+      name,
+      value,
+    })),
+    default: 'none',
+    when: (answers) => answers.workflows,
+  },
+  ...['dev', 'staging', 'prod'].map((environment) => ({
+    type: 'input',
+    name: `${environment}Branch`,
+    message: `🌿 Which branch deploys to ${environment}?`,
+    hint: `--${environment}-branch`,
+    default: defaultBranches[environment],
+    when: (answers) => answers.workflows && answers.deployTarget !== 'none',
+    validate: (input, answers) => {
+      const name = String(input).trim()
+      if (!isValidBranch(name)) {
+        return 'Use letters, digits, ".", "_", "-" and "/" (not at the start)'
+      }
+      const taken = ['dev', 'staging']
+        .filter((other) => answers[`${other}Branch`] === name)
+        .find((other) => other !== environment)
+      return taken ? `"${name}" already deploys to ${taken}` : true
+    },
+    filter: (input) => String(input).trim(),
+  })),
+  {
+    type: 'confirm',
+    name: 'git',
+    message:
+      '🌱 Initialize a git repository with contribution hooks and an initial commit?',
+    hint: '--git or --no-git',
+    default: true,
+  },
+  {
+    type: 'input',
+    name: 'remote',
+    message: '🔗 Git remote URL for origin (leave empty to skip):',
+    hint: '--remote',
+    default: '',
+    when: (answers) => answers.git,
+    validate: (input) =>
+      String(input).trim() === '' ||
+      isValidRemote(String(input).trim()) ||
+      'Remote URL cannot contain spaces, quotes or shell characters',
+    filter: (input) => String(input).trim(),
+  },
+]
+
+// Generated feature code imports these; point them out if the project lacks them.
+function warnMissingDependencies(projectPath, packages) {
+  if (!fs.existsSync(path.join(projectPath, 'package.json'))) return
+
+  const missing = undeclaredPackages(projectPath, packages)
+  if (missing.length > 0) {
+    console.log(
+      chalk.yellow(
+        `⚠️ Missing dependencies used by the generated code: ${missing.join(', ')}\n   Install them with: ${projectCommands(projectPath).add(missing.join(' '))}`,
+      ),
+    )
+  }
+}
+
+// Secrets read by the project's generated workflows.
+function repositorySecrets(projectPath) {
+  const workflowsDir = path.join(projectPath, '.github', 'workflows')
+  if (!fs.existsSync(workflowsDir)) return []
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
+  const names = fs
+    .readdirSync(workflowsDir)
+    .filter((file) => /\.ya?ml$/.test(file))
+    .flatMap((file) =>
+      workflowSecrets(fs.readFileSync(path.join(workflowsDir, file), 'utf8')),
+    )
+  return [...new Set(names)].sort()
+}
 
 async function main() {
-  const [command, arg] = process.argv.slice(2)
-  const templatesDir = path.join(__dirname, 'templates')
+  const argv = process.argv.slice(2)
+  const [command, arg] = argv
+
+  // `--help` (or `-h`) works after any command and prints the usage above.
+  const options = argv.includes('--') ? argv.slice(0, argv.indexOf('--')) : argv
+  if (options.includes('--help') || options.includes('-h')) {
+    console.log(usage)
+    process.exit(0)
+  }
+
+  // ───── FEATURE RENAME / REMOVE MODE ─────
+  if (command === 'feature' && arg === 'rename') {
+    const args = parseArgs(process.argv.slice(4), { boolean: ['dry-run'] })
+    if (args._.length !== 2) {
+      throw new CliError(
+        'Old and new feature names are required.\nUsage: npx create-lscs-next-app feature rename <old-name> <new-name> [--dry-run]',
+      )
+    }
+
+    const { from, to, moved, updated, strings } = renameFeature(
+      process.cwd(),
+      args._[0],
+      args._[1],
+      { write: !args.dryRun },
+    )
+    const verb = (done, planned) => (args.dryRun ? planned : done)
+    moved.forEach(([oldFile, newFile]) =>
+      console.log(
+        chalk.blue(
+          `🚚 ${verb('Moved', 'Would move')}: ${oldFile}${newFile === oldFile ? '' : ` → ${newFile}`}`,
+        ),
+      ),
+    )
+    updated.forEach((file) =>
+      console.log(chalk.blue(`🔄 ${verb('Updated', 'Would update')}: ${file}`)),
+    )
+    // Query keys, endpoints and messages: worth a look before committing.
+    strings.forEach(({ file, from: oldString, to: newString }) =>
+      console.log(
+        chalk.blue(
+          `🔤 ${verb('Renamed', 'Would rename')} ${oldString} → ${newString} in ${file}`,
+        ),
+      ),
+    )
+    console.log(
+      chalk.green(
+        args.dryRun
+          ? `✅ Dry run: nothing was written. Run again without --dry-run to rename "${from}" to "${to}".`
+          : `✅ Feature "${from}" renamed to "${to}"!`,
+      ),
+    )
+    process.exit(0)
+  }
+
+  if (command === 'feature' && arg === 'remove') {
+    const args = parseArgs(process.argv.slice(4), {
+      boolean: ['force', 'dry-run'],
+    })
+    if (args._.length !== 1) {
+      throw new CliError(
+        'Feature name is required.\nUsage: npx create-lscs-next-app feature remove <feature-name> [--force] [--dry-run]',
+      )
+    }
+
+    const { name, removed, importers } = removeFeature(
+      process.cwd(),
+      args._[0],
+      { force: args.force, write: !args.dryRun },
+    )
+    removed.forEach((dir) =>
+      console.log(
+        chalk.blue(`🗑️ ${args.dryRun ? 'Would remove' : 'Removed'}: ${dir}`),
+      ),
+    )
+    importers.forEach((file) =>
+      console.log(chalk.yellow(`⚠️ Still imports "${name}": ${file}`)),
+    )
+    console.log(
+      chalk.green(
+        args.dryRun
+          ? `✅ Dry run: nothing was deleted. Run again without --dry-run to remove "${name}".`
+          : `✅ Feature "${name}" removed!`,
+      ),
+    )
+    process.exit(0)
+  }
 
   // ───── FEATURE CREATION MODE ─────
   if (command === 'feature') {
@@ -26,327 +346,567 @@ async function main() {
       process.exit(1)
     }
 
-    const featureName = arg
-    const projectPath = process.cwd()
-    const featurePath = path.join(projectPath, 'src', 'features', featureName)
-    const featureDirs = [
-      'components',
-      'containers',
-      'hooks',
-      'services',
-      'queries',
-      'types',
-      'data',
-    ]
+    const { preset } = projectPreset(process.cwd())
+    const { names, files } = scaffoldFeature(process.cwd(), arg, preset)
+    files.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    warnMissingDependencies(process.cwd(), featureDependencies)
 
-    featureDirs.forEach((sub) => {
-      const dirPath = path.join(featurePath, sub)
-      fs.mkdirSync(dirPath, { recursive: true })
-
-      // Add atomic structure if it's the components directory
-      if (sub === 'components') {
-        ;['atoms', 'molecules', 'organisms'].forEach((atomic) => {
-          const atomicDir = path.join(dirPath, atomic)
-          fs.mkdirSync(atomicDir, { recursive: true })
-          fs.writeFileSync(path.join(atomicDir, '.gitkeep'), '')
-        })
-      } else {
-        fs.writeFileSync(path.join(dirPath, '.gitkeep'), '')
-      }
+    console.log(
+      chalk.green(
+        `✅ Feature "${names.kebab}" created under src/features/${names.kebab}!`,
+      ),
+    )
+    process.exit(0)
+  }
+
+  // ───── COMPONENT CREATION MODE ─────
+  if (command === 'component') {
+    const args = parseArgs(process.argv.slice(3), {
+      string: ['level', 'feature'],
     })
+    if (args._.length !== 1 || !args.level) {
+      throw new CliError(
+        'Component name and level are required.\nUsage: npx create-lscs-next-app component <Name> --level atom|molecule|organism [--feature <feature-name>]',
+      )
+    }
+
+    const files = scaffoldComponent(process.cwd(), args._[0], args)
+    files.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    console.log(chalk.green(`✅ ${args.level} "${args._[0]}" created!`))
+    process.exit(0)
+  }
+
+  // ───── ROUTE CREATION MODE ─────
+  if (command === 'route') {
+    const args = parseArgs(process.argv.slice(3), {
+      string: ['feature'],
+      boolean: ['api'],
+    })
+    if (args._.length !== 1) {
+      throw new CliError(
+        'Route path is required.\nUsage: npx create-lscs-next-app route <path> [--feature <feature-name>] [--api]',
+      )
+    }
+
+    const { created, updated } = scaffoldRoute(process.cwd(), args._[0], args)
+    created.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    updated.forEach((file) => console.log(chalk.blue(`🔄 Updated: ${file}`)))
+    if (args.api && !args.feature) {
+      console.log(
+        chalk.yellow(
+          '⚠️ No --feature given, so no fetch call was added; call the handler from a feature service, not from a component.',
+        ),
+      )
+    }
+    console.log(chalk.green(`✅ Route "${args._[0]}" created!`))
+    process.exit(0)
+  }
 
-    const { featureReadme } = await import(
-      pathToFileURL(path.join(templatesDir, 'featureReadme.js')).href
+  // ───── API CLIENT MODE ─────
+  if (command === 'api') {
+    const args = parseArgs(process.argv.slice(3), { string: ['feature'] })
+    if (args._.length !== 1 || !args.feature) {
+      throw new CliError(
+        'An OpenAPI document and a feature are required.\nUsage: npx create-lscs-next-app api <spec.yaml|json> --feature <feature-name>',
+      )
+    }
+
+    const { created, updated, unchanged, stale, envKeys } = generateApi(
+      process.cwd(),
+      path.resolve(process.cwd(), args._[0]),
+      args,
+    )
+    created.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    updated.forEach((file) => console.log(chalk.blue(`🔄 Updated: ${file}`)))
+    unchanged.forEach((file) =>
+      console.log(chalk.gray(`⏭️ Unchanged: ${file}`)),
+    )
+    envKeys.forEach((key) =>
+      console.log(chalk.blue(`📝 Added ${key} to src/config/env.ts`)),
+    )
+    stale.forEach((file) =>
+      console.log(
+        chalk.yellow(
+          `⚠️ ${file} has a generated region but no operations in ${path.basename(args._[0])}; delete it if the tag is gone.`,
+        ),
+      ),
     )
+    console.log(chalk.green(`✅ API client for "${args.feature}" generated!`))
+    process.exit(0)
+  }
 
-    fs.writeFileSync(
-      path.join(featurePath, 'README.md'),
-      featureReadme(featureName),
+  // ───── STANDARDS CHECK MODE ─────
+  if (command === 'check') {
+    const args = parseArgs(process.argv.slice(3), { string: ['format'] })
+    const format = args.format ?? 'text'
+    if (!['text', 'json', 'sarif'].includes(format)) {
+      throw new CliError('--format must be one of: text, json, sarif.')
+    }
+
+    const violations = checkProject(
+      path.resolve(process.cwd(), args._[0] ?? '.'),
     )
+    if (format === 'json') {
+      console.log(JSON.stringify(violations, null, 2))
+    } else if (format === 'sarif') {
+      console.log(JSON.stringify(formatSarif(violations), null, 2))
+    } else {
+      console.log(formatText(violations))
+    }
+    process.exit(violations.length > 0 ? 1 : 0)
+  }
 
-    console.log(
-      chalk.green(
-        `✅ Feature "${featureName}" created under src/features/${featureName}!`,
+  // ───── DEPENDENCY GRAPH MODE ─────
+  if (command === 'graph') {
+    const args = parseArgs(process.argv.slice(3), { string: ['format'] })
+    const format = args.format ?? 'mermaid'
+    if (!graphFormats.includes(format)) {
+      throw new CliError(`--format must be one of: ${graphFormats.join(', ')}.`)
+    }
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
+    if (!fs.existsSync(path.join(projectPath, 'src'))) {
+      throw new CliError(`No src folder found in ${projectPath}.`)
+    }
+
+    const graph = buildGraph(projectPath)
+    if (format === 'json') {
+      console.log(JSON.stringify(graph, null, 2))
+    } else {
+      console.log(format === 'dot' ? formatDot(graph) : formatMermaid(graph))
+    }
+
+    // Summary on stderr, so the graph itself can be piped to a file.
+    graph.violations.forEach(({ file, line, specifier, message }) =>
+      console.error(
+        chalk.red(`⛔ ${file}:${line} imports "${specifier}": ${message}`),
+      ),
+    )
+    graph.cycles.forEach((cycle) =>
+      console.error(
+        chalk.yellow(`🔁 Features import each other: ${cycle.join(', ')}`),
       ),
     )
     process.exit(0)
   }
 
-  // ───── NEW PROJECT MODE ─────
-  console.log(chalk.green('🚀 Welcome to Create LSCS Next App'))
+  // ───── BARREL SYNC MODE ─────
+  if (command === 'sync') {
+    const args = parseArgs(process.argv.slice(3))
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
+    if (!fs.existsSync(path.join(projectPath, 'src'))) {
+      throw new CliError(`No src folder found in ${projectPath}.`)
+    }
 
-  const { projectName } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'projectName',
-      message: '📦 Enter your project name:',
-      validate: (input) =>
-        input.trim() !== '' || 'Project name cannot be empty',
-    },
-  ])
+    const { created, updated, unchanged, skipped, duplicates, unexported } =
+      syncBarrels(projectPath)
+    created.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    updated.forEach((file) => console.log(chalk.blue(`🔄 Updated: ${file}`)))
+    unchanged.forEach((file) =>
+      console.log(chalk.gray(`⏭️ Unchanged: ${file}`)),
+    )
+    skipped.forEach((file) =>
+      console.log(
+        chalk.yellow(
+          `⚠️ ${file} has no generated region, so it was left alone; add "${barrelStart}" and "${barrelEnd}" lines where the exports should go.`,
+        ),
+      ),
+    )
+    duplicates.forEach(({ name, file, kept }) =>
+      console.log(
+        chalk.yellow(
+          `⚠️ ${name} in ${file} is not re-exported: ${kept} already exports that name.`,
+        ),
+      ),
+    )
+    unexported.forEach(({ file, line, specifier, feature }) =>
+      console.log(
+        chalk.yellow(
+          `⚠️ ${file}:${line} imports "${specifier}", which is not in the public API of the ${feature} feature; import it from '@/features/${feature}', exporting it there first if it should be public.`,
+        ),
+      ),
+    )
+    console.log(chalk.green('✅ Barrels in sync!'))
+    process.exit(0)
+  }
 
-  const projectPath = path.resolve(process.cwd(), projectName)
+  // ───── DOCTOR MODE ─────
+  if (command === 'doctor') {
+    const args = parseArgs(process.argv.slice(3), { boolean: ['fix'] })
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
 
-  if (fs.existsSync(projectPath)) {
-    const { overwrite } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'overwrite',
-        message: `Folder "${projectName}" already exists. Do you want to overwrite it?`,
-        default: false,
-      },
-    ])
+    let remaining = 0
+    diagnoseProject(projectPath).forEach(({ category, problems }) => {
+      if (problems.length === 0) {
+        console.log(chalk.green(`✅ ${category}`))
+        return
+      }
 
-    if (!overwrite) {
-      console.log(chalk.yellow('❌ Project creation cancelled.'))
-      process.exit(0)
-    }
+      console.log(chalk.yellow(`⚠️ ${category}`))
+      problems.forEach(({ message, fix }) => {
+        if (args.fix && fix) {
+          fix()
+          console.log(chalk.blue(`  🔧 Fixed: ${message}`))
+        } else {
+          remaining++
+          console.log(
+            `  - ${message}${fix ? chalk.gray(' (fixable with --fix)') : ''}`,
+          )
+        }
+      })
+    })
 
-    console.log(chalk.blue(`🗑️ Removing existing folder "${projectName}"...`))
-    fs.rmSync(projectPath, { recursive: true, force: true })
+    if (remaining > 0) {
+      console.log(chalk.yellow(`\n${remaining} problem(s) need attention.`))
+      process.exit(1)
+    }
+    console.log(chalk.green('\n✅ Project matches the LSCS scaffold.'))
+    process.exit(0)
   }
 
-  // Step 2: Create Next.js app
-  console.log(chalk.blue('📦 Creating Next.js app...'))
-  execSync(
-    `npx create-next-app@latest "${projectName}" --ts --eslint --tailwind --app --src-dir --import-alias "@/*"`,
-    { stdio: 'inherit', shell: true },
-  )
+  // ───── AI AGENT FILES MODE ─────
+  if (command === 'ai') {
+    if (arg !== 'sync') {
+      throw new CliError(
+        'Unknown ai command.\nUsage: npx create-lscs-next-app ai sync [project-dir]',
+      )
+    }
+    const args = parseArgs(process.argv.slice(4))
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
+    const { preset, options } = projectPreset(projectPath)
 
-  // Step 2.5: Prettier + ESLint plugins
-  console.log(chalk.blue('🎨 Installing Prettier and ESLint plugins...'))
-  execSync(
-    `npm install -D prettier eslint-config-prettier eslint-plugin-prettier`,
-    { cwd: projectPath, stdio: 'inherit', shell: true },
-  )
+    const { created, updated, unchanged, skipped, versions } = syncAgentFiles(
+      projectPath,
+      { preset, options },
+    )
+    versions.forEach(({ name, from, to }) =>
+      console.log(
+        chalk.blue(
+          `🔁 ${name}: ${from ? `v${from}` : 'unversioned'} → ${to ? `v${to}` : 'unversioned'}`,
+        ),
+      ),
+    )
+    created.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    updated.forEach((file) => console.log(chalk.blue(`🔄 Updated: ${file}`)))
+    unchanged.forEach((file) =>
+      console.log(chalk.gray(`⏭️ Unchanged: ${file}`)),
+    )
+    skipped.forEach((file) =>
+      console.log(
+        chalk.yellow(
+          `⚠️ ${file} has no generated region, so it was left alone; delete it to have it generated again, or add the "${agentsStart} -->" and "${agentsEnd}" lines where the project guide should go.`,
+        ),
+      ),
+    )
+    console.log(chalk.green('✅ AI agent files in sync!'))
+    process.exit(0)
+  }
 
-  fs.writeFileSync(
-    path.join(projectPath, '.prettierrc'),
-    JSON.stringify(
-      {
-        semi: true,
-        singleQuote: true,
-        tabWidth: 2,
-        trailingComma: 'all',
-        printWidth: 80,
-      },
-      null,
-      2,
-    ),
-  )
+  // ───── ENV SYNC MODE ─────
+  if (command === 'env') {
+    const args = parseArgs(process.argv.slice(3), { boolean: ['check'] })
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
+    const report = syncEnv(projectPath, { write: !args.check })
+    if (!report.hasSchema) {
+      throw new CliError(
+        'src/config/env.ts not found. Run `npx create-lscs-next-app doctor --fix` to add it.',
+      )
+    }
 
-  fs.writeFileSync(
-    path.join(projectPath, '.prettierignore'),
-    ['node_modules', 'dist', '.next', 'coverage'].join(os.EOL),
-  )
+    const problems = [
+      ...report.missingFromExample.map(
+        (key) => `${key} is missing from .env.example`,
+      ),
+      ...report.notInSchema.map(
+        ({ key, locations }) =>
+          `${key} is used in ${locations.join(', ')} but not declared in src/config/env.ts`,
+      ),
+      ...report.missingFromLocal.map(
+        (key) => `${key} is required but not set in .env.local`,
+      ),
+      ...report.undeclaredInLocal.map(
+        (key) => `${key} is set in .env.local but never declared or used`,
+      ),
+    ]
 
-  const packageJsonPath = path.join(projectPath, 'package.json')
-  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
-  packageJson.scripts = packageJson.scripts || {}
-  packageJson.scripts.format = 'prettier --write .'
-  fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2))
+    report.addedToExample.forEach((key) =>
+      console.log(chalk.blue(`📝 Added to .env.example: ${key}`)),
+    )
+    if (!report.hasLocal) {
+      console.log(
+        chalk.gray('No .env.local found; copy .env.example to create one.'),
+      )
+    }
+    problems.forEach((problem) => console.log(chalk.yellow(`⚠️ ${problem}`)))
+    if (problems.length > 0) process.exit(1)
 
-  // Copy LSCS templates
-  const copyFile = (src, dest) => {
-    fs.copyFileSync(path.join(templatesDir, src), path.join(projectPath, dest))
-    console.log(chalk.blue(`📄 Overwritten: ${dest}`))
+    console.log(chalk.green('✅ Environment files are in sync.'))
+    process.exit(0)
   }
 
-  copyFile('layout.tsx', path.join('src', 'app', 'layout.tsx'))
-  copyFile('page.tsx', path.join('src', 'app', 'page.tsx'))
-  copyFile('lscs-logo.png', path.join('public', 'lscs-logo.png'))
-
-  // LSCS Feature-Based Architecture
-  console.log(chalk.blue('📂 Setting up LSCS Feature-Based Architecture...'))
-  const srcPath = path.join(projectPath, 'src')
-  const dirs = [
-    'app',
-    'components',
-    'config',
-    'context',
-    'features',
-    'hooks',
-    'lib',
-    'providers',
-    'queries',
-    'services',
-    'store',
-    'styles',
-    'types',
-    path.join('__tests__', 'unit'),
-    path.join('__tests__', 'e2e'),
-  ]
-  dirs.forEach((dir) => {
-    const dirPath = path.join(srcPath, dir)
-    fs.mkdirSync(dirPath, { recursive: true })
-
-    // If it's the global components folder, create atomic subfolders
-    if (dir === 'components') {
-      ;['atoms', 'molecules', 'organisms'].forEach((sub) => {
-        const subDir = path.join(dirPath, sub)
-        fs.mkdirSync(subDir, { recursive: true })
-        fs.writeFileSync(path.join(subDir, '.gitkeep'), '')
-      })
-    } else {
-      fs.writeFileSync(path.join(dirPath, '.gitkeep'), '')
+  // ───── UPGRADE MODE ─────
+  if (command === 'upgrade') {
+    const args = parseArgs(process.argv.slice(3), { boolean: ['dry-run'] })
+    const projectPath = path.resolve(process.cwd(), args._[0] ?? '.')
+    if (!fs.existsSync(path.join(projectPath, 'package.json'))) {
+      throw new CliError(`No package.json found in ${projectPath}.`)
     }
-  })
 
-  // First scaffolded feature
-  const firstFeatureName = 'example-feature'
-  const featureDirs = [
-    'components',
-    'containers',
-    'hooks',
-    'services',
-    'queries',
-    'types',
-    'data',
-  ]
-  const firstFeaturePath = path.join(srcPath, 'features', firstFeatureName)
-  featureDirs.forEach((sub) => {
-    const dirPath = path.join(firstFeaturePath, sub)
-    fs.mkdirSync(dirPath, { recursive: true })
-
-    // Add atomic structure if it's the components directory
-    if (sub === 'components') {
-      ;['atoms', 'molecules', 'organisms'].forEach((atomic) => {
-        const atomicDir = path.join(dirPath, atomic)
-        fs.mkdirSync(atomicDir, { recursive: true })
-        fs.writeFileSync(path.join(atomicDir, '.gitkeep'), '')
-      })
-    } else {
-      fs.writeFileSync(path.join(dirPath, '.gitkeep'), '')
+    const report = upgradeProject(projectPath, { write: !args.dryRun })
+    console.log(
+      chalk.green(
+        `⬆️ Upgrading from ${report.fromVersion ?? 'an unknown version'} to ${report.toVersion}${args.dryRun ? ' (dry run)' : ''}`,
+      ),
+    )
+    if (!report.hadManifest) {
+      console.log(
+        chalk.yellow(
+          '⚠️ No .lscs/manifest.json found, so edited and untouched files cannot be told apart; every file that differs from the current template is treated as edited.',
+        ),
+      )
     }
-  })
 
-  const { featureReadme } = await import(
-    pathToFileURL(path.join(templatesDir, 'featureReadme.js')).href
-  )
+    const sections = [
+      ['🔄 Updated', report.updated, chalk.blue],
+      ['📄 Added', report.added, chalk.blue],
+      ['📂 Added directory', report.dirs, chalk.blue],
+      ['📜 Added script', report.scripts, chalk.blue],
+      [
+        '⚔️ Conflict (resolve the <<<<<<< markers)',
+        report.conflicts,
+        chalk.red,
+      ],
+      ['⚔️ Conflict (binary, kept yours)', report.binary, chalk.red],
+      ['✋ Kept (edited, template unchanged)', report.kept, chalk.gray],
+      ['🗑️ Deleted locally, not restored', report.deleted, chalk.gray],
+    ]
+    sections.forEach(([title, items, color]) =>
+      items.forEach((item) => console.log(color(`${title}: ${item}`))),
+    )
 
-  fs.writeFileSync(
-    path.join(firstFeaturePath, 'README.md'),
-    featureReadme(firstFeatureName),
-  )
+    const changes = sections
+      .slice(0, 5)
+      .reduce((count, [, items]) => count + items.length, 0)
+    if (report.conflicts.length > 0 && !args.dryRun) {
+      console.log(
+        chalk.yellow(
+          `⚠️ ${report.conflicts.length} file(s) have conflict markers; resolve them before building.`,
+        ),
+      )
+    }
+    console.log(
+      changes === 0
+        ? chalk.green('✅ Project already matches the current templates.')
+        : chalk.green(
+            `✅ ${changes} change(s)${args.dryRun ? ' would be made' : ''}; review them with git diff before committing.`,
+          ),
+    )
+    process.exit(0)
+  }
 
-  const { readmeTemplate } = await import(
-    pathToFileURL(path.join(templatesDir, 'readmeTemplate.js')).href
-  )
+  // ───── ADD MODULE MODE ─────
+  if (command === 'add') {
+    const args = parseArgs(process.argv.slice(3), { boolean: ['install'] })
+    const [target, ...names] = args._
+    const options = { install: args.install !== false }
+    const addUsage =
+      'Usage: npx create-lscs-next-app add ui <primitive...> | add db | add auth'
+
+    let result
+    if (target === 'ui') {
+      if (names.length === 0) {
+        throw new CliError(
+          `At least one primitive is required.\n${addUsage}\nAvailable: ${Object.keys(uiPrimitives).join(', ')}`,
+        )
+      }
+      result = addUiPrimitives(process.cwd(), names, options)
+    } else if (target === 'db' || target === 'auth') {
+      if (names.length > 0) {
+        throw new CliError(`Unexpected arguments: ${names.join(' ')}`)
+      }
+      const addModule = target === 'db' ? addDb : addAuth
+      result = addModule(process.cwd(), options)
+    } else {
+      throw new CliError(`Unknown module "${target ?? ''}".\n${addUsage}`)
+    }
 
-  fs.writeFileSync(
-    path.join(projectPath, 'README.md'),
-    readmeTemplate(projectName),
-  )
+    const {
+      created,
+      updated = [],
+      skipped,
+      scripts = [],
+      missing = [],
+    } = result
+    recordInManifest(process.cwd(), {
+      // `add ui` picks its own primitives, so only its files are recorded.
+      options: target === 'ui' ? {} : { [target]: true },
+      files: created,
+    })
+    created.forEach((file) => console.log(chalk.blue(`📄 Created: ${file}`)))
+    updated.forEach((file) => console.log(chalk.blue(`🔄 Updated: ${file}`)))
+    skipped.forEach((file) =>
+      console.log(chalk.yellow(`⏭️ Skipped (already exists): ${file}`)),
+    )
+    scripts.forEach((name) =>
+      console.log(chalk.blue(`📜 Added script: ${name}`)),
+    )
+    if (missing.length > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️ Install the missing dependencies with: ${projectCommands(process.cwd()).add(missing.join(' '))}`,
+        ),
+      )
+    }
+    console.log(chalk.green(`✅ Added ${[target, ...names].join(' ')}`))
+    process.exit(0)
+  }
 
-  // AI Skills (OpenCode, Claude Code, any agent)
-  console.log(chalk.blue('🤖 Adding AI skills...'))
+  // ───── NEW PROJECT MODE ─────
+  const args = parseArgs(process.argv.slice(2), {
+    boolean: [
+      'yes',
+      'workflows',
+      'overwrite',
+      'shadcn',
+      'db',
+      'auth',
+      'compose',
+      'git',
+      'latest',
+      'dry-run',
+    ],
+    string: [
+      'config',
+      'pm',
+      'preset',
+      'brand',
+      'template-dir',
+      'format',
+      'deploy',
+      'dev-branch',
+      'staging-branch',
+      'prod-branch',
+      'remote',
+    ],
+    alias: { y: 'yes' },
+  })
 
-  const skillName = 'lscs-frontend-engineer-guide'
-  const skillSrc = path.join(templatesDir, 'skills', skillName)
+  if (args._.length > 1) {
+    throw new CliError(`Unexpected arguments: ${args._.slice(1).join(' ')}`)
+  }
 
-  // .opencode/skills/ — for OpenCode users
-  const opencodeSkillDest = path.join(
-    projectPath,
-    '.opencode',
-    'skills',
-    skillName,
-  )
-  fs.mkdirSync(opencodeSkillDest, { recursive: true })
-  fs.copyFileSync(
-    path.join(skillSrc, 'SKILL.md'),
-    path.join(opencodeSkillDest, 'SKILL.md'),
-  )
+  const config = args.config ? loadConfig(args.config) : {}
+  const templateDir = args.templateDir ?? config.templateDir
+  const latest = args.latest ?? config.latest ?? false
+  if (latest && templateDir) {
+    throw new CliError('Use either --latest or --template-dir, not both.')
+  }
 
-  // .claude/skills/ — for Claude Code users
-  const claudeSkillDest = path.join(projectPath, '.claude', 'skills', skillName)
-  fs.mkdirSync(claudeSkillDest, { recursive: true })
-  fs.copyFileSync(
-    path.join(skillSrc, 'SKILL.md'),
-    path.join(claudeSkillDest, 'SKILL.md'),
-  )
+  const format = args.format ?? 'tree'
+  if (!['tree', 'json'].includes(format)) {
+    throw new CliError('--format must be one of: tree, json.')
+  }
+  if (args.format && !args.dryRun) {
+    throw new CliError('--format only applies to --dry-run.')
+  }
 
-  // AGENTS.md — universal fallback (Cursor, Codex, etc.)
-  fs.copyFileSync(
-    path.join(templatesDir, 'AGENTS.md'),
-    path.join(projectPath, 'AGENTS.md'),
-  )
+  const preset = loadPreset(args.preset ?? config.preset ?? defaultPresetName)
+  const brandFile = args.brand ?? config.brand
+  const brand = brandFile ? loadBrand(brandFile) : undefined
 
-  console.log(chalk.green('✅ AI skills added!'))
+  if (format !== 'json') {
+    console.log(chalk.green('🚀 Welcome to Create LSCS Next App'))
+  }
 
-  // Testing libraries
-  console.log(
-    chalk.blue('🧪 Installing testing libraries (Vitest + Cypress)...'),
-  )
-  execSync(
-    `npm install -D vitest @testing-library/react @testing-library/jest-dom cypress`,
-    { cwd: projectPath, stdio: 'inherit', shell: true },
+  // Preset prompts are answered from the --config file or interactively.
+  const presetQuestions = preset.prompts.map((prompt) => ({
+    ...prompt,
+    hint: `"${prompt.name}" in the --config file`,
+  }))
+  const answers = await resolveAnswers(
+    [...projectQuestions, ...presetQuestions],
+    {
+      flags: {
+        projectName: args._[0],
+        overwrite: args.overwrite,
+        packageManager: args.pm,
+        shadcn: args.shadcn,
+        db: args.db,
+        auth: args.auth,
+        workflows: args.workflows,
+        compose: args.compose,
+        deployTarget: args.deploy,
+        devBranch: args.devBranch,
+        stagingBranch: args.stagingBranch,
+        prodBranch: args.prodBranch,
+        git: args.git,
+        remote: args.remote,
+      },
+      config,
+      interactive: isInteractive(args),
+    },
   )
 
-  fs.writeFileSync(
-    path.join(projectPath, 'vitest.config.ts'),
-    `import { defineConfig } from "vitest/config";
-export default defineConfig({
-  test: { globals: true, environment: "jsdom", setupFiles: "./src/tests/setup.ts" },
-});`,
-  )
+  const { projectName, overwrite, packageManager, git, remote } = answers
+  const projectPath = path.resolve(process.cwd(), projectName)
+  if ((args.remote ?? config.remote) && !git) {
+    throw new CliError('--remote needs a git repository; drop --no-git.')
+  }
 
-  fs.writeFileSync(
-    path.join(projectPath, 'cypress.config.ts'),
-    `import { defineConfig } from "cypress";
-export default defineConfig({
-  e2e: { baseUrl: "http://localhost:3000", supportFile: "cypress/support/e2e.ts" },
-});`,
-  )
+  if (fs.existsSync(projectPath) && !overwrite) {
+    console.log(chalk.yellow('❌ Project creation cancelled.'))
+    process.exit(0)
+  }
 
-  const testDir = path.join(projectPath, 'src', 'tests')
-  fs.mkdirSync(testDir, { recursive: true })
-  fs.writeFileSync(
-    path.join(testDir, 'setup.ts'),
-    `import "@testing-library/jest-dom";`,
-  )
+  const plan = planProject({ ...answers, preset, brand, templateDir, latest })
 
-  // GitHub workflows
-  const { addGithubWorkflow } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'addGithubWorkflow',
-      message: '⚙️ Add GitHub workflows (CI/CD)?',
-      default: true,
-    },
-  ])
-  if (addGithubWorkflow) {
-    console.log(chalk.blue('🔧 Adding GitHub workflows...'))
-    const githubSrc = path.join(templatesDir, '.github')
-    const githubDest = path.join(projectPath, '.github')
-    const copyRecursive = (src, dest) => {
-      if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true })
-      fs.readdirSync(src).forEach((file) => {
-        const srcPath = path.join(src, file)
-        const destPath = path.join(dest, file)
-        if (fs.lstatSync(srcPath).isDirectory())
-          copyRecursive(srcPath, destPath)
-        else fs.copyFileSync(srcPath, destPath)
-      })
-    }
-    copyRecursive(githubSrc, githubDest)
-    console.log(chalk.green('✅ GitHub workflows added!'))
+  if (args.dryRun) {
+    const result = simulatePlan(plan, projectPath)
+    console.log(
+      format === 'json'
+        ? JSON.stringify(result, null, 2)
+        : formatPlanTree(result),
+    )
+    process.exit(0)
+  }
+
+  // Checked up front, as a failed commit would discard the whole project.
+  const gitError = git && gitProblem()
+  if (gitError) {
+    throw new CliError(
+      `${gitError}\n   Or create the project without git: --no-git.`,
+    )
   }
 
+  // Builds in a staging folder; an existing folder is only replaced once
+  // every step succeeded.
+  runPlan(plan, projectPath)
+  const pm = packageManagers[packageManager]
+
   console.log(
     chalk.green(`✅ Project "${projectName}" created with LSCS standards!`),
   )
+  const secrets = repositorySecrets(projectPath)
+  if (secrets.length > 0) {
+    console.log(
+      chalk.yellow(
+        `🔐 Add these repository secrets for the workflows (Settings → Secrets and variables → Actions):\n${secrets.map((name) => `  ${name}`).join('\n')}`,
+      ),
+    )
+  }
   console.log(
     chalk.yellow(`👉 Next steps:
-  cd ${projectName}
-  Set git origin URL via git remote add origin <url>
-  npm install
-  npm run dev
-  npm run format  # format all files with Prettier
+  cd ${projectName}${git ? `\n  ${remote ? '' : 'git remote add origin <url> && '}git push -u origin --all` : ''}
+  ${pm.install}
+  ${pm.run('dev')}${preset.scripts.format ? `\n  ${pm.run('format')}  # format all files with Prettier` : ''}
   `),
   )
 }
 
 main().catch((err) => {
+  if (err instanceof CliError) {
+    console.error(chalk.red(`❌ ${err.message}`))
+    process.exit(1)
+  }
   console.error(chalk.red('❌ Error:'), err)
   process.exit(1)
 })
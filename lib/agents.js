@@ -0,0 +1,185 @@
+// ────────────────────────────────
+// AI agent files
+// ────────────────────────────────
+// Renders AGENTS.md, CLAUDE.md, the Cursor rules and the skills of the
+// project's preset (see templates/agentFiles.js) from the project itself:
+// its name, the answers it was created with and the features under
+// src/features. New-project mode writes them; `ai sync` re-renders them
+// after features are added or the bundled FSM guide changes.
+//
+// AGENTS.md and CLAUDE.md only have their generated region replaced; the
+// skill copies and Cursor rules are rewritten whole.
+
+import path from 'path'
+import fs from 'fs'
+import YAML from 'yaml'
+import { CliError } from './cli.js'
+import { deployTargets } from './deploy.js'
+import { packageManagers, projectPackageManager } from './packageManager.js'
+import { readPackageJson, replaceRegion } from './project.js'
+import {
+  agentsEnd,
+  agentsFile,
+  agentsStart,
+  claudeFile,
+  cursorRule,
+  cursorRulePath,
+  projectGuide,
+  skillDirs,
+  skillFile,
+  skillPath,
+} from '../templates/agentFiles.js'
+
+/**
+ * `{ name, description, version, frontmatter, body }` of a SKILL.md; the
+ * version is its `metadata.version`, e.g. the FSM version of the guide.
+ */
+export function readSkill(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8')
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/)
+  if (!match) throw new CliError(`${filePath} has no frontmatter.`)
+
+  let data
+  try {
+    data = YAML.parse(match[1]) ?? {}
+  } catch (err) {
+    throw new CliError(`${filePath} has invalid frontmatter: ${err.message}`)
+  }
+  return {
+    name: data.name ?? path.basename(path.dirname(filePath)),
+    description: String(data.description ?? '').trim(),
+    version:
+      data.metadata?.version === undefined
+        ? null
+        : String(data.metadata.version),
+    frontmatter: match[1],
+    body: match[2],
+  }
+}
+
+function stackLines(projectPath, options) {
+  const pm = options.packageManager ?? projectPackageManager(projectPath)
+  const deployTarget = options.deployTarget ?? 'none'
+  return [
+    `Next.js (App Router), TypeScript and Tailwind CSS${options.shadcn ? ', with shadcn/ui primitives in `src/components/ui`' : ''}`,
+    'TanStack Query for server state, Zustand for client state, Zod for validation',
+    ...(options.db || options.auth
+      ? ['Drizzle ORM with SQLite (`src/db`, `src/lib/db.ts`)']
+      : []),
+    ...(options.auth ? ['BetterAuth (`src/lib/auth.ts`)'] : []),
+    'Vitest (`src/__tests__/unit`) and Cypress (`src/__tests__/e2e`)',
+    `${pm}: run scripts with \`${packageManagers[pm].run('<script>')}\``,
+    ...(options.workflows
+      ? [
+          `GitHub Actions in \`.github/workflows\`${deployTarget === 'none' ? '' : `, deploying to ${deployTargets[deployTarget] ?? deployTarget}`}`,
+        ]
+      : []),
+    ...(options.compose ? ['Docker with `compose.yml`'] : []),
+  ]
+}
+
+const listFeatures = (projectPath) => {
+  const featuresDir = path.join(projectPath, 'src', 'features')
+  return fs.existsSync(featuresDir)
+    ? fs
+        .readdirSync(featuresDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+    : []
+}
+
+/**
+ * Every agent file of the project as `{ relativePath: contents }`, with
+ * AGENTS.md and CLAUDE.md as they would be written to a new project.
+ */
+export function renderAgentFiles(projectPath, { preset, options }) {
+  const skills = preset.skills.map(readSkill)
+  const context = {
+    projectName:
+      readPackageJson(projectPath).name ??
+      (options.projectName
+        ? path.basename(options.projectName)
+        : path.basename(projectPath)),
+    preset,
+    stack: stackLines(projectPath, options),
+    features: listFeatures(projectPath),
+    skills,
+  }
+  const guide = projectGuide(context)
+  // The skills don't need to point at themselves.
+  const skillGuide = projectGuide({ ...context, skills: [] })
+
+  return {
+    'AGENTS.md': agentsFile(guide),
+    'CLAUDE.md': claudeFile(guide),
+    ...Object.fromEntries(
+      skills.flatMap((skill) => [
+        ...skillDirs.map((dir) => [
+          skillPath(dir, skill.name),
+          skillFile(skill, skillGuide),
+        ]),
+        [cursorRulePath(skill.name), cursorRule(skill, skillGuide)],
+      ]),
+    ),
+  }
+}
+
+// Files whose hand-written notes outside the region are kept.
+export const agentRegionFiles = ['AGENTS.md', 'CLAUDE.md']
+
+const guideRegion = (contents) =>
+  contents.slice(
+    contents.indexOf(agentsStart),
+    contents.indexOf(agentsEnd) + agentsEnd.length,
+  )
+
+/**
+ * Writes the project's agent files, unless `write` is false. Returns
+ * `{ created, updated, unchanged, skipped, versions }`; `skipped` lists
+ * AGENTS.md or CLAUDE.md files without a generated region, and `versions`
+ * the skills whose version differs from the installed copy, as
+ * `{ name, from, to }`.
+ */
+export function syncAgentFiles(projectPath, { preset, options, write = true }) {
+  const report = {
+    created: [],
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    versions: [],
+  }
+
+  preset.skills.map(readSkill).forEach(({ name, version }) => {
+    const installed = path.join(projectPath, skillPath(skillDirs[0], name))
+    if (!fs.existsSync(installed)) return
+    const from = readSkill(installed).version
+    if (from !== version) report.versions.push({ name, from, to: version })
+  })
+
+  Object.entries(renderAgentFiles(projectPath, { preset, options })).forEach(
+    ([relativePath, rendered]) => {
+      const filePath = path.join(projectPath, relativePath)
+      let contents = rendered
+      let status = 'created'
+      if (fs.existsSync(filePath)) {
+        const source = fs.readFileSync(filePath, 'utf8')
+        if (agentRegionFiles.includes(relativePath)) {
+          contents = replaceRegion(source, guideRegion(rendered), {
+            start: agentsStart,
+            end: agentsEnd,
+          })
+        }
+        if (contents === null) status = 'skipped'
+        else status = contents === source ? 'unchanged' : 'updated'
+      }
+
+      report[status].push(relativePath)
+      if (write && (status === 'created' || status === 'updated')) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        fs.writeFileSync(filePath, contents)
+      }
+    },
+  )
+  return report
+}
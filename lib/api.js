@@ -0,0 +1,174 @@
+// ────────────────────────────────
+// OpenAPI client generation
+// ────────────────────────────────
+// `api <spec> --feature <name>`: writes the types, services, query keys and
+// hooks for a local OpenAPI document into a feature (see
+// templates/apiFiles.js). Generated code lives between the
+// `// lscs:openapi:start` and `// lscs:openapi:end` lines; running the
+// command again only replaces that region, so code added around it stays.
+
+import path from 'path'
+import fs from 'fs'
+import { CliError } from './cli.js'
+import { addEnvSchemaKeys, envSchemaPath } from './env.js'
+import { listSourceFiles } from './imports.js'
+import { featureNames, toCamelCase } from './naming.js'
+import {
+  loadSpec,
+  readOperations,
+  schemaDeclarations,
+  serverUrl,
+} from './openapi.js'
+import { addEnvVars, replaceRegion } from './project.js'
+import { syncFeatureBarrel } from './barrels.js'
+import {
+  apiHooks,
+  apiQueries,
+  apiService,
+  apiTypes,
+  regionEnd,
+  regionHeader,
+  regionStart,
+} from '../templates/apiFiles.js'
+
+const isRegionStart = (line) => line.startsWith(regionStart)
+
+// Feature files that hold a generated region, relative to the project.
+function filesWithRegion(projectPath, featureDir) {
+  return listSourceFiles(projectPath, featureDir.split(path.sep).join('/'))
+    .filter((file) => /\.tsx?$/.test(file))
+    .map((file) => path.join(file))
+    .filter((file) =>
+      fs
+        .readFileSync(path.join(projectPath, file), 'utf8')
+        .split('\n')
+        .some(isRegionStart),
+    )
+}
+
+/**
+ * Generates (or regenerates) the client for `specPath` in `feature`. Files
+ * are `types/<feature>-api.types.ts` plus, per tag,
+ * `services/<tag>-api.service.ts`, `queries/<tag>-api.queries.ts` and
+ * `hooks/use-<tag>-api.ts`; operations without a tag use the feature name.
+ * Returns `{ created, updated, unchanged, stale, envKeys }`; `stale` lists
+ * generated files whose tag is no longer in the document.
+ */
+export function generateApi(projectPath, specPath, { feature }) {
+  const names = featureNames(feature)
+  const featureDir = path.join('src', 'features', names.kebab)
+  if (!fs.existsSync(path.join(projectPath, featureDir))) {
+    throw new CliError(
+      `Feature "${feature}" does not exist. Create it first with: npx create-lscs-next-app feature ${feature}`,
+    )
+  }
+  if (!fs.existsSync(path.join(projectPath, envSchemaPath))) {
+    throw new CliError(
+      `${envSchemaPath.split(path.sep).join('/')} not found; the generated client reads its base URL from it. Run \`npx create-lscs-next-app doctor --fix\` to add it.`,
+    )
+  }
+
+  const spec = loadSpec(specPath)
+  const operations = readOperations(spec, names.kebab)
+  const declarations = schemaDeclarations(spec)
+  const specName = path.basename(specPath)
+  const envKey = `NEXT_PUBLIC_${names.constant}_API_URL`
+
+  const typesFile = path.join(
+    featureDir,
+    'types',
+    `${names.kebab}-api.types.ts`,
+  )
+  const files = {
+    [typesFile]: apiTypes({ declarations, operations }),
+  }
+  const tags = [...new Set(operations.map(({ tag }) => tag))]
+  tags.forEach((tag) => {
+    const tagOperations = operations.filter(
+      (operation) => operation.tag === tag,
+    )
+    const imports = {
+      typesImport: `../types/${names.kebab}-api.types`,
+      serviceImport: `../services/${tag}-api.service`,
+      queriesImport: `../queries/${tag}-api.queries`,
+    }
+    const keysName = `${toCamelCase(tag)}ApiKeys`
+    files[path.join(featureDir, 'services', `${tag}-api.service.ts`)] =
+      apiService({
+        operations: tagOperations,
+        envKey,
+        ...imports,
+      })
+    files[path.join(featureDir, 'queries', `${tag}-api.queries.ts`)] =
+      apiQueries({
+        tag,
+        keysName,
+        operations: tagOperations,
+        ...imports,
+      })
+    files[path.join(featureDir, 'hooks', `use-${tag}-api.ts`)] = apiHooks({
+      keysName,
+      operations: tagOperations,
+      ...imports,
+    })
+  })
+
+  // Work out every file's new contents before writing any of them.
+  const results = Object.entries(files).map(([relativePath, body]) => {
+    const filePath = path.join(projectPath, relativePath)
+    const region = `${regionHeader(specName)}\n${body}\n${regionEnd}`
+    if (!fs.existsSync(filePath)) {
+      return {
+        relativePath,
+        filePath,
+        status: 'created',
+        contents: `${region}\n`,
+      }
+    }
+    const source = fs.readFileSync(filePath, 'utf8')
+    const contents = replaceRegion(source, region, {
+      start: regionStart,
+      end: regionEnd,
+    })
+    if (contents === null) {
+      throw new CliError(
+        `${relativePath} exists but has no generated region; rename it or add "${regionStart}" and "${regionEnd}" lines where the generated code should go.`,
+      )
+    }
+    return {
+      relativePath,
+      filePath,
+      status: contents === source ? 'unchanged' : 'updated',
+      contents,
+    }
+  })
+
+  const report = { created: [], updated: [], unchanged: [] }
+  results.forEach(({ relativePath, filePath, status, contents }) => {
+    if (status !== 'unchanged') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, contents)
+    }
+    report[status].push(relativePath)
+  })
+  // New hooks and types belong in the feature's public API.
+  const barrel = syncFeatureBarrel(projectPath, names.kebab)
+  if (barrel.status === 'created' || barrel.status === 'updated') {
+    report[barrel.status].push(barrel.file)
+  }
+
+  const url = serverUrl(spec)
+  const envKeys = addEnvSchemaKeys(projectPath, {
+    [envKey]: `z.string().default('${url.replace(/'/g, "\\'")}')`,
+  })
+  addEnvVars(projectPath, '.env.example', { [envKey]: url })
+  addEnvVars(projectPath, '.env.local', { [envKey]: url })
+
+  return {
+    ...report,
+    stale: filesWithRegion(projectPath, featureDir).filter(
+      (file) => !(file in files),
+    ),
+    envKeys,
+  }
+}
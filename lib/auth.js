@@ -0,0 +1,126 @@
+// ────────────────────────────────
+// Auth module (BetterAuth)
+// ────────────────────────────────
+// `add auth`: server/client setup, route handler, AuthProvider and a
+// protected page. BetterAuth stores users through Drizzle, so the db module
+// is added first when it is missing.
+
+import path from 'path'
+import fs from 'fs'
+import crypto from 'crypto'
+import chalk from 'chalk'
+import { addDb, hasDb } from './db.js'
+import { addEnvSchemaKeys } from './env.js'
+import { projectCommands } from './packageManager.js'
+import {
+  addEnvVars,
+  addScripts,
+  installPackages,
+  undeclaredPackages,
+  writeFiles,
+} from './project.js'
+import {
+  authDependencies,
+  authEnv,
+  authEnvSchema,
+  authFiles,
+  authScripts,
+} from '../templates/authFiles.js'
+
+const schemaIndexPath = path.join('src', 'db', 'schema', 'index.ts')
+const layoutPath = path.join('src', 'app', 'layout.tsx')
+
+// Re-exports the auth tables so drizzle-kit and the adapter both see them.
+function exportAuthSchema(projectPath) {
+  const filePath = path.join(projectPath, schemaIndexPath)
+  const source = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : ''
+  if (!source.includes(`'./auth'`)) {
+    fs.writeFileSync(filePath, `${source}export * from './auth';\n`)
+  }
+}
+
+// Wraps the QueryProvider children from the preset's layout.tsx. Returns false
+// when the layout was changed by hand and has to be wired manually.
+function wrapLayout(projectPath) {
+  const filePath = path.join(projectPath, layoutPath)
+  if (!fs.existsSync(filePath)) return false
+
+  const source = fs.readFileSync(filePath, 'utf8')
+  if (source.includes('AuthProvider')) return true
+
+  const wrapped = source.replace(
+    /^( *)<QueryProvider>\{children\}<\/QueryProvider>/m,
+    '$1<QueryProvider>\n$1  <AuthProvider>{children}</AuthProvider>\n$1</QueryProvider>',
+  )
+  if (wrapped === source) return false
+
+  fs.writeFileSync(
+    filePath,
+    wrapped.replace(
+      /^(import QueryProvider from (['"]).*\n)/m,
+      '$1import AuthProvider from $2@/providers/AuthProvider$2;\n',
+    ),
+  )
+  return true
+}
+
+/**
+ * Writes the auth files that don't exist yet and wires schema, layout,
+ * scripts, env files and dependencies. Returns `{ created, skipped, scripts }`.
+ */
+export function addAuth(projectPath, { install = true } = {}) {
+  const created = []
+  const skipped = []
+  const scripts = []
+
+  if (!hasDb(projectPath)) {
+    const db = addDb(projectPath, { install })
+    created.push(...db.created)
+    skipped.push(...db.skipped)
+    scripts.push(...db.scripts)
+  }
+
+  Object.entries(authFiles).forEach(([relativePath, contents]) => {
+    if (fs.existsSync(path.join(projectPath, relativePath))) {
+      skipped.push(relativePath)
+      return
+    }
+    writeFiles(projectPath, { [relativePath]: contents })
+    created.push(relativePath)
+  })
+  exportAuthSchema(projectPath)
+
+  if (!wrapLayout(projectPath)) {
+    console.log(
+      chalk.yellow(
+        `⚠️ Could not find <QueryProvider>{children}</QueryProvider> in ${layoutPath}; wrap your app with <AuthProvider> manually.`,
+      ),
+    )
+  }
+
+  scripts.push(
+    ...addScripts(projectPath, authScripts(projectCommands(projectPath))),
+  )
+  addEnvSchemaKeys(projectPath, authEnvSchema)
+  addEnvVars(
+    projectPath,
+    '.env.example',
+    authEnv('replace-with-a-random-32-byte-secret'),
+  )
+  addEnvVars(
+    projectPath,
+    '.env.local',
+    authEnv(crypto.randomBytes(32).toString('base64')),
+  )
+
+  if (install) {
+    installPackages(
+      projectPath,
+      undeclaredPackages(projectPath, authDependencies),
+    )
+  }
+
+  return { created, skipped, scripts }
+}
@@ -0,0 +1,292 @@
+// ────────────────────────────────
+// Barrels
+// ────────────────────────────────
+// Keeps the index.ts entry points in step with the files on disk: each
+// feature's public API (containers, hooks and types) and the global
+// components/{atoms,molecules,organisms} barrels (see
+// templates/barrelFiles.js). `feature` writes a new feature's barrel;
+// `sync` regenerates all of them and flags deep imports of files a
+// feature does not export.
+
+import path from 'path'
+import fs from 'fs'
+import { isTestPath } from './boundaries.js'
+import { findSpecifiers, listSourceFiles, resolveSpecifier } from './imports.js'
+import { atomicDirs, replaceRegion } from './project.js'
+import {
+  barrelEnd,
+  barrelRegion,
+  barrelStart,
+  componentsBarrel,
+  featureBarrel,
+} from '../templates/barrelFiles.js'
+
+// Folders whose files make up a feature's public API.
+export const publicFeatureDirs = ['containers', 'hooks', 'types']
+
+const identifier = '[A-Za-z_$][\\w$]*'
+
+/**
+ * Names a module exports, read from its `export` statements:
+ * `{ hasDefault, values, types }`.
+ */
+export function exportedNames(source) {
+  const values = []
+  const types = []
+  const matches = (pattern) =>
+    [...source.matchAll(new RegExp(pattern, 'gm'))].map((match) => match[1])
+
+  values.push(
+    ...matches(
+      `^export\\s+(?:declare\\s+)?(?:async\\s+)?(?:function\\*?|const|let|var|class|enum)\\s+(${identifier})`,
+    ),
+  )
+  types.push(
+    ...matches(
+      `^export\\s+(?:declare\\s+)?(?:interface|type)\\s+(${identifier})`,
+    ),
+  )
+  // export { a, b as c } and export type { T } (local or re-exported)
+  ;[...source.matchAll(/^export\s+(type\s+)?\{([^}]*)\}/gm)].forEach(
+    ([, typeOnly, list]) =>
+      list
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .forEach((part) => {
+          const isType = Boolean(typeOnly) || part.startsWith('type ')
+          const name = part
+            .replace(/^type\s+/, '')
+            .split(/\s+as\s+/)
+            .at(-1)
+          if (name === 'default') return
+          ;(isType ? types : values).push(name)
+        }),
+  )
+
+  return {
+    hasDefault: /^export\s+default\b/m.test(source),
+    values: [...new Set(values)],
+    types: [...new Set(types)],
+  }
+}
+
+const isModuleFile = (name) =>
+  /\.tsx?$/.test(name) &&
+  !name.endsWith('.d.ts') &&
+  !/^index\.tsx?$/.test(name) &&
+  !isTestPath(name)
+
+/**
+ * One barrel entry per module file directly in `dirs` (relative to
+ * `baseDir`), sorted by folder then file name. Default exports are named
+ * after the file. Names already taken by an earlier entry are dropped and
+ * reported in `duplicates` as `{ name, file, kept }`.
+ */
+function barrelEntries(projectPath, baseDir, dirs) {
+  const taken = new Map()
+  const duplicates = []
+  const entries = dirs.flatMap((dir) => {
+    const absoluteDir = path.join(projectPath, baseDir, dir)
+    if (!fs.existsSync(absoluteDir)) return []
+    return fs
+      .readdirSync(absoluteDir)
+      .filter(isModuleFile)
+      .sort()
+      .map((name) => {
+        const file = path.posix.join(baseDir, dir, name)
+        const exports = exportedNames(
+          fs.readFileSync(path.join(projectPath, file), 'utf8'),
+        )
+        const keep = (exportName) => {
+          if (!taken.has(exportName)) {
+            taken.set(exportName, file)
+            return true
+          }
+          duplicates.push({
+            name: exportName,
+            file,
+            kept: taken.get(exportName),
+          })
+          return false
+        }
+        const defaultName = name.replace(/\.tsx?$/, '')
+        return {
+          specifier: `./${path.posix.join(dir, defaultName)}`,
+          defaultName:
+            exports.hasDefault &&
+            /^[A-Za-z_$][\w$]*$/.test(defaultName) &&
+            keep(defaultName)
+              ? defaultName
+              : null,
+          values: exports.values.filter(keep),
+          types: exports.types.filter(keep),
+        }
+      })
+      .filter(
+        (entry) =>
+          entry.defaultName ||
+          entry.values.length > 0 ||
+          entry.types.length > 0,
+      )
+  })
+  return { entries, duplicates }
+}
+
+// Writes the barrel at `relativePath`: a new file from `wrap(region)`, or
+// the region replaced in an existing one. Returns its status.
+function writeBarrel(projectPath, relativePath, region, wrap) {
+  const filePath = path.join(projectPath, relativePath)
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, wrap(region))
+    return 'created'
+  }
+  const source = fs.readFileSync(filePath, 'utf8')
+  const contents = replaceRegion(source, region, {
+    start: barrelStart,
+    end: barrelEnd,
+  })
+  if (contents === null) return 'skipped'
+  if (contents === source) return 'unchanged'
+  fs.writeFileSync(filePath, contents)
+  return 'updated'
+}
+
+const featureBarrelPath = (kebab) => `src/features/${kebab}/index.ts`
+
+/**
+ * Whether `syncFeatureBarrel` owns the feature's index.ts (it does not
+ * exist yet or has a generated region), so new containers, hooks and types
+ * can be imported from `@/features/<kebab>`.
+ */
+export function hasGeneratedBarrel(projectPath, kebab) {
+  const filePath = path.join(projectPath, featureBarrelPath(kebab))
+  return (
+    !fs.existsSync(filePath) ||
+    fs.readFileSync(filePath, 'utf8').includes(barrelStart)
+  )
+}
+
+/**
+ * Writes or refreshes `src/features/<kebab>/index.ts`. Returns
+ * `{ file, status, duplicates }`; status is created, updated, unchanged or
+ * skipped (an index.ts without a generated region is left alone).
+ */
+export function syncFeatureBarrel(projectPath, kebab) {
+  const { entries, duplicates } = barrelEntries(
+    projectPath,
+    `src/features/${kebab}`,
+    publicFeatureDirs,
+  )
+  const file = featureBarrelPath(kebab)
+  const status = writeBarrel(
+    projectPath,
+    file,
+    barrelRegion(entries),
+    (region) => featureBarrel(kebab, region),
+  )
+  return { file, status, duplicates }
+}
+
+/**
+ * Writes or refreshes `src/components/<level>/index.ts`, like
+ * syncFeatureBarrel; null when the folder does not exist.
+ */
+export function syncComponentsBarrel(projectPath, level) {
+  const dir = `src/components/${level}`
+  if (!fs.existsSync(path.join(projectPath, dir))) return null
+  const { entries, duplicates } = barrelEntries(projectPath, dir, ['.'])
+  const file = `${dir}/index.ts`
+  const status = writeBarrel(
+    projectPath,
+    file,
+    barrelRegion(entries),
+    (region) => componentsBarrel(level, region),
+  )
+  return { file, status, duplicates }
+}
+
+const withoutExtension = (target) =>
+  target.replace(/\.[cm]?[jt]sx?$/, '').replace(/\/index$/, '')
+
+/**
+ * Imports from outside a feature that reach into one of its files that
+ * its index.ts does not re-export, as `{ file, line, specifier, feature }`.
+ */
+export function unexportedImports(projectPath) {
+  const featuresDir = path.join(projectPath, 'src', 'features')
+  if (!fs.existsSync(featuresDir)) return []
+
+  const exported = new Map()
+  fs.readdirSync(featuresDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach(({ name }) => {
+      const barrel = featureBarrelPath(name)
+      const barrelPath = path.join(projectPath, barrel)
+      const source = fs.existsSync(barrelPath)
+        ? fs.readFileSync(barrelPath, 'utf8')
+        : ''
+      exported.set(
+        name,
+        new Set(
+          findSpecifiers(source)
+            .map(({ specifier }) => resolveSpecifier(barrel, specifier))
+            .filter(Boolean)
+            .map(withoutExtension),
+        ),
+      )
+    })
+
+  return listSourceFiles(projectPath)
+    .filter((file) => !isTestPath(file))
+    .flatMap((file) => {
+      const source = fs.readFileSync(path.join(projectPath, file), 'utf8')
+      return findSpecifiers(source).flatMap(({ specifier, line }) => {
+        const target = resolveSpecifier(file, specifier)
+        const match = target?.match(/^src\/features\/([^/]+)\/(.+)$/)
+        if (!match) return []
+        const [, feature] = match
+        const root = `src/features/${feature}`
+        const internal = withoutExtension(target)
+        if (
+          file.startsWith(`${root}/`) ||
+          !exported.has(feature) ||
+          internal === root ||
+          exported.get(feature).has(internal)
+        ) {
+          return []
+        }
+        return [{ file, line, specifier, feature }]
+      })
+    })
+}
+
+/**
+ * Regenerates every feature barrel and the global atomic component
+ * barrels. Returns `{ created, updated, unchanged, skipped, duplicates,
+ * unexported }`.
+ */
+export function syncBarrels(projectPath) {
+  const featuresDir = path.join(projectPath, 'src', 'features')
+  const features = fs.existsSync(featuresDir)
+    ? fs
+        .readdirSync(featuresDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+    : []
+  const results = [
+    ...features.map((kebab) => syncFeatureBarrel(projectPath, kebab)),
+    ...atomicDirs.map((level) => syncComponentsBarrel(projectPath, level)),
+  ].filter(Boolean)
+
+  const report = {
+    created: [],
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    duplicates: results.flatMap(({ duplicates }) => duplicates),
+  }
+  results.forEach(({ file, status }) => report[status].push(file))
+  return { ...report, unexported: unexportedImports(projectPath) }
+}
@@ -0,0 +1,90 @@
+// ────────────────────────────────
+// Next.js base project
+// ────────────────────────────────
+// Creates the Next.js skeleton without network access, from the bundled
+// template (templates/base/), a `--template-dir` folder or a local tarball.
+// `--latest` keeps the old `npx create-next-app@latest` route available.
+
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+import { execSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { CliError } from './cli.js'
+import { readPackageJson, writePackageJson } from './project.js'
+import { basePackageJson } from '../templates/baseFiles.js'
+
+export const bundledBaseDir = fileURLToPath(
+  new URL('../templates/base', import.meta.url),
+)
+
+const tarballPattern = /\.(tgz|tar\.gz|tar)$/
+
+// npm drops .gitignore files from published packages, so templates ship it
+// as `gitignore` (the create-next-app convention).
+const renamedFiles = { gitignore: '.gitignore' }
+
+function copyDir(src, dest) {
+  fs.mkdirSync(dest, { recursive: true })
+  fs.readdirSync(src, { withFileTypes: true }).forEach((entry) => {
+    const srcPath = path.join(src, entry.name)
+    const destPath = path.join(dest, renamedFiles[entry.name] ?? entry.name)
+    if (entry.isDirectory()) copyDir(srcPath, destPath)
+    else fs.copyFileSync(srcPath, destPath)
+  })
+}
+
+// Unpacks a tarball into a temp folder. Tarballs from `npm pack` wrap
+// everything in a single `package/` folder, which is skipped.
+function extractTarball(tarballPath) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lscs-base-'))
+  execSync(`tar -xf "${tarballPath}" -C "${tempDir}"`, { stdio: 'inherit' })
+
+  const entries = fs.readdirSync(tempDir, { withFileTypes: true })
+  const root =
+    entries.length === 1 && entries[0].isDirectory()
+      ? path.join(tempDir, entries[0].name)
+      : tempDir
+  return { root, cleanup: () => fs.rmSync(tempDir, { recursive: true }) }
+}
+
+function resolveSource(templateDir) {
+  if (!templateDir) return { root: bundledBaseDir, cleanup: () => {} }
+
+  const resolved = path.resolve(process.cwd(), templateDir)
+  if (!fs.existsSync(resolved)) {
+    throw new CliError(`Template not found: ${templateDir}`)
+  }
+  if (fs.statSync(resolved).isDirectory()) {
+    return { root: resolved, cleanup: () => {} }
+  }
+  if (tarballPattern.test(resolved)) return extractTarball(resolved)
+
+  throw new CliError(
+    `--template-dir must be a folder or a .tgz/.tar.gz/.tar file: ${templateDir}`,
+  )
+}
+
+/**
+ * Copies the base template into the empty `projectPath` and names the
+ * package `name` (the folder name by default). A template without a
+ * package.json gets the one from templates/baseFiles.js, with Next.js and
+ * React pinned.
+ */
+export function createBaseProject(
+  projectPath,
+  { templateDir, name = path.basename(projectPath) } = {},
+) {
+  const source = resolveSource(templateDir)
+  try {
+    copyDir(source.root, projectPath)
+  } finally {
+    source.cleanup()
+  }
+
+  const packageJson = fs.existsSync(path.join(projectPath, 'package.json'))
+    ? { ...readPackageJson(projectPath), name }
+    : basePackageJson(name)
+  writePackageJson(projectPath, packageJson)
+  return packageJson
+}
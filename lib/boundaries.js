@@ -0,0 +1,137 @@
+// ────────────────────────────────
+// Feature boundaries
+// ────────────────────────────────
+// The import rules of the Feature-Based Architecture: features reach each
+// other only through their public entry (index or types/), src/components
+// never imports features, src/lib never imports features or components,
+// and only src/app imports from src/app. The generated ESLint rule (see
+// templates/boundaryFiles.js) enforces them while linting; `graph` uses
+// boundaryViolation() to highlight the imports that break them.
+
+import path from 'path'
+import fs from 'fs'
+import {
+  boundaryRules,
+  boundaryRulesImport,
+  boundaryRulesPath,
+} from '../templates/boundaryFiles.js'
+
+export const eslintConfigNames = ['eslint.config.mjs', 'eslint.config.js']
+
+// Layers each layer must not import, besides app/.
+const forbiddenLayers = {
+  components: ['features'],
+  lib: ['features', 'components'],
+}
+
+/**
+ * `{ layer, feature, rest }` for a project-relative path under src/
+ * (`feature` only for src/features/<name>), or null for files directly in
+ * src/ and paths outside it.
+ */
+export function locate(relativePath) {
+  const parts = relativePath.split('/')
+  if (parts[0] !== 'src' || parts.length < 3) return null
+  const [, layer, ...rest] = parts
+  return layer === 'features'
+    ? { layer, feature: rest[0], rest: rest.slice(1) }
+    : { layer, rest }
+}
+
+const isPublicEntry = ({ rest }) =>
+  rest.length === 0 ||
+  (rest.length === 1 && /^index(\.[cm]?[jt]sx?)?$/.test(rest[0])) ||
+  rest[0] === 'types'
+
+/**
+ * Why importing `target` from `fromFile` breaks the boundaries, or null
+ * when it is allowed. Both paths are project-relative.
+ */
+export function boundaryViolation(fromFile, target) {
+  const from = locate(fromFile)
+  const to = locate(target)
+  if (!from || !to) return null
+
+  if (
+    (to.layer === 'app' && from.layer !== 'app') ||
+    forbiddenLayers[from.layer]?.includes(to.layer)
+  ) {
+    return `${from.layer} must not import from ${to.layer}`
+  }
+  if (
+    from.layer === 'features' &&
+    to.layer === 'features' &&
+    from.feature !== to.feature &&
+    !isPublicEntry(to)
+  ) {
+    return `feature "${from.feature}" reaches into feature "${to.feature}"`
+  }
+  return null
+}
+
+/** Tests may reach into the code they test. */
+export const isTestPath = (relativePath) =>
+  relativePath.startsWith('src/__tests__/') ||
+  /\.(test|spec)\.tsx?$/.test(relativePath)
+
+const findEslintConfig = (projectPath) =>
+  eslintConfigNames
+    .map((name) => path.join(projectPath, name))
+    .find((configPath) => fs.existsSync(configPath))
+
+const exportPattern = /^export default (\w+);?$/m
+
+/** Whether eslint.config loads the boundary rules. */
+export function hasBoundaryRules(projectPath) {
+  const configPath = findEslintConfig(projectPath)
+  return Boolean(
+    configPath &&
+    fs.existsSync(path.join(projectPath, boundaryRulesPath)) &&
+    fs.readFileSync(configPath, 'utf8').includes(boundaryRulesPath),
+  )
+}
+
+// eslint.config with the boundary rules added, as `{ configPath, source }`.
+// Null when there is no eslint.config or it does not end with
+// `export default <name>;`.
+function withBoundaryRules(projectPath) {
+  const configPath = findEslintConfig(projectPath)
+  if (!configPath) return null
+
+  const source = fs.readFileSync(configPath, 'utf8')
+  if (source.includes(boundaryRulesPath)) return { configPath, source }
+  if (!exportPattern.test(source)) return null
+
+  const imports = [...source.matchAll(/^import [^;]+;?\n/gm)]
+  const last = imports.at(-1)
+  const end = last ? last.index + last[0].length : 0
+  return {
+    configPath,
+    source:
+      `${source.slice(0, end)}${boundaryRulesImport}\n${source.slice(end)}`.replace(
+        exportPattern,
+        // A named const: an anonymous default export trips
+        // import/no-anonymous-default-export.
+        (_, name) =>
+          `const withFeatureBoundaries = [...${name}, featureBoundaries];\n\nexport default withFeatureBoundaries;`,
+      ),
+  }
+}
+
+export const canAddBoundaryRules = (projectPath) =>
+  withBoundaryRules(projectPath) !== null
+
+/**
+ * Writes eslint.boundaries.mjs (keeping an existing one) and adds it to the
+ * config exported by eslint.config. Returns false when eslint.config could
+ * not be updated.
+ */
+export function addBoundaryRules(projectPath) {
+  const rulesPath = path.join(projectPath, boundaryRulesPath)
+  if (!fs.existsSync(rulesPath)) fs.writeFileSync(rulesPath, boundaryRules)
+
+  const patched = withBoundaryRules(projectPath)
+  if (!patched) return false
+  fs.writeFileSync(patched.configPath, patched.source)
+  return true
+}
@@ -0,0 +1,409 @@
+// ────────────────────────────────
+// Standards check
+// ────────────────────────────────
+// Audits a project's TS/TSX sources against the machine-checkable rules in
+// the bundled SKILL.md ("Common Violations to Avoid" and "Naming
+// Conventions"). Sources are parsed with the project's own TypeScript
+// install, which every scaffolded project already has.
+
+import path from 'path'
+import fs from 'fs'
+import { createRequire } from 'module'
+import { CliError, cliPackage } from './cli.js'
+import { listSourceFiles } from './imports.js'
+import { toKebabCase } from './naming.js'
+import { projectCommands } from './packageManager.js'
+
+export const checkRules = [
+  {
+    id: 'file-name-matches-export',
+    description: 'Component file name must match its default export.',
+    fix: 'Rename the file or the default export so they match, e.g. PostList.tsx → export default function PostList.',
+  },
+  {
+    id: 'no-direct-ui-import',
+    description: 'Molecules and organisms must not import ui/ primitives.',
+    fix: 'Wrap the primitive in components/atoms/ and import the atom instead.',
+  },
+  {
+    id: 'no-axios',
+    description: 'Axios is not allowed.',
+    fix: 'Use native fetch in a services/*.service.ts function.',
+  },
+  {
+    id: 'no-effect-fetching',
+    description: 'Do not fetch with useState + useEffect.',
+    fix: 'Move the request to a service and read it with a TanStack Query useQuery hook.',
+  },
+  {
+    id: 'no-fetch-in-components',
+    description: 'Presentational components must not fetch data.',
+    fix: 'Move data fetching to a container (containers/) and pass the data down as props.',
+  },
+  {
+    id: 'no-any',
+    description: 'The any type is not allowed.',
+    fix: 'Define an interface or use unknown and narrow it.',
+  },
+  {
+    id: 'naming-convention',
+    description: 'File and folder names must follow the FSM naming table.',
+    fix: 'Rename to match the FSM naming table.',
+  },
+]
+
+const ruleById = Object.fromEntries(checkRules.map((rule) => [rule.id, rule]))
+
+const fetchingHooks = new Set([
+  'useQuery',
+  'useQueries',
+  'useInfiniteQuery',
+  'useSuspenseQuery',
+  'useMutation',
+])
+
+// App Router conventions that are allowed to break kebab-case:
+// [id], [...slug], (group), @slot, _private and __tests__.
+const isSpecialFolder = (name) =>
+  /^\[.*\]$|^\(.*\)$|^@|^_/.test(name) || name === '__tests__'
+
+const isTestFile = (relativePath) =>
+  /\.(test|spec)\.tsx?$/.test(relativePath) ||
+  relativePath.split('/').includes('__tests__')
+
+function loadTypeScript(projectPath) {
+  try {
+    return createRequire(path.join(projectPath, 'package.json'))('typescript')
+  } catch {
+    throw new CliError(
+      `TypeScript was not found in this project. Run \`${projectCommands(projectPath).install}\` first.`,
+    )
+  }
+}
+
+const walk = (ts, node, visit) => {
+  visit(node)
+  ts.forEachChild(node, (child) => walk(ts, child, visit))
+}
+
+const calleeName = (ts, node) => {
+  const callee = node.expression
+  if (ts.isIdentifier(callee)) return callee.text
+  if (ts.isPropertyAccessExpression(callee)) return callee.name.text
+  return undefined
+}
+
+function defaultExportName(ts, sourceFile) {
+  let found = null
+  sourceFile.statements.forEach((statement) => {
+    const modifiers = ts.canHaveModifiers?.(statement)
+      ? ts.getModifiers(statement)
+      : statement.modifiers
+    const isDefault = modifiers?.some(
+      (modifier) => modifier.kind === ts.SyntaxKind.DefaultKeyword,
+    )
+    if (
+      isDefault &&
+      (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement))
+    ) {
+      found = { name: statement.name?.text, node: statement }
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      const name = ts.isIdentifier(statement.expression)
+        ? statement.expression.text
+        : undefined
+      found = { name, node: statement }
+    } else if (
+      ts.isExportDeclaration(statement) &&
+      statement.exportClause &&
+      ts.isNamedExports(statement.exportClause)
+    ) {
+      statement.exportClause.elements.forEach((element) => {
+        if (element.name.text === 'default') {
+          found = {
+            name: (element.propertyName ?? element.name).text,
+            node: element,
+          }
+        }
+      })
+    }
+  })
+  return found
+}
+
+// Naming table checks that only depend on the file's path.
+function checkFileName(relativePath) {
+  const segments = relativePath.split('/')
+  const fileName = segments.at(-1)
+  const parent = segments.at(-2)
+  const inComponentLayer =
+    segments.includes('components') || segments.includes('containers')
+
+  if (isTestFile(relativePath) || fileName.startsWith('index.')) return null
+  if (segments.includes('ui')) return null
+
+  if (fileName.endsWith('.tsx') && inComponentLayer) {
+    return /^[A-Z][a-zA-Z0-9]*\.tsx$/.test(fileName)
+      ? null
+      : 'Components and containers must be PascalCase, e.g. PostList.tsx.'
+  }
+
+  const dotCase = {
+    services: 'service',
+    queries: 'queries',
+    types: 'types',
+    store: 'store',
+  }[parent]
+  if (dotCase && !new RegExp(`^[a-z0-9-]+\\.${dotCase}\\.ts$`).test(fileName)) {
+    return `Files in ${parent}/ must be named <name>.${dotCase}.ts.`
+  }
+
+  if (parent === 'hooks' && !/^use-[a-z0-9-]+\.tsx?$/.test(fileName)) {
+    return 'Hooks must be named use-<name>.ts, e.g. use-posts.ts.'
+  }
+  return null
+}
+
+function checkSourceFile(ts, relativePath, text) {
+  const violations = []
+  const sourceFile = ts.createSourceFile(
+    relativePath,
+    text,
+    ts.ScriptTarget.Latest,
+    true,
+    relativePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS,
+  )
+  const report = (rule, node, message) => {
+    const position = node
+      ? sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile))
+      : { line: 0, character: 0 }
+    violations.push({
+      file: relativePath,
+      line: position.line + 1,
+      column: position.character + 1,
+      rule,
+      message,
+      fix: ruleById[rule].fix,
+    })
+  }
+
+  const segments = relativePath.split('/')
+  const fileName = segments.at(-1)
+  const isTest = isTestFile(relativePath)
+  const isUi = segments.includes('ui')
+  const isPresentational = segments.includes('components') && !isUi && !isTest
+  const isComposite =
+    segments.includes('molecules') || segments.includes('organisms')
+
+  const nameProblem = checkFileName(relativePath)
+  if (nameProblem) report('naming-convention', null, nameProblem)
+
+  if (
+    fileName.endsWith('.tsx') &&
+    !isTest &&
+    !isUi &&
+    (segments.includes('components') || segments.includes('containers'))
+  ) {
+    const expected = fileName.replace(/\.tsx$/, '')
+    const exported = defaultExportName(ts, sourceFile)
+    if (!exported) {
+      report(
+        'file-name-matches-export',
+        null,
+        `${fileName} has no default export; expected "export default ${expected}".`,
+      )
+    } else if (exported.name !== expected) {
+      report(
+        'file-name-matches-export',
+        exported.node,
+        `Default export "${exported.name ?? 'anonymous'}" does not match file name "${expected}".`,
+      )
+    }
+  }
+
+  let usesState = false
+  const effectCalls = []
+
+  walk(ts, sourceFile, (node) => {
+    if (node.kind === ts.SyntaxKind.AnyKeyword) {
+      report('no-any', node, 'Avoid the any type.')
+    }
+
+    if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) {
+      const source = node.moduleSpecifier?.text
+      if (!source) return
+      if (source === 'axios' || source.startsWith('axios/')) {
+        report('no-axios', node, `Imports "${source}".`)
+      }
+      if (isComposite && !isTest && /(^|\/)ui(\/|$)/.test(source)) {
+        report(
+          'no-direct-ui-import',
+          node,
+          `Imports ui primitive "${source}" directly.`,
+        )
+      }
+      if (isPresentational && /(^|\/)services\/|\.service$/.test(source)) {
+        report(
+          'no-fetch-in-components',
+          node,
+          `Presentational component imports service "${source}".`,
+        )
+      }
+    }
+
+    if (ts.isCallExpression(node)) {
+      const name = calleeName(ts, node)
+      if (name === 'require' && node.arguments[0]?.text === 'axios') {
+        report('no-axios', node, 'Requires "axios".')
+      }
+      if (name === 'useState') usesState = true
+      if (name === 'useEffect') effectCalls.push(node)
+      if (isPresentational && (name === 'fetch' || fetchingHooks.has(name))) {
+        report(
+          'no-fetch-in-components',
+          node,
+          `Presentational component calls ${name}().`,
+        )
+      }
+    }
+  })
+
+  if (usesState && !isTest) {
+    effectCalls.forEach((effect) => {
+      let fetches = false
+      walk(ts, effect, (node) => {
+        if (!ts.isCallExpression(node)) return
+        const name = calleeName(ts, node)
+        if (name === 'fetch' || /^fetch[A-Z]/.test(name ?? '')) fetches = true
+      })
+      if (fetches) {
+        report(
+          'no-effect-fetching',
+          effect,
+          'Data is fetched inside useEffect and stored with useState.',
+        )
+      }
+    })
+  }
+
+  return violations
+}
+
+function checkFolders(files) {
+  const folders = new Set()
+  files.forEach((file) => {
+    const segments = file.split('/').slice(0, -1)
+    segments.forEach((_, index) =>
+      folders.add(segments.slice(0, index + 1).join('/')),
+    )
+  })
+
+  return [...folders]
+    .filter((folder) => {
+      const name = folder.split('/').at(-1)
+      return (
+        folder.startsWith('src/') &&
+        !isSpecialFolder(name) &&
+        toKebabCase(name) !== name
+      )
+    })
+    .map((folder) => ({
+      file: folder,
+      line: 1,
+      column: 1,
+      rule: 'naming-convention',
+      message: `Folder "${folder.split('/').at(-1)}" must be kebab-case (${toKebabCase(folder.split('/').at(-1))}).`,
+      fix: ruleById['naming-convention'].fix,
+    }))
+}
+
+/**
+ * Runs every rule over `src/` and returns the violations sorted by file and
+ * line. Each violation has `{ file, line, column, rule, message, fix }`.
+ */
+export function checkProject(projectPath) {
+  const srcPath = path.join(projectPath, 'src')
+  if (!fs.existsSync(srcPath)) {
+    throw new CliError(`No src/ folder found in ${projectPath}.`)
+  }
+
+  const ts = loadTypeScript(projectPath)
+  const files = listSourceFiles(projectPath).filter(
+    (file) => /\.tsx?$/.test(file) && !file.endsWith('.d.ts'),
+  )
+  const violations = files.flatMap((file) =>
+    checkSourceFile(
+      ts,
+      file,
+      fs.readFileSync(path.join(projectPath, file), 'utf8'),
+    ),
+  )
+
+  return [...violations, ...checkFolders(files)].sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column,
+  )
+}
+
+export function formatText(violations) {
+  if (violations.length === 0) return '✅ No FSM violations found.'
+
+  const byFile = violations.reduce(
+    (groups, violation) =>
+      groups.set(violation.file, [
+        ...(groups.get(violation.file) ?? []),
+        violation,
+      ]),
+    new Map(),
+  )
+
+  const lines = []
+  byFile.forEach((fileViolations, file) => {
+    lines.push(file)
+    fileViolations.forEach(({ line, column, rule, message, fix }) => {
+      lines.push(`  ${line}:${column}  ${rule}  ${message}`)
+      lines.push(`    → ${fix}`)
+    })
+    lines.push('')
+  })
+  lines.push(`❌ ${violations.length} FSM violation(s) found.`)
+  return lines.join('\n')
+}
+
+export function formatSarif(violations) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: cliPackage.name,
+            version: cliPackage.version,
+            informationUri: 'https://github.com/dlsu-lscs/create-lscs-next-app',
+            rules: checkRules.map((rule) => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              help: { text: rule.fix },
+            })),
+          },
+        },
+        results: violations.map((violation) => ({
+          ruleId: violation.rule,
+          level: 'error',
+          message: { text: `${violation.message} ${violation.fix}` },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: violation.file },
+                region: {
+                  startLine: violation.line,
+                  startColumn: violation.column,
+                },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  }
+}
@@ -0,0 +1,173 @@
+// ────────────────────────────────
+// CLI helpers
+// ────────────────────────────────
+// Argument parsing, config loading and answer resolution shared by every
+// command. Answers can come from flags, a config file or inquirer prompts,
+// so the same command works both in a terminal and in CI without a TTY.
+
+import path from 'path'
+import fs from 'fs'
+import inquirer from 'inquirer'
+
+export const cliPackage = JSON.parse(
+  fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'),
+)
+
+// Errors meant for the user: printed without a stack trace by index.js.
+export class CliError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'CliError'
+  }
+}
+
+const toCamelCase = (key) =>
+  key.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase())
+
+/**
+ * Parses argv into `{ _: positionals, ...options }`.
+ * `spec.boolean` options accept `--flag`, `--no-flag` and `--flag=false`.
+ * `spec.string` options accept `--key value` and `--key=value`.
+ * Option names are camelCased (`--dry-run` → `dryRun`).
+ */
+export function parseArgs(argv, spec = {}) {
+  const { boolean = [], string = [], alias = {} } = spec
+  const result = { _: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i]
+
+    if (token === '--') {
+      result._.push(...argv.slice(i + 1))
+      break
+    }
+    if (!token.startsWith('-') || token === '-') {
+      result._.push(token)
+      continue
+    }
+
+    const body = token.replace(/^--?/, '')
+    const eqIndex = body.indexOf('=')
+    let name = eqIndex === -1 ? body : body.slice(0, eqIndex)
+    const inline = eqIndex === -1 ? undefined : body.slice(eqIndex + 1)
+    name = alias[name] ?? name
+
+    if (name.startsWith('no-') && boolean.includes(name.slice(3))) {
+      result[toCamelCase(name.slice(3))] = false
+    } else if (boolean.includes(name)) {
+      result[toCamelCase(name)] = inline === undefined || inline !== 'false'
+    } else if (string.includes(name)) {
+      const value = inline ?? argv[++i]
+      if (value === undefined || value.startsWith('--')) {
+        throw new CliError(`Option --${name} requires a value.`)
+      }
+      result[toCamelCase(name)] = value
+    } else {
+      throw new CliError(
+        `Unknown option "${token}". Run with --help for usage.`,
+      )
+    }
+  }
+
+  return result
+}
+
+/**
+ * Prompts are only shown when a human can answer them: stdin and stdout are
+ * TTYs and `--yes` was not passed.
+ */
+export function isInteractive(options = {}) {
+  return Boolean(!options.yes && process.stdin.isTTY && process.stdout.isTTY)
+}
+
+/**
+ * Reads a JSON config file of answers, e.g. `lscs.config.json`.
+ */
+export function loadConfig(configPath) {
+  const resolved = path.resolve(process.cwd(), configPath)
+  if (!fs.existsSync(resolved)) {
+    throw new CliError(`Config file not found: ${configPath}`)
+  }
+
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+  } catch (err) {
+    throw new CliError(
+      `Config file ${configPath} is not valid JSON: ${err.message}`,
+    )
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new CliError(`Config file ${configPath} must contain a JSON object.`)
+  }
+  return config
+}
+
+/**
+ * Resolves each question from `flags`, then `config`, then a prompt.
+ * In non-interactive mode the question's `default` is used instead of a
+ * prompt. A question without a default, or marked `required` (the default
+ * only applies to the prompt), is a hard error naming `question.hint`.
+ */
+export async function resolveAnswers(
+  questions,
+  { flags = {}, config = {}, interactive = false } = {},
+) {
+  const answers = {}
+
+  for (const question of questions) {
+    if (question.when && !question.when(answers)) continue
+
+    const given = flags[question.name] ?? config[question.name]
+    if (given !== undefined) {
+      answers[question.name] = checkAnswer(question, given, answers)
+      continue
+    }
+
+    if (interactive) {
+      const { [question.name]: value } = await inquirer.prompt(
+        [question],
+        answers,
+      )
+      answers[question.name] = value
+      continue
+    }
+
+    if (question.required || question.default === undefined) {
+      throw new CliError(
+        `Missing required value "${question.name}" in non-interactive mode.` +
+          (question.hint ? ` Provide it with ${question.hint}.` : ''),
+      )
+    }
+    answers[question.name] =
+      typeof question.default === 'function'
+        ? question.default(answers)
+        : question.default
+  }
+
+  return answers
+}
+
+function checkAnswer(question, value, answers) {
+  if (question.type === 'confirm' && typeof value !== 'boolean') {
+    throw new CliError(`"${question.name}" must be true or false.`)
+  }
+  if (question.type === 'input' && typeof value !== 'string') {
+    throw new CliError(`"${question.name}" must be a string.`)
+  }
+  if (question.type === 'list') {
+    const values = question.choices.map((choice) => choice.value ?? choice)
+    if (!values.includes(value)) {
+      throw new CliError(
+        `"${question.name}" must be one of: ${values.join(', ')}.`,
+      )
+    }
+  }
+
+  const valid = question.validate ? question.validate(value, answers) : true
+  if (valid !== true) {
+    throw new CliError(`Invalid value for "${question.name}": ${valid}`)
+  }
+  return question.filter ? question.filter(value) : value
+}
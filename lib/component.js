@@ -0,0 +1,78 @@
+// ────────────────────────────────
+// Component scaffolding
+// ────────────────────────────────
+// Places a component in the right Atomic Design tier, either in the global
+// `src/components` or inside a feature's `components/`.
+
+import path from 'path'
+import fs from 'fs'
+import { CliError } from './cli.js'
+import { toKebabCase, toPascalCase } from './naming.js'
+import { componentFiles } from '../templates/componentFiles.js'
+
+export const componentLevels = {
+  atom: 'atoms',
+  molecule: 'molecules',
+  organism: 'organisms',
+}
+
+/**
+ * Components must be PascalCase (FSM naming table), e.g. `SearchBar`.
+ */
+export const validateComponentName = (name) => {
+  if (!name) return 'Component name is required'
+  if (!/^[A-Z][a-zA-Z0-9]*$/.test(name)) {
+    const suggestion = toPascalCase(name)
+    return (
+      `Component name "${name}" must be PascalCase` +
+      (suggestion && /^[A-Z]/.test(suggestion)
+        ? ` (did you mean "${suggestion}"?)`
+        : '')
+    )
+  }
+  return true
+}
+
+/**
+ * Writes `<Name>.tsx` and `<Name>.test.tsx` for the given level and returns
+ * their paths relative to the project root. Never overwrites existing files.
+ */
+export function scaffoldComponent(projectPath, name, { level, feature } = {}) {
+  const valid = validateComponentName(name)
+  if (valid !== true) throw new CliError(valid)
+
+  if (!componentLevels[level]) {
+    throw new CliError(
+      `--level must be one of: ${Object.keys(componentLevels).join(', ')}.`,
+    )
+  }
+
+  let baseDir = path.join('src', 'components')
+  if (feature) {
+    const featureDir = path.join('src', 'features', toKebabCase(feature))
+    if (!fs.existsSync(path.join(projectPath, featureDir))) {
+      throw new CliError(
+        `Feature "${feature}" does not exist. Create it first with: npx create-lscs-next-app feature ${feature}`,
+      )
+    }
+    baseDir = path.join(featureDir, 'components')
+  }
+
+  const dir = path.join(baseDir, componentLevels[level])
+  const componentPath = path.join(dir, `${name}.tsx`)
+  const testPath = path.join(dir, `${name}.test.tsx`)
+
+  const existing = [componentPath, testPath].filter((file) =>
+    fs.existsSync(path.join(projectPath, file)),
+  )
+  if (existing.length > 0) {
+    throw new CliError(`Refusing to overwrite: ${existing.join(', ')}`)
+  }
+
+  const { component, test } = componentFiles({ name, level })
+  fs.mkdirSync(path.join(projectPath, dir), { recursive: true })
+  fs.writeFileSync(path.join(projectPath, componentPath), component)
+  fs.writeFileSync(path.join(projectPath, testPath), test)
+
+  return [componentPath, testPath]
+}
@@ -0,0 +1,66 @@
+// ────────────────────────────────
+// Database module (Drizzle ORM)
+// ────────────────────────────────
+// `add db`: Drizzle config, schema folder, typed client, migration scripts
+// and DATABASE_URL in the env schema and env files. SQLite is the default.
+
+import path from 'path'
+import fs from 'fs'
+import {
+  addEnvVars,
+  addGitignoreEntries,
+  addScripts,
+  installPackages,
+  undeclaredPackages,
+  writeFiles,
+} from './project.js'
+import { addEnvSchemaKeys, ignoreEnvFiles } from './env.js'
+import {
+  dbDependencies,
+  dbDevDependencies,
+  dbEnv,
+  dbEnvSchema,
+  dbFiles,
+  dbScripts,
+} from '../templates/dbFiles.js'
+
+export const hasDb = (projectPath) =>
+  fs.existsSync(path.join(projectPath, 'src', 'lib', 'db.ts'))
+
+/**
+ * Writes the db files that don't exist yet and wires scripts, env files and
+ * dependencies. Returns `{ created, skipped, scripts }`.
+ */
+export function addDb(projectPath, { install = true } = {}) {
+  const created = []
+  const skipped = []
+  Object.entries(dbFiles).forEach(([relativePath, contents]) => {
+    if (fs.existsSync(path.join(projectPath, relativePath))) {
+      skipped.push(relativePath)
+      return
+    }
+    writeFiles(projectPath, { [relativePath]: contents })
+    created.push(relativePath)
+  })
+
+  const scripts = addScripts(projectPath, dbScripts)
+  addEnvSchemaKeys(projectPath, dbEnvSchema)
+  addEnvVars(projectPath, '.env.example', dbEnv)
+  addEnvVars(projectPath, '.env.local', dbEnv)
+  ignoreEnvFiles(projectPath)
+  addGitignoreEntries(projectPath, ['*.db', '*.db-journal'])
+
+  if (install) {
+    installPackages(
+      projectPath,
+      undeclaredPackages(projectPath, dbDependencies),
+    )
+    installPackages(
+      projectPath,
+      undeclaredPackages(projectPath, dbDevDependencies),
+      { dev: true },
+    )
+  }
+
+  return { created, skipped, scripts }
+}
@@ -0,0 +1,141 @@
+// ────────────────────────────────
+// Deployment workflows
+// ────────────────────────────────
+// Workflow templates under .github/workflows use placeholders for the
+// branches that map to each environment (__DEV_BRANCH__, __STAGING_BRANCH__,
+// __PROD_BRANCH__) and wrap target-specific jobs in
+//
+//   # lscs:deploy <target>
+//   ...job using __ENV__, __ENV_SECRET__ and __BRANCH__...
+//   # lscs:end
+//
+// A block is rendered once per environment when <target> is the chosen
+// deployment target and dropped otherwise. Rendered workflows are parsed
+// and checked before they are written; one left without jobs is skipped.
+
+import YAML from 'yaml'
+import { CliError } from './cli.js'
+
+export const environments = ['dev', 'staging', 'prod']
+
+export const defaultBranches = { dev: 'dev', staging: 'staging', prod: 'main' }
+
+export const deployTargets = {
+  coolify: 'Coolify (self-hosted)',
+  digitalocean: 'DigitalOcean App Platform',
+  ssh: 'SSH to a VM (Droplet, EC2, any server)',
+  none: 'None (no deployment workflow)',
+}
+
+/**
+ * Target and branches from the answers; projects created before these
+ * questions existed get no deployment jobs and the default branches.
+ */
+export const deploySettings = (answers) => ({
+  deployTarget: answers.deployTarget ?? 'none',
+  branches: {
+    dev: answers.devBranch ?? defaultBranches.dev,
+    staging: answers.stagingBranch ?? defaultBranches.staging,
+    prod: answers.prodBranch ?? defaultBranches.prod,
+  },
+})
+
+const blockStart = /^\s*# lscs:deploy ([\w ,-]+)$/
+const blockEnd = /^\s*# lscs:end$/
+
+// Letters, digits and `._/-`, not starting with `-` or `.`; git allows more,
+// but these also work unquoted in YAML and in workflow expressions.
+export const isValidBranch = (name) =>
+  /^[A-Za-z0-9_][A-Za-z0-9._/-]*$/.test(name) && !name.includes('..')
+
+/**
+ * Renders the deployment placeholders and blocks of a workflow template
+ * for `deployTarget` and `branches` (`{ dev, staging, prod }`).
+ */
+export function renderDeployment(
+  source,
+  { deployTarget = 'none', branches = defaultBranches },
+) {
+  const lines = source.split('\n')
+  const output = []
+  for (let i = 0; i < lines.length; i++) {
+    const start = lines[i].match(blockStart)
+    if (!start) {
+      output.push(lines[i])
+      continue
+    }
+
+    const end = lines.findIndex((line, j) => j > i && blockEnd.test(line))
+    if (end === -1) {
+      throw new CliError(`"# lscs:deploy ${start[1]}" has no "# lscs:end".`)
+    }
+    const block = lines.slice(i + 1, end).join('\n')
+    const targets = start[1].split(/[\s,]+/)
+    if (targets.includes(deployTarget)) {
+      output.push(
+        environments
+          .map((environment) =>
+            block
+              .replaceAll('__ENV_SECRET__', environment.toUpperCase())
+              .replaceAll('__ENV__', environment)
+              .replaceAll('__BRANCH__', branches[environment]),
+          )
+          .join('\n\n'),
+      )
+      i = end
+    } else {
+      // Drop the blank line separating it from the next block as well.
+      i = lines[end + 1]?.trim() === '' ? end + 1 : end
+    }
+  }
+
+  return `${output
+    .join('\n')
+    .replaceAll('__DEV_BRANCH__', branches.dev)
+    .replaceAll('__STAGING_BRANCH__', branches.staging)
+    .replaceAll('__PROD_BRANCH__', branches.prod)
+    .trimEnd()}\n`
+}
+
+/**
+ * Repository secrets a workflow reads (`secrets.NAME`), except the
+ * GITHUB_TOKEN that Actions provides.
+ */
+export function workflowSecrets(source) {
+  const names = [...source.matchAll(/\bsecrets\.([A-Za-z_][A-Za-z0-9_]*)/g)]
+    .map((match) => match[1])
+    .filter((name) => name !== 'GITHUB_TOKEN')
+  return [...new Set(names)].sort()
+}
+
+/**
+ * Parses a rendered workflow and checks what GitHub would reject or run
+ * wrong: YAML errors, leftover placeholders, a missing trigger and jobs
+ * without `runs-on`/`steps`. Returns false for a workflow without jobs
+ * (nothing to write); throws a CliError naming `fileName` otherwise.
+ */
+export function validateWorkflow(source, fileName) {
+  const fail = (message) => {
+    throw new CliError(`Rendered ${fileName} is invalid: ${message}`)
+  }
+
+  const doc = YAML.parseDocument(source)
+  if (doc.errors.length > 0) fail(doc.errors[0].message)
+
+  const leftover = source.match(/__[A-Z_]+__|# lscs:\w+/)
+  if (leftover) fail(`unrendered "${leftover[0]}"`)
+
+  const workflow = doc.toJS()
+  if (!workflow || typeof workflow !== 'object') fail('not a mapping')
+  if (!workflow.jobs || Object.keys(workflow.jobs).length === 0) return false
+  if (!workflow.on) fail('no "on" trigger')
+
+  Object.entries(workflow.jobs).forEach(([name, job]) => {
+    if (job.uses) return
+    if (!job['runs-on']) fail(`job "${name}" has no runs-on`)
+    if (!Array.isArray(job.steps) || job.steps.length === 0) {
+      fail(`job "${name}" has no steps`)
+    }
+  })
+  return true
+}
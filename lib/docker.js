@@ -0,0 +1,118 @@
+// ────────────────────────────────
+// Container build
+// ────────────────────────────────
+// Dockerfile, .dockerignore, health route and standalone output for the
+// image workflow (see templates/dockerFiles.js). New-project mode adds them
+// with the workflows; `doctor --fix` restores missing pieces.
+
+import path from 'path'
+import fs from 'fs'
+import { nextConfigNames } from './env.js'
+import { packageManagers } from './packageManager.js'
+import { createKeptDir, writeFiles } from './project.js'
+import {
+  composeFile,
+  dockerfile,
+  dockerignore,
+  healthRoute,
+  healthRoutePath,
+  standaloneOutput,
+} from '../templates/dockerFiles.js'
+
+// `const nextConfig = {`, `const nextConfig: NextConfig = {`,
+// `module.exports = {` or `export default {`.
+const configObjectPattern =
+  /((?:const\s+nextConfig(?:\s*:\s*NextConfig)?\s*=|module\.exports\s*=|export\s+default)\s*\{)(\s*)/
+
+export const dockerFiles = (packageManager, projectName) => ({
+  Dockerfile: dockerfile(packageManager, packageManagers[packageManager].ci),
+  '.dockerignore': dockerignore,
+  [healthRoutePath]: healthRoute,
+  'compose.yml': composeFile(projectName),
+})
+
+const standalonePattern = /output\s*:\s*["']standalone["']/
+
+const findNextConfig = (projectPath) => {
+  const configName = nextConfigNames.find((name) =>
+    fs.existsSync(path.join(projectPath, name)),
+  )
+  return configName && path.join(projectPath, configName)
+}
+
+/**
+ * Whether next.config builds the standalone server the Dockerfile runs.
+ * Projects without a next.config count as not standalone.
+ */
+export function hasStandaloneOutput(projectPath) {
+  const configPath = findNextConfig(projectPath)
+  return Boolean(
+    configPath && standalonePattern.test(fs.readFileSync(configPath, 'utf8')),
+  )
+}
+
+// next.config with `output: 'standalone'` added, as `{ configPath, source }`.
+// Null when there is no next.config, it sets another `output`, or its
+// config object could not be found.
+function withStandaloneOutput(projectPath) {
+  const configPath = findNextConfig(projectPath)
+  if (!configPath) return null
+
+  const source = fs.readFileSync(configPath, 'utf8')
+  if (standalonePattern.test(source)) return { configPath, source }
+  if (/\boutput\s*:/.test(source) || !configObjectPattern.test(source)) {
+    return null
+  }
+  return {
+    configPath,
+    source: source.replace(
+      configObjectPattern,
+      (_, opening, spacing) =>
+        `${opening}\n  ${standaloneOutput}${spacing.includes('\n') ? spacing : '\n'}`,
+    ),
+  }
+}
+
+export const canSetStandaloneOutput = (projectPath) =>
+  withStandaloneOutput(projectPath) !== null
+
+/**
+ * Adds `output: 'standalone'` to next.config. Returns false when that is
+ * not possible (see withStandaloneOutput).
+ */
+export function setStandaloneOutput(projectPath) {
+  const result = withStandaloneOutput(projectPath)
+  if (!result) return false
+  fs.writeFileSync(result.configPath, result.source)
+  return true
+}
+
+/**
+ * Writes the container files that don't exist yet (compose.yml only with
+ * `compose`) and switches next.config to standalone output. Returns
+ * `{ created, skipped, standalone }`.
+ */
+export function addDocker(
+  projectPath,
+  { packageManager, projectName = path.basename(projectPath), compose = false },
+) {
+  const created = []
+  const skipped = []
+  Object.entries(dockerFiles(packageManager, projectName))
+    .filter(([relativePath]) => compose || relativePath !== 'compose.yml')
+    .forEach(([relativePath, contents]) => {
+      if (fs.existsSync(path.join(projectPath, relativePath))) {
+        skipped.push(relativePath)
+        return
+      }
+      writeFiles(projectPath, { [relativePath]: contents })
+      created.push(relativePath)
+    })
+
+  // The runtime stage copies public/, so it has to exist.
+  if (!fs.existsSync(path.join(projectPath, 'public'))) {
+    createKeptDir(path.join(projectPath, 'public'))
+  }
+
+  return { created, skipped, standalone: setStandaloneOutput(projectPath) }
+}
@@ -0,0 +1,477 @@
+// ────────────────────────────────
+// Project doctor
+// ────────────────────────────────
+// Compares an existing project with what the scaffolder is supposed to
+// produce (see lib/project.js and the project's preset in lib/preset.js)
+// and lists what drifted or broke. Problems with a `fix` are safe to repair
+// automatically with `doctor --fix`: they only create missing files/folders
+// or rewrite CLI-owned references, never overwrite code a team may have
+// edited.
+
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+import { createRequire } from 'module'
+import { agentRegionFiles, syncAgentFiles } from './agents.js'
+import {
+  addBoundaryRules,
+  canAddBoundaryRules,
+  hasBoundaryRules,
+} from './boundaries.js'
+import { CliError } from './cli.js'
+import {
+  canSetStandaloneOutput,
+  dockerFiles,
+  hasStandaloneOutput,
+  setStandaloneOutput,
+} from './docker.js'
+import { setupEnvConfig } from './env.js'
+import { hasTheme, loadBrand } from './theme.js'
+import { activateHooks, hooksInactive } from './git.js'
+import { projectCommands, projectPackageManager } from './packageManager.js'
+import {
+  copyPresetFiles,
+  packageName,
+  presetFiles,
+  presetPackages,
+  projectPreset,
+} from './preset.js'
+import {
+  atomicDirs,
+  createKeptDir,
+  cypressSupportPath,
+  prettierConfig,
+  prettierIgnore,
+  readPackageJson,
+  testSetupPath,
+  writeFiles,
+  writePackageJson,
+} from './project.js'
+import {
+  cypressConfig,
+  cypressCommands,
+  cypressSupport,
+  testSetup,
+  vitestConfig,
+} from '../templates/testingFiles.js'
+import { stateFiles } from '../templates/stateFiles.js'
+import { envFiles } from '../templates/envFiles.js'
+import { healthRoutePath } from '../templates/dockerFiles.js'
+import {
+  globalsCssPath,
+  themeCss,
+  themeCssPath,
+  themeFiles,
+} from '../templates/themeFiles.js'
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const toPosix = (relativePath) => relativePath.split(path.sep).join('/')
+
+const writeFile = (filePath, contents) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, contents)
+}
+
+function checkLayout(projectPath, preset) {
+  const problems = []
+  const srcPath = path.join(projectPath, 'src')
+
+  preset.srcDirs.forEach((dir) => {
+    const dirPath = path.join(srcPath, dir)
+    if (!fs.existsSync(dirPath)) {
+      problems.push({
+        message: `Missing folder src/${toPosix(dir)}`,
+        fix: () => createKeptDir(dirPath),
+      })
+    }
+  })
+
+  atomicDirs.forEach((sub) => {
+    const dirPath = path.join(srcPath, 'components', sub)
+    if (
+      fs.existsSync(path.join(srcPath, 'components')) &&
+      !fs.existsSync(dirPath)
+    ) {
+      problems.push({
+        message: `Missing folder src/components/${sub}`,
+        fix: () => createKeptDir(dirPath),
+      })
+    }
+  })
+
+  const featuresPath = path.join(srcPath, 'features')
+  if (fs.existsSync(featuresPath)) {
+    fs.readdirSync(featuresPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach(({ name }) => {
+        preset.featureDirs.forEach((sub) => {
+          const dirPath = path.join(featuresPath, name, sub)
+          if (!fs.existsSync(dirPath)) {
+            problems.push({
+              message: `Feature "${name}" is missing ${sub}/`,
+              fix: () => createKeptDir(dirPath),
+            })
+          }
+        })
+      })
+  }
+
+  return problems
+}
+
+function checkScripts(projectPath, preset) {
+  const { scripts = {} } = readPackageJson(projectPath)
+
+  return Object.entries(preset.scripts)
+    .filter(([name]) => !scripts[name])
+    .map(([name, command]) => ({
+      message: `Missing script "${name}" (expected: ${command})`,
+      fix: () => {
+        const packageJson = readPackageJson(projectPath)
+        packageJson.scripts = { ...packageJson.scripts, [name]: command }
+        writePackageJson(projectPath, packageJson)
+      },
+    }))
+}
+
+// Pulls the string paths out of `key: "..."` or `key: ["...", "..."]`.
+const configReferences = (source, key) => {
+  const match = source.match(
+    new RegExp(`${key}\\s*:\\s*(\\[[^\\]]*\\]|["'][^"']*["'])`),
+  )
+  return match
+    ? [...match[1].matchAll(/["']([^"']+)["']/g)].map((m) => m[1])
+    : []
+}
+
+// The support file imports ./commands, so it comes with its commands.ts.
+const writeCypressSupport = (supportPath) => {
+  writeFile(supportPath, cypressSupport)
+  const commandsPath = path.join(path.dirname(supportPath), 'commands.ts')
+  if (!fs.existsSync(commandsPath)) writeFile(commandsPath, cypressCommands)
+}
+
+function checkConfigs(projectPath) {
+  const problems = []
+
+  const vitestPath = path.join(projectPath, 'vitest.config.ts')
+  if (!fs.existsSync(vitestPath)) {
+    problems.push({
+      message: 'Missing vitest.config.ts',
+      fix: () => {
+        fs.writeFileSync(vitestPath, vitestConfig)
+        const setupPath = path.join(projectPath, testSetupPath)
+        if (!fs.existsSync(setupPath)) writeFile(setupPath, testSetup)
+      },
+    })
+  } else {
+    const source = fs.readFileSync(vitestPath, 'utf8')
+    const expected = `./${toPosix(testSetupPath)}`
+
+    configReferences(source, 'setupFiles').forEach((reference) => {
+      const referencedPath = path.join(projectPath, reference)
+      const exists = fs.existsSync(referencedPath)
+      const inTestsDir = path
+        .normalize(reference)
+        .startsWith(path.join('src', '__tests__'))
+      if (exists && inTestsDir) return
+
+      problems.push({
+        message: exists
+          ? `vitest.config.ts setupFiles points at ${reference}, outside src/__tests__`
+          : `vitest.config.ts setupFiles points at ${reference}, which does not exist`,
+        fix: () => {
+          const setupPath = path.join(projectPath, testSetupPath)
+          if (!fs.existsSync(setupPath)) {
+            if (exists) {
+              fs.mkdirSync(path.dirname(setupPath), { recursive: true })
+              fs.renameSync(referencedPath, setupPath)
+              const oldDir = path.dirname(referencedPath)
+              if (fs.readdirSync(oldDir).length === 0) fs.rmdirSync(oldDir)
+            } else {
+              writeFile(setupPath, testSetup)
+            }
+          }
+          fs.writeFileSync(
+            vitestPath,
+            fs
+              .readFileSync(vitestPath, 'utf8')
+              .replace(
+                new RegExp(`(["'])${escapeRegExp(reference)}\\1`),
+                `$1${expected}$1`,
+              ),
+          )
+        },
+      })
+    })
+  }
+
+  const cypressPath = path.join(projectPath, 'cypress.config.ts')
+  if (!fs.existsSync(cypressPath)) {
+    problems.push({
+      message: 'Missing cypress.config.ts',
+      fix: () => {
+        fs.writeFileSync(cypressPath, cypressConfig)
+        const supportPath = path.join(projectPath, cypressSupportPath)
+        if (!fs.existsSync(supportPath)) writeCypressSupport(supportPath)
+      },
+    })
+  } else {
+    const source = fs.readFileSync(cypressPath, 'utf8')
+    configReferences(source, 'supportFile').forEach((reference) => {
+      const referencedPath = path.join(projectPath, reference)
+      if (fs.existsSync(referencedPath)) return
+      problems.push({
+        message: `cypress.config.ts supportFile points at ${reference}, which does not exist`,
+        fix: () => writeCypressSupport(referencedPath),
+      })
+    })
+  }
+
+  if (!hasBoundaryRules(projectPath)) {
+    problems.push({
+      message:
+        'eslint.config does not load the feature boundary rules (eslint.boundaries.mjs)',
+      ...(canAddBoundaryRules(projectPath) && {
+        fix: () => addBoundaryRules(projectPath),
+      }),
+    })
+  }
+
+  if (hooksInactive(projectPath)) {
+    problems.push({
+      message:
+        'git does not run the hooks in .githooks (core.hooksPath is not set)',
+      fix: () => activateHooks(projectPath),
+    })
+  }
+
+  return problems
+}
+
+function checkTemplateFiles(projectPath, preset, options) {
+  const problems = []
+  const missingFile = (relativePath, fix) => {
+    if (!fs.existsSync(path.join(projectPath, relativePath))) {
+      problems.push({ message: `Missing ${toPosix(relativePath)}`, fix })
+    }
+  }
+
+  missingFile('.prettierrc', () =>
+    fs.writeFileSync(
+      path.join(projectPath, '.prettierrc'),
+      `${JSON.stringify(prettierConfig, null, 2)}\n`,
+    ),
+  )
+  missingFile('.prettierignore', () =>
+    fs.writeFileSync(
+      path.join(projectPath, '.prettierignore'),
+      prettierIgnore.join(os.EOL),
+    ),
+  )
+  Object.entries(stateFiles).forEach(([relativePath, contents]) =>
+    missingFile(relativePath, () =>
+      writeFiles(projectPath, { [relativePath]: contents }),
+    ),
+  )
+  Object.keys(envFiles).forEach((relativePath) =>
+    missingFile(relativePath, () => setupEnvConfig(projectPath)),
+  )
+  // The brand theme sits next to src/styles/globals.css. Projects from
+  // before it still have src/app/globals.css, which may hold the team's
+  // own rules, so moving it is left to them.
+  if (fs.existsSync(path.join(projectPath, globalsCssPath))) {
+    const brand = options.brand ?? loadBrand()
+    Object.entries({ [themeCssPath]: themeCss(brand), ...themeFiles }).forEach(
+      ([relativePath, contents]) =>
+        missingFile(relativePath, () =>
+          writeFiles(projectPath, { [relativePath]: contents }),
+        ),
+    )
+  } else if (
+    fs.existsSync(path.join(projectPath, 'src', 'app', 'globals.css')) &&
+    !hasTheme(projectPath)
+  ) {
+    problems.push({
+      message: `src/app/globals.css predates the brand theme; move it to ${globalsCssPath} with \`@import './theme.css';\` after the Tailwind import, import it as @/styles/globals.css in layout.tsx, then run \`doctor --fix\` to add ${themeCssPath} and the ThemeProvider`,
+    })
+  }
+
+  // Agent files are rendered from the project (see lib/agents.js); the
+  // skill copies and Cursor rules are only regenerated by `ai sync`, as
+  // they may have been edited.
+  const agents = syncAgentFiles(projectPath, { preset, options, write: false })
+  const renderAgents = () => syncAgentFiles(projectPath, { preset, options })
+  agents.created.forEach((file) =>
+    problems.push({ message: `Missing ${file}`, fix: renderAgents }),
+  )
+  agents.updated.forEach((file) =>
+    problems.push(
+      agentRegionFiles.includes(file)
+        ? {
+            message: `${file} does not list the current features and stack`,
+            fix: renderAgents,
+          }
+        : {
+            message: `${file} differs from the ${preset.name} preset's guide (outdated or edited); run \`npx create-lscs-next-app ai sync\` to regenerate it`,
+          },
+    ),
+  )
+  agents.skipped.forEach((file) =>
+    problems.push({
+      message: `${file} has no generated project guide; delete it and run \`npx create-lscs-next-app ai sync\``,
+    }),
+  )
+
+  // Preset files marked `doctor: present` must exist; `unchanged` ones
+  // must also match the preset's copy.
+  presetFiles(preset, options)
+    .filter((file) => file.doctor)
+    .forEach((file) => {
+      const fullPath = path.join(projectPath, file.to)
+      if (!fs.existsSync(fullPath)) {
+        missingFile(file.to, () =>
+          copyPresetFiles(projectPath, { ...preset, files: [file] }, options),
+        )
+      } else if (
+        file.doctor === 'unchanged' &&
+        fs.statSync(file.from).isFile() &&
+        !fs.readFileSync(fullPath).equals(fs.readFileSync(file.from))
+      ) {
+        problems.push({
+          message: `${toPosix(file.to)} differs from the ${preset.name} preset (outdated or edited); review it against ${file.from}`,
+        })
+      }
+    })
+
+  return problems
+}
+
+// Workflows that build an image need the Dockerfile, the health route it
+// polls and Next.js' standalone output.
+function checkContainer(projectPath) {
+  const workflowsPath = path.join(projectPath, '.github', 'workflows')
+  const buildsImage =
+    fs.existsSync(path.join(projectPath, 'Dockerfile')) ||
+    (fs.existsSync(workflowsPath) &&
+      fs
+        .readdirSync(workflowsPath)
+        .some((name) =>
+          fs
+            .readFileSync(path.join(workflowsPath, name), 'utf8')
+            .includes('docker/build-push-action'),
+        ))
+  if (!buildsImage) return []
+
+  const problems = []
+  const files = dockerFiles(
+    projectPackageManager(projectPath),
+    readPackageJson(projectPath).name ?? path.basename(projectPath),
+  )
+  ;['Dockerfile', '.dockerignore', healthRoutePath].forEach((relativePath) => {
+    if (!fs.existsSync(path.join(projectPath, relativePath))) {
+      problems.push({
+        message: `Missing ${relativePath}`,
+        fix: () =>
+          writeFiles(projectPath, { [relativePath]: files[relativePath] }),
+      })
+    }
+  })
+  if (!hasStandaloneOutput(projectPath)) {
+    problems.push({
+      message:
+        "next.config does not set output: 'standalone', which the Dockerfile runs",
+      ...(canSetStandaloneOutput(projectPath) && {
+        fix: () => setStandaloneOutput(projectPath),
+      }),
+    })
+  }
+  return problems
+}
+
+function checkDependencies(projectPath, preset, options) {
+  const packageJson = readPackageJson(projectPath)
+  const declared = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  }
+  const require = createRequire(path.join(projectPath, 'package.json'))
+  const isInstalled = (dep) => {
+    try {
+      require.resolve(`${dep}/package.json`)
+      return true
+    } catch {
+      return fs.existsSync(path.join(projectPath, 'node_modules', dep))
+    }
+  }
+
+  const pm = projectCommands(projectPath)
+  const problems = []
+  const expectedGroups = [
+    {
+      label: 'dependencies',
+      dev: false,
+      deps: [
+        ...new Set(
+          presetPackages(preset, 'dependencies', options).map(packageName),
+        ),
+      ],
+    },
+    {
+      label: 'dev dependencies',
+      dev: true,
+      deps: [
+        ...new Set(
+          presetPackages(preset, 'devDependencies', options).map(packageName),
+        ),
+      ],
+    },
+  ]
+  expectedGroups.forEach(({ label, dev, deps }) => {
+    const undeclared = deps.filter((dep) => !declared[dep])
+    if (undeclared.length > 0) {
+      problems.push({
+        message: `Missing ${label}: ${undeclared.join(', ')} (run: ${pm.add(undeclared.join(' '), dev)})`,
+      })
+    }
+  })
+
+  const notInstalled = expectedGroups
+    .flatMap(({ deps }) => deps)
+    .filter((dep) => declared[dep] && !isInstalled(dep))
+  if (notInstalled.length > 0) {
+    problems.push({
+      message: `Declared but not installed: ${notInstalled.join(', ')} (run: ${pm.install})`,
+    })
+  }
+  return problems
+}
+
+/**
+ * Returns `[{ category, problems: [{ message, fix? }] }]` for the project.
+ */
+export function diagnoseProject(projectPath) {
+  if (!fs.existsSync(path.join(projectPath, 'package.json'))) {
+    throw new CliError(`No package.json found in ${projectPath}.`)
+  }
+
+  const { preset, options } = projectPreset(projectPath)
+  return [
+    {
+      category: 'Directory layout',
+      problems: checkLayout(projectPath, preset),
+    },
+    { category: 'Scripts', problems: checkScripts(projectPath, preset) },
+    { category: 'Config references', problems: checkConfigs(projectPath) },
+    {
+      category: 'Template files',
+      problems: checkTemplateFiles(projectPath, preset, options),
+    },
+    { category: 'Container build', problems: checkContainer(projectPath) },
+    {
+      category: 'Dependencies',
+      problems: checkDependencies(projectPath, preset, options),
+    },
+  ]
+}
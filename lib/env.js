@@ -0,0 +1,257 @@
+// ────────────────────────────────
+// Environment variables
+// ────────────────────────────────
+// Reads the schema in src/config/env.ts (one variable per line, see
+// templates/envFiles.js) and the `process.env.*` references in code, then
+// keeps .env.example in sync and flags problems in .env.local.
+
+import path from 'path'
+import fs from 'fs'
+import { listSourceFiles } from './imports.js'
+import { addEnvVars, addGitignoreEntries, writeFiles } from './project.js'
+import { envFiles, nextConfigEnvImport } from '../templates/envFiles.js'
+
+export const envSchemaPath = path.join('src', 'config', 'env.ts')
+
+// Set by Node.js, Next.js, CI or the Dockerfile rather than by the team.
+const builtInVars = new Set([
+  'NODE_ENV',
+  'NEXT_RUNTIME',
+  'NEXT_PHASE',
+  'CI',
+  'SKIP_ENV_VALIDATION',
+])
+
+export const nextConfigNames = [
+  'next.config.ts',
+  'next.config.mjs',
+  'next.config.js',
+]
+
+// `.env*` lines (create-next-app writes one) that would also ignore
+// .env.example.
+const envIgnorePattern = /^\/?\.env[^/]*\*$/
+
+/**
+ * Keeps local env files out of git and .env.example in it: projects that
+ * already ignore `.env*` get the `!.env.example` exception, others both.
+ */
+export function ignoreEnvFiles(projectPath) {
+  const filePath = path.join(projectPath, '.gitignore')
+  const ignoresEnv =
+    fs.existsSync(filePath) &&
+    fs
+      .readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .some((line) => envIgnorePattern.test(line.trim()))
+  addGitignoreEntries(
+    projectPath,
+    ignoresEnv ? ['!.env.example'] : ['.env*', '!.env.example'],
+  )
+}
+
+/**
+ * Writes env.ts and .env.example (keeping existing ones) and imports the
+ * schema from next.config so invalid variables fail at boot. Returns false
+ * when no next.config was found to import it from.
+ */
+export function setupEnvConfig(projectPath) {
+  Object.entries(envFiles).forEach(([relativePath, contents]) => {
+    if (!fs.existsSync(path.join(projectPath, relativePath))) {
+      writeFiles(projectPath, { [relativePath]: contents })
+    }
+  })
+  ignoreEnvFiles(projectPath)
+
+  const configName = nextConfigNames.find((name) =>
+    fs.existsSync(path.join(projectPath, name)),
+  )
+  if (!configName) return false
+
+  const configPath = path.join(projectPath, configName)
+  const source = fs.readFileSync(configPath, 'utf8')
+  if (!source.includes(nextConfigEnvImport.trim())) {
+    fs.writeFileSync(configPath, `${nextConfigEnvImport}${source}`)
+  }
+  return true
+}
+
+const schemaBlock = (source, name) =>
+  source.match(
+    new RegExp(`const ${name} = z\\.object\\(\\{\\n([\\s\\S]*?)\\n\\}\\);`),
+  )
+
+/**
+ * Variables declared in env.ts:
+ * `[{ key, scope: 'server' | 'client', required, defaultValue }]`.
+ */
+export function readEnvSchema(projectPath) {
+  const filePath = path.join(projectPath, envSchemaPath)
+  if (!fs.existsSync(filePath)) return null
+
+  const source = fs.readFileSync(filePath, 'utf8')
+  return [
+    ['serverSchema', 'server'],
+    ['clientSchema', 'client'],
+  ].flatMap(([name, scope]) => {
+    const block = schemaBlock(source, name)
+    if (!block) return []
+    return block[1]
+      .split('\n')
+      .map((line) => line.match(/^\s*([A-Z][A-Z0-9_]*)\s*:\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, key, definition]) => ({
+        key,
+        scope,
+        required: !/\.optional\(\)|\.default\(/.test(definition),
+        defaultValue: definition.match(/\.default\((['"])(.*?)\1\)/)?.[2],
+      }))
+  })
+}
+
+/**
+ * Adds variables to the env.ts schema, skipping ones already declared.
+ * `vars` maps each key to its Zod definition, e.g.
+ * `{ DATABASE_URL: "z.string().min(1)" }`. NEXT_PUBLIC_ keys go to the
+ * client schema and its value map. Returns the keys that were added.
+ */
+export function addEnvSchemaKeys(projectPath, vars) {
+  const filePath = path.join(projectPath, envSchemaPath)
+  if (!fs.existsSync(filePath)) return []
+
+  let source = fs.readFileSync(filePath, 'utf8')
+  const declared = new Set(
+    (readEnvSchema(projectPath) ?? []).map(({ key }) => key),
+  )
+  const added = Object.keys(vars).filter((key) => !declared.has(key))
+
+  const appendToBlock = (pattern, line) => {
+    source = source.replace(
+      pattern,
+      (_, head, body, tail) => `${head}${body}\n${line}${tail}`,
+    )
+  }
+  added.forEach((key) => {
+    const isClient = key.startsWith('NEXT_PUBLIC_')
+    appendToBlock(
+      new RegExp(
+        `(const ${isClient ? 'clientSchema' : 'serverSchema'} = z\\.object\\(\\{\\n)([\\s\\S]*?)(\\n\\}\\);)`,
+      ),
+      `  ${key}: ${vars[key]},`,
+    )
+    if (isClient) {
+      appendToBlock(
+        /(const clientValues = \{\n)([\s\S]*?)(\n\};)/,
+        `  ${key}: process.env.${key},`,
+      )
+    }
+  })
+
+  if (added.length > 0) fs.writeFileSync(filePath, source)
+  return added
+}
+
+/**
+ * `process.env.KEY` / `process.env['KEY']` references in src/ and the root
+ * config files, as `Map<key, ['file:line', ...]>`.
+ */
+export function findEnvReferences(projectPath) {
+  const rootConfigs = fs
+    .readdirSync(projectPath, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && /\.(m?[jt]s)$/.test(entry.name))
+    .map((entry) => entry.name)
+  const files = [...rootConfigs, ...listSourceFiles(projectPath)]
+
+  const references = new Map()
+  files.forEach((relativePath) => {
+    fs.readFileSync(path.join(projectPath, relativePath), 'utf8')
+      .split('\n')
+      .forEach((line, index) => {
+        const pattern =
+          /process\.env(?:\.([A-Z_][A-Z0-9_]*)|\[\s*['"]([A-Z_][A-Z0-9_]*)['"]\s*\])/g
+        for (const match of line.matchAll(pattern)) {
+          const key = match[1] ?? match[2]
+          if (builtInVars.has(key)) continue
+          references.set(key, [
+            ...(references.get(key) ?? []),
+            `${relativePath}:${index + 1}`,
+          ])
+        }
+      })
+  })
+  return references
+}
+
+const readEnvKeys = (filePath) =>
+  fs.existsSync(filePath)
+    ? fs
+        .readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map((line) =>
+          line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/),
+        )
+        .filter(Boolean)
+        .map((match) => match[1])
+    : null
+
+/**
+ * Compares schema, code, .env.example and .env.local. Adds missing keys to
+ * .env.example unless `write` is false. Returns the report.
+ */
+export function syncEnv(projectPath, { write = true } = {}) {
+  const schema = readEnvSchema(projectPath)
+  const references = findEnvReferences(projectPath)
+  const schemaKeys = new Set((schema ?? []).map(({ key }) => key))
+
+  const wanted = new Map()
+  ;(schema ?? [])
+    .filter(({ key }) => !builtInVars.has(key))
+    .forEach(({ key, defaultValue }) => wanted.set(key, defaultValue ?? ''))
+  references.forEach((_, key) => {
+    if (!wanted.has(key)) wanted.set(key, '')
+  })
+
+  const exampleKeys = new Set(
+    readEnvKeys(path.join(projectPath, '.env.example')) ?? [],
+  )
+  const missingFromExample = [...wanted.keys()].filter(
+    (key) => !exampleKeys.has(key),
+  )
+  if (write && missingFromExample.length > 0) {
+    addEnvVars(
+      projectPath,
+      '.env.example',
+      Object.fromEntries(
+        missingFromExample.map((key) => [key, wanted.get(key)]),
+      ),
+    )
+  }
+
+  const localKeys = readEnvKeys(path.join(projectPath, '.env.local'))
+  const localSet = new Set(localKeys ?? [])
+
+  return {
+    hasSchema: schema !== null,
+    addedToExample: write ? missingFromExample : [],
+    missingFromExample: write ? [] : missingFromExample,
+    // Used in code without being validated by env.ts.
+    notInSchema: schema
+      ? [...references.entries()]
+          .filter(([key]) => !schemaKeys.has(key))
+          .map(([key, locations]) => ({ key, locations }))
+      : [],
+    // Required by env.ts but absent from .env.local.
+    missingFromLocal:
+      localKeys === null
+        ? []
+        : (schema ?? [])
+            .filter(({ key, required }) => required && !builtInVars.has(key))
+            .map(({ key }) => key)
+            .filter((key) => !localSet.has(key)),
+    // In .env.local but neither in env.ts nor referenced in code.
+    undeclaredInLocal: (localKeys ?? []).filter(
+      (key) => !schemaKeys.has(key) && !references.has(key),
+    ),
+    hasLocal: localKeys !== null,
+  }
+}
@@ -0,0 +1,371 @@
+// ────────────────────────────────
+// Feature scaffolding
+// ────────────────────────────────
+// Shared by `feature <name>` and new-project mode (the example feature),
+// plus `feature rename` and `feature remove`.
+
+import path from 'path'
+import fs from 'fs'
+import { CliError } from './cli.js'
+import { atomicDirs } from './project.js'
+import { syncFeatureBarrel } from './barrels.js'
+import { featureNames, validateFeatureName } from './naming.js'
+import {
+  findSpecifiers,
+  formatSpecifier,
+  listSourceFiles,
+  resolveSpecifier,
+  rewriteImports,
+} from './imports.js'
+import { featureFiles } from '../templates/featureFiles.js'
+import { featureReadme } from '../templates/featureReadme.js'
+
+/**
+ * Creates `src/features/<kebab-name>` with the preset's `featureDirs` and
+ * typed starter files. Refuses to touch a feature that already exists.
+ * Returns the feature names and the generated file paths.
+ */
+export function scaffoldFeature(projectPath, featureName, { featureDirs }) {
+  const valid = validateFeatureName(featureName)
+  if (valid !== true) throw new CliError(valid)
+
+  const names = featureNames(featureName)
+  const featurePath = path.join(projectPath, 'src', 'features', names.kebab)
+  if (fs.existsSync(featurePath)) {
+    throw new CliError(
+      `Feature "${names.kebab}" already exists at src/features/${names.kebab}.`,
+    )
+  }
+
+  const files = featureFiles(names)
+  const writeFile = (relativePath, contents) => {
+    const filePath = path.join(projectPath, relativePath)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, contents)
+  }
+
+  featureDirs.forEach((sub) => {
+    const dirPath = path.join(featurePath, sub)
+    fs.mkdirSync(dirPath, { recursive: true })
+
+    // Add atomic structure if it's the components directory
+    if (sub === 'components') {
+      atomicDirs.forEach((atomic) => {
+        const atomicDir = path.join(dirPath, atomic)
+        fs.mkdirSync(atomicDir, { recursive: true })
+        fs.writeFileSync(path.join(atomicDir, '.gitkeep'), '')
+      })
+    }
+  })
+
+  Object.entries(files).forEach(([relativePath, contents]) =>
+    writeFile(relativePath, contents),
+  )
+  writeFile(
+    path.join('src', 'features', names.kebab, 'README.md'),
+    featureReadme(names.kebab),
+  )
+  const barrel = syncFeatureBarrel(projectPath, names.kebab)
+
+  return { names, files: [...Object.keys(files), barrel.file] }
+}
+
+// Folders that belong to a feature: its own and its unit tests.
+const featureRoots = (kebab) => [
+  `src/features/${kebab}`,
+  `src/__tests__/unit/${kebab}`,
+]
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Matches the feature name inside file names and specifier segments:
+// camelCase before a capital (`postKeys`), PascalCase not followed by a
+// lowercase letter (`PostList`), and kebab-case as a whole word
+// (`post.service`, `use-post`).
+const namePattern = ({ kebab, pascal, camel }) =>
+  new RegExp(
+    `(?<![A-Za-z0-9])(${escapeRegExp(camel)})(?=[A-Z0-9])|(?<![A-Z])(${pascal})(?![a-z])|(?<![A-Za-z0-9])(${escapeRegExp(kebab)})(?![A-Za-z0-9])`,
+    'g',
+  )
+
+const renameName = (name, from, to) =>
+  name.replace(namePattern(from), (_, camel, pascal) =>
+    camel ? to.camel : pascal ? to.pascal : to.kebab,
+  )
+
+// Identifiers are renamed only when the feature name is part of a longer
+// name (`PostList`, `usePost`, `postKeys`, `POST_ENDPOINT`); a bare `post`
+// or `Post` may mean something else.
+const renameIdentifier = (identifier, from, to) => {
+  if ([from.camel, from.pascal, from.constant].includes(identifier)) {
+    return identifier
+  }
+  // One pass, so a new name containing the old one (`post` to `blog-post`)
+  // is not renamed again.
+  const pattern = new RegExp(
+    `^(${from.camel})(?=[A-Z0-9_$])|(?<![A-Z])(${from.pascal})(?![a-z])|^(${from.constant})(?=_)`,
+    'g',
+  )
+  return identifier.replace(pattern, (_, camel, pascal) =>
+    camel ? to.camel : pascal ? to.pascal : to.constant,
+  )
+}
+
+// `relativePath` moved into the new feature's folders, or null when it is
+// not part of the feature.
+const movedPath = (relativePath, from, to) => {
+  const oldRoots = featureRoots(from.kebab)
+  const index = oldRoots.findIndex(
+    (root) => relativePath === root || relativePath.startsWith(`${root}/`),
+  )
+  if (index === -1) return null
+  const rest = relativePath
+    .slice(oldRoots[index].length)
+    .split('/')
+    .map((segment) => renameName(segment, from, to))
+    .join('/')
+  return `${featureRoots(to.kebab)[index]}${rest}`
+}
+
+// Files and folders under `dir` as `{ relativePath, isFile }`, each folder
+// before its contents.
+function listEntries(projectPath, dir) {
+  const absoluteDir = path.join(projectPath, dir)
+  if (!fs.existsSync(absoluteDir)) return []
+  return fs
+    .readdirSync(absoluteDir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const relativePath = path.posix.join(dir, entry.name)
+      return entry.isDirectory()
+        ? [
+            { relativePath, isFile: false },
+            ...listEntries(projectPath, relativePath),
+          ]
+        : [{ relativePath, isFile: entry.isFile() }]
+    })
+}
+
+// String literals, then JSX text such as `<p>Loading post...</p>`.
+const stringPattern =
+  /'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|`(?:[^`\\]|\\.)*`|>[^<>{}'"`\n]*</g
+
+// Renames the kebab-case name inside string literals other than module
+// specifiers and inside JSX text: query keys (`['post']`), endpoints
+// (`/api/post`) and messages. Returns the new source and the `[old, new]`
+// texts.
+function renameStrings(source, from, to) {
+  const specifiers = new Set(
+    findSpecifiers(source).map(({ specifier }) => specifier),
+  )
+  const kebab = new RegExp(
+    `(?<![A-Za-z0-9])${escapeRegExp(from.kebab)}(?![A-Za-z0-9])`,
+    'g',
+  )
+  const renamed = []
+  const result = source.replace(stringPattern, (literal) => {
+    if (specifiers.has(literal.slice(1, -1))) return literal
+    const replaced = literal.replace(kebab, to.kebab)
+    if (replaced === literal) return literal
+    renamed.push(
+      literal.startsWith('>')
+        ? [literal.slice(1, -1).trim(), replaced.slice(1, -1).trim()]
+        : [literal, replaced],
+    )
+    return replaced
+  })
+  return { source: result, renamed }
+}
+
+const requireFeature = (projectPath, names) => {
+  if (!fs.existsSync(path.join(projectPath, featureRoots(names.kebab)[0]))) {
+    throw new CliError(
+      `Feature "${names.kebab}" does not exist at src/features/${names.kebab}.`,
+    )
+  }
+}
+
+/**
+ * Source files outside the feature that import from it, project-relative.
+ */
+export function featureImporters(projectPath, featureName) {
+  const roots = featureRoots(featureNames(featureName).kebab)
+  const inFeature = (relativePath) =>
+    roots.some(
+      (root) => relativePath === root || relativePath.startsWith(`${root}/`),
+    )
+  return listSourceFiles(projectPath)
+    .filter((file) => !inFeature(file))
+    .filter((file) =>
+      findSpecifiers(fs.readFileSync(path.join(projectPath, file), 'utf8'))
+        .map(({ specifier }) => resolveSpecifier(file, specifier))
+        .some((target) => target && inFeature(target)),
+    )
+}
+
+/**
+ * Renames a feature: moves `src/features/<from>` and its unit tests, renames
+ * files named after the feature in any casing, rewrites `@/features/...`
+ * and relative imports across src/, and renames identifiers built from the
+ * feature name in the feature and in the files that import it, and the
+ * kebab-case name in the feature's string literals. Nothing is written when
+ * `write` is false. Returns `{ from, to, moved, updated, strings }`:
+ * `moved` as `[oldPath, newPath]` pairs, `updated` as the other files whose
+ * contents change and `strings` as `{ file, from, to }` per renamed literal,
+ * for the user to review.
+ */
+export function renameFeature(
+  projectPath,
+  fromName,
+  toName,
+  { write = true } = {},
+) {
+  const valid = validateFeatureName(toName)
+  if (valid !== true) throw new CliError(valid)
+  const from = featureNames(fromName)
+  const to = featureNames(toName)
+  requireFeature(projectPath, from)
+  if (from.kebab === to.kebab) {
+    throw new CliError(`Feature "${from.kebab}" already has that name.`)
+  }
+  const taken = featureRoots(to.kebab).filter((root) =>
+    fs.existsSync(path.join(projectPath, root)),
+  )
+  if (taken.length > 0) {
+    throw new CliError(`${taken.join(' and ')} already exists.`)
+  }
+
+  const moved = featureRoots(from.kebab)
+    .flatMap((root) => listEntries(projectPath, root))
+    .filter(({ isFile }) => isFile)
+    .map(({ relativePath }) => [
+      relativePath,
+      movedPath(relativePath, from, to),
+    ])
+  const contents = new Map()
+  const strings = []
+
+  listSourceFiles(projectPath).forEach((file) => {
+    const source = fs.readFileSync(path.join(projectPath, file), 'utf8')
+    const newFile = movedPath(file, from, to)
+    let importsFeature = false
+    const rewrite = (renameIdentifiers) =>
+      rewriteImports(
+        source,
+        (specifier) => {
+          const target = resolveSpecifier(file, specifier)
+          if (!target) return specifier
+          const newTarget = movedPath(target, from, to)
+          if (newTarget) importsFeature = true
+          if (!newTarget && !newFile) return specifier
+          return formatSpecifier(newFile ?? file, newTarget ?? target, {
+            alias: specifier.startsWith('@/'),
+          })
+        },
+        renameIdentifiers
+          ? (identifier) => renameIdentifier(identifier, from, to)
+          : undefined,
+      )
+    // Outside the feature, identifiers are only renamed in files that
+    // import it.
+    let result = rewrite(Boolean(newFile))
+    if (importsFeature && !newFile) result = rewrite(true)
+    if (newFile) {
+      const renamed = renameStrings(result, from, to)
+      result = renamed.source
+      renamed.renamed.forEach(([old, updated]) =>
+        strings.push({ file: newFile, from: old, to: updated }),
+      )
+    }
+    if (result !== source) contents.set(file, result)
+  })
+
+  // The feature README names the feature in prose too.
+  const readme = `${featureRoots(from.kebab)[0]}/README.md`
+  if (fs.existsSync(path.join(projectPath, readme))) {
+    const source = fs.readFileSync(path.join(projectPath, readme), 'utf8')
+    contents.set(readme, renameName(source, from, to))
+  }
+  // So do the comments of its index.ts, whose code was rewritten above. They
+  // are renamed from the original lines: an `@/features/...` path in them
+  // may already have been rewritten.
+  const barrel = `${featureRoots(from.kebab)[0]}/index.ts`
+  if (fs.existsSync(path.join(projectPath, barrel))) {
+    const original = fs
+      .readFileSync(path.join(projectPath, barrel), 'utf8')
+      .split('\n')
+    const source = contents.get(barrel) ?? original.join('\n')
+    contents.set(
+      barrel,
+      source
+        .split('\n')
+        .map((line, index) =>
+          /^\/\/(?! lscs:)/.test(line)
+            ? renameName(original[index], from, to)
+            : line,
+        )
+        .join('\n'),
+    )
+  }
+
+  if (write) {
+    featureRoots(from.kebab).forEach((root) => {
+      listEntries(projectPath, root).forEach(({ relativePath, isFile }) => {
+        const target = path.join(projectPath, movedPath(relativePath, from, to))
+        fs.mkdirSync(isFile ? path.dirname(target) : target, {
+          recursive: true,
+        })
+        if (isFile && !contents.has(relativePath)) {
+          fs.copyFileSync(path.join(projectPath, relativePath), target)
+        }
+      })
+    })
+    contents.forEach((source, file) =>
+      fs.writeFileSync(
+        path.join(projectPath, movedPath(file, from, to) ?? file),
+        source,
+      ),
+    )
+    featureRoots(from.kebab).forEach((root) =>
+      fs.rmSync(path.join(projectPath, root), { recursive: true, force: true }),
+    )
+  }
+
+  return {
+    from: from.kebab,
+    to: to.kebab,
+    moved,
+    updated: [...contents.keys()].filter((file) => !movedPath(file, from, to)),
+    strings,
+  }
+}
+
+/**
+ * Deletes `src/features/<name>` and its unit tests. Refuses while other
+ * files import the feature unless `force` is set. Nothing is deleted when
+ * `write` is false. Returns `{ name, removed, importers }`.
+ */
+export function removeFeature(
+  projectPath,
+  featureName,
+  { force = false, write = true } = {},
+) {
+  const names = featureNames(featureName)
+  requireFeature(projectPath, names)
+
+  const importers = featureImporters(projectPath, names.kebab)
+  if (importers.length > 0 && !force) {
+    throw new CliError(
+      `Feature "${names.kebab}" is still imported by:\n${importers.map((file) => `  - ${file}`).join('\n')}\nRemove those imports first, or pass --force to delete it anyway.`,
+    )
+  }
+
+  const removed = featureRoots(names.kebab).filter((root) =>
+    fs.existsSync(path.join(projectPath, root)),
+  )
+  if (write) {
+    removed.forEach((root) =>
+      fs.rmSync(path.join(projectPath, root), { recursive: true, force: true }),
+    )
+  }
+  return { name: names.kebab, removed, importers }
+}
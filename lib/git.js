@@ -0,0 +1,131 @@
+// ────────────────────────────────
+// Git
+// ────────────────────────────────
+// New projects can start as a git repository: the prod branch with an
+// initial commit, the dev and staging branches the workflows deploy from,
+// the contribution hooks in .githooks (see templates/gitFiles.js) and,
+// with `--remote`, an origin.
+
+import path from 'path'
+import fs from 'fs'
+import { execSync } from 'child_process'
+import { addScripts, writeFiles } from './project.js'
+import {
+  gitHooks,
+  hooksDir,
+  hooksScript,
+  initialCommitMessage,
+} from '../templates/gitFiles.js'
+
+// Anything a shell would split or expand is rejected, so the URL can be
+// passed to `git remote add` as is.
+export const isValidRemote = (url) => /^[^\s"'`$\\;&|<>()]+$/.test(url)
+
+const git = (args, cwd) =>
+  execSync(`git ${args}`, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+  }).trim()
+
+/**
+ * Why the initial commit would fail on this machine (git missing or no
+ * user.name/user.email), or null.
+ */
+export function gitProblem() {
+  try {
+    git('--version')
+  } catch {
+    return 'git is not installed or not on the PATH.'
+  }
+  const missing = ['user.name', 'user.email'].filter((key) => {
+    // git also takes the identity from the environment (e.g. in CI).
+    const variable = key === 'user.name' ? 'NAME' : 'EMAIL'
+    if (
+      process.env[`GIT_AUTHOR_${variable}`] &&
+      process.env[`GIT_COMMITTER_${variable}`]
+    ) {
+      return false
+    }
+    try {
+      return git(`config ${key}`) === ''
+    } catch {
+      return true
+    }
+  })
+  return missing.length > 0
+    ? `git has no ${missing.join(' or ')} for the initial commit; set it with \`git config --global ${missing[0]} <value>\`.`
+    : null
+}
+
+/**
+ * Writes the hooks (executable) and the `hooks:install` script. `branches`
+ * and `pm` are rendered into the pre-commit hook.
+ */
+export function addGitHooks(projectPath, { branches, pm }) {
+  const files = gitHooks({ branches, pm })
+  writeFiles(projectPath, files)
+  Object.keys(files).forEach((file) =>
+    fs.chmodSync(path.join(projectPath, file), 0o755),
+  )
+  addScripts(projectPath, hooksScript)
+}
+
+/**
+ * Plan steps (see lib/plan.js) that turn a new project into a repository:
+ * init on the prod branch with the hooks enabled, the preset's `format`
+ * script if it has one (for the base template's files and lines that
+ * outgrow 80 columns), the initial commit, which has to pass the hooks, the
+ * dev and staging branches and the remote. `pm` is the project's package
+ * manager.
+ */
+export const gitSteps = ({ branches, remote, pm, format }) => [
+  {
+    label: `🌱 Initializing a git repository on ${branches.prod}...`,
+    command: () =>
+      `git init --quiet && git symbolic-ref HEAD refs/heads/${branches.prod} && git config core.hooksPath ${hooksDir}`,
+  },
+  ...(format
+    ? [
+        {
+          label: '🧹 Formatting the project with Prettier...',
+          command: () => pm.run('format'),
+        },
+      ]
+    : []),
+  {
+    label: '📝 Creating the initial commit...',
+    command: () =>
+      `git add -A && git commit --quiet -m "${initialCommitMessage}"`,
+  },
+  {
+    label: `🌿 Creating the ${branches.dev} and ${branches.staging} branches...`,
+    command: () =>
+      `git branch ${branches.dev} && git branch ${branches.staging}`,
+  },
+  ...(remote
+    ? [
+        {
+          label: `🔗 Adding origin (${remote})...`,
+          command: () => `git remote add origin "${remote}"`,
+        },
+      ]
+    : []),
+]
+
+/**
+ * Whether the project has hooks in .githooks that git does not run
+ * because `core.hooksPath` points elsewhere (e.g. after a fresh clone).
+ */
+export function hooksInactive(projectPath) {
+  if (!fs.existsSync(path.join(projectPath, hooksDir))) return false
+  if (!fs.existsSync(path.join(projectPath, '.git'))) return false
+  try {
+    return git('config core.hooksPath', projectPath) !== hooksDir
+  } catch {
+    return true
+  }
+}
+
+export const activateHooks = (projectPath) =>
+  git(`config core.hooksPath ${hooksDir}`, projectPath)
@@ -0,0 +1,186 @@
+// ────────────────────────────────
+// Dependency graph
+// ────────────────────────────────
+// `graph [project-dir] [--format mermaid|dot|json]`: the feature-to-feature
+// and layer dependency graphs of a project, built from the imports under
+// src/ (tests excluded). Edges that cross a boundary (see
+// lib/boundaries.js) or belong to a feature cycle are highlighted.
+
+import path from 'path'
+import fs from 'fs'
+import { boundaryViolation, isTestPath, locate } from './boundaries.js'
+import { findSpecifiers, listSourceFiles, resolveSpecifier } from './imports.js'
+
+export const graphFormats = ['mermaid', 'dot', 'json']
+
+// Strongly connected components with more than one feature (Tarjan).
+function findCycles(nodes, edges) {
+  const next = new Map(nodes.map((node) => [node, []]))
+  edges.forEach(({ from, to }) => next.get(from).push(to))
+
+  const index = new Map()
+  const low = new Map()
+  const stack = []
+  const cycles = []
+  const visit = (node) => {
+    index.set(node, index.size)
+    low.set(node, index.get(node))
+    stack.push(node)
+    next.get(node).forEach((target) => {
+      if (!index.has(target)) {
+        visit(target)
+        low.set(node, Math.min(low.get(node), low.get(target)))
+      } else if (stack.includes(target)) {
+        low.set(node, Math.min(low.get(node), index.get(target)))
+      }
+    })
+    if (low.get(node) !== index.get(node)) return
+    const component = stack.splice(stack.indexOf(node))
+    if (component.length > 1) cycles.push(component.sort())
+  }
+  nodes.forEach((node) => {
+    if (!index.has(node)) visit(node)
+  })
+  return cycles
+}
+
+/**
+ * Scans the project's imports. Returns
+ * `{ layers, features, layerEdges, featureEdges, violations, cycles }`;
+ * edges are `{ from, to, imports, violations, cycle }` and violations
+ * `{ file, line, specifier, message }`.
+ */
+export function buildGraph(projectPath) {
+  const featuresDir = path.join(projectPath, 'src', 'features')
+  const features = new Set(
+    fs.existsSync(featuresDir)
+      ? fs
+          .readdirSync(featuresDir, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name)
+      : [],
+  )
+  const layers = new Set()
+  const layerEdges = new Map()
+  const featureEdges = new Map()
+  const violations = []
+  const count = (edges, from, to, violating) => {
+    const key = `${from}\0${to}`
+    if (!edges.has(key)) {
+      edges.set(key, { from, to, imports: 0, violations: 0, cycle: false })
+    }
+    edges.get(key).imports++
+    if (violating) edges.get(key).violations++
+  }
+
+  listSourceFiles(projectPath)
+    .filter((file) => !isTestPath(file))
+    .forEach((file) => {
+      const from = locate(file)
+      if (!from) return
+      layers.add(from.layer)
+
+      const source = fs.readFileSync(path.join(projectPath, file), 'utf8')
+      findSpecifiers(source).forEach(({ specifier, line }) => {
+        const target = resolveSpecifier(file, specifier)
+        const to = target && locate(target)
+        if (!to) return
+
+        const message = boundaryViolation(file, target)
+        if (message) violations.push({ file, line, specifier, message })
+        if (to.layer !== from.layer) {
+          layers.add(to.layer)
+          count(layerEdges, from.layer, to.layer, Boolean(message))
+        }
+        if (from.feature && to.feature && from.feature !== to.feature) {
+          features.add(from.feature).add(to.feature)
+          count(featureEdges, from.feature, to.feature, Boolean(message))
+        }
+      })
+    })
+
+  const featureList = [...features].sort()
+  const cycles = findCycles(featureList, [...featureEdges.values()])
+  featureEdges.forEach((edge) => {
+    edge.cycle = cycles.some(
+      (cycle) => cycle.includes(edge.from) && cycle.includes(edge.to),
+    )
+  })
+  const byName = (a, b) =>
+    a.from.localeCompare(b.from) || a.to.localeCompare(b.to)
+
+  return {
+    layers: [...layers].sort(),
+    features: featureList,
+    layerEdges: [...layerEdges.values()].sort(byName),
+    featureEdges: [...featureEdges.values()].sort(byName),
+    violations,
+    cycles,
+  }
+}
+
+const isHighlighted = (edge) => edge.violations > 0 || edge.cycle
+
+const edgeLabel = ({ imports, violations, cycle }) =>
+  [
+    `${imports}`,
+    ...(violations > 0 ? [`${violations} crossing a boundary`] : []),
+    ...(cycle ? ['cycle'] : []),
+  ].join(', ')
+
+const nodeId = (prefix, name) => `${prefix}_${name.replace(/[^\w]/g, '_')}`
+
+export function formatMermaid(graph) {
+  const lines = [
+    'flowchart LR',
+    '  subgraph layers [Layers]',
+    ...graph.layers.map((layer) => `    ${nodeId('layer', layer)}["${layer}"]`),
+    '  end',
+    '  subgraph features [Features]',
+    ...graph.features.map(
+      (feature) => `    ${nodeId('feature', feature)}["${feature}"]`,
+    ),
+    '  end',
+  ]
+  const edges = [
+    ...graph.layerEdges.map((edge) => ({ ...edge, prefix: 'layer' })),
+    ...graph.featureEdges.map((edge) => ({ ...edge, prefix: 'feature' })),
+  ]
+  edges.forEach((edge) =>
+    lines.push(
+      `  ${nodeId(edge.prefix, edge.from)} -->|"${edgeLabel(edge)}"| ${nodeId(edge.prefix, edge.to)}`,
+    ),
+  )
+  const highlighted = edges
+    .map((edge, index) => (isHighlighted(edge) ? index : -1))
+    .filter((index) => index !== -1)
+  if (highlighted.length > 0) {
+    lines.push(
+      `  linkStyle ${highlighted.join(',')} stroke:#d32f2f,stroke-width:2px,color:#d32f2f`,
+    )
+  }
+  return lines.join('\n')
+}
+
+export function formatDot(graph) {
+  const node = (prefix, name) => `    "${prefix}:${name}" [label="${name}"];`
+  const edge = (prefix) => (item) =>
+    `  "${prefix}:${item.from}" -> "${prefix}:${item.to}" [label="${edgeLabel(item)}"${isHighlighted(item) ? ', color="#d32f2f", fontcolor="#d32f2f", penwidth=2' : ''}];`
+
+  return [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box];',
+    '  subgraph cluster_layers {',
+    '    label="Layers";',
+    ...graph.layers.map((layer) => node('layer', layer)),
+    '  }',
+    '  subgraph cluster_features {',
+    '    label="Features";',
+    ...graph.features.map((feature) => node('feature', feature)),
+    '  }',
+    ...graph.layerEdges.map(edge('layer')),
+    ...graph.featureEdges.map(edge('feature')),
+    '}',
+  ].join('\n')
+}
@@ -0,0 +1,90 @@
+// ────────────────────────────────
+// Import specifiers
+// ────────────────────────────────
+// Finds and rewrites the module specifiers of a project's sources
+// (`import … from`, `export … from`, `import()`, `require()` and
+// `vi.mock()`) without parsing them, so files keep their formatting. Paths
+// are project-relative and use forward slashes; `@/` is the scaffolded
+// alias for src/.
+
+import path from 'path'
+import fs from 'fs'
+
+const ignoredDirs = new Set(['node_modules', '.next', 'dist', 'coverage'])
+
+const specifierPattern =
+  /(\bfrom\s+|\bimport\s*\(\s*|\bimport\s+|\brequire\s*\(\s*|\.mock\s*\(\s*)(['"])([^'"\n]+)\2/
+const identifierPattern = /[A-Za-z_$][\w$]*/
+
+/**
+ * Source files under `dir` (project-relative, e.g. `src/app/page.tsx`).
+ */
+export function listSourceFiles(projectPath, dir = 'src') {
+  const absoluteDir = path.join(projectPath, dir)
+  if (!fs.existsSync(absoluteDir)) return []
+  return fs
+    .readdirSync(absoluteDir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const relativePath = path.posix.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        return ignoredDirs.has(entry.name)
+          ? []
+          : listSourceFiles(projectPath, relativePath)
+      }
+      return /\.(m?[jt]sx?)$/.test(entry.name) ? [relativePath] : []
+    })
+}
+
+/**
+ * Project-relative path a specifier of `fromFile` points to, as written
+ * (no extension is added). Null for package imports.
+ */
+export function resolveSpecifier(fromFile, specifier) {
+  if (specifier.startsWith('@/')) {
+    return path.posix.join('src', specifier.slice(2))
+  }
+  if (/^\.\.?(\/|$)/.test(specifier)) {
+    return path.posix.join(path.posix.dirname(fromFile), specifier)
+  }
+  return null
+}
+
+/**
+ * Specifier for `target` from `fromFile`: `@/…` when `alias` is set and
+ * the target is under src/, otherwise relative (`./…` or `../…`).
+ */
+export function formatSpecifier(fromFile, target, { alias = false } = {}) {
+  if (alias && target.startsWith('src/')) return `@/${target.slice(4)}`
+  const relative = path.posix.relative(path.posix.dirname(fromFile), target)
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
+
+/** Every module specifier in `source`, in order, as `{ specifier, line }`. */
+export function findSpecifiers(source) {
+  return [...source.matchAll(new RegExp(specifierPattern.source, 'g'))].map(
+    (match) => ({
+      specifier: match[3],
+      line: source.slice(0, match.index).split('\n').length,
+    }),
+  )
+}
+
+/**
+ * Replaces each specifier with `replaceSpecifier(specifier)`. With
+ * `replaceIdentifier`, every identifier-like word outside the specifiers
+ * goes through it as well, in the same pass, so a name is never rewritten
+ * twice.
+ */
+export function rewriteImports(source, replaceSpecifier, replaceIdentifier) {
+  const pattern = new RegExp(
+    replaceIdentifier
+      ? `${specifierPattern.source}|${identifierPattern.source}`
+      : specifierPattern.source,
+    'g',
+  )
+  return source.replace(pattern, (match, keyword, quote, specifier) =>
+    specifier === undefined
+      ? replaceIdentifier(match)
+      : `${keyword}${quote}${replaceSpecifier(specifier)}${quote}`,
+  )
+}
@@ -0,0 +1,128 @@
+// ────────────────────────────────
+// Generation manifest
+// ────────────────────────────────
+// `.lscs/manifest.json` records the CLI version, the answers a project was
+// created with and a hash of every file the CLI generated. `upgrade` uses
+// the hashes to tell files the team never touched (safe to replace) from
+// files they edited (merged with conflict markers).
+//
+// Files that belong to the Next.js base template, package.json, lockfiles,
+// local env files and .gitkeep markers are not tracked.
+
+import path from 'path'
+import fs from 'fs'
+import crypto from 'crypto'
+import { CliError, cliPackage } from './cli.js'
+import { bundledBaseDir } from './base.js'
+
+export const manifestPath = path.join('.lscs', 'manifest.json')
+
+const skippedDirs = new Set(['node_modules', '.git', '.next', '.lscs'])
+const untrackedFiles = new Set([
+  'package.json',
+  'package-lock.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lock',
+  'bun.lockb',
+  '.env.local',
+  '.gitkeep',
+])
+
+// Paths the bundled base template writes (see lib/base.js).
+const baseFiles = new Set(
+  (function list(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const name = entry.name === 'gitignore' ? '.gitignore' : entry.name
+      return entry.isDirectory()
+        ? list(path.join(dir, entry.name), `${prefix}${name}/`)
+        : [`${prefix}${name}`]
+    })
+  })(bundledBaseDir),
+)
+
+export const hashContents = (contents) =>
+  crypto.createHash('sha256').update(contents).digest('hex')
+
+/**
+ * Generated files under `dir` that the manifest tracks, as
+ * `{ 'posix/relative/path': sha256 }`.
+ */
+export function collectGeneratedFiles(dir) {
+  const files = {}
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name)
+      if (entry.isDirectory()) {
+        if (!skippedDirs.has(entry.name)) walk(fullPath)
+        return
+      }
+      const relativePath = path
+        .relative(dir, fullPath)
+        .split(path.sep)
+        .join('/')
+      if (untrackedFiles.has(entry.name) || baseFiles.has(relativePath)) return
+      files[relativePath] = hashContents(fs.readFileSync(fullPath))
+    })
+  }
+  walk(dir)
+  return Object.fromEntries(
+    Object.entries(files).sort(([a], [b]) => a.localeCompare(b)),
+  )
+}
+
+export function readManifest(projectPath) {
+  const filePath = path.join(projectPath, manifestPath)
+  if (!fs.existsSync(filePath)) return null
+  try {
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    if (typeof manifest.files !== 'object' || manifest.files === null) {
+      throw new Error('"files" is missing')
+    }
+    return manifest
+  } catch (err) {
+    throw new CliError(
+      `${manifestPath} is not a valid manifest: ${err.message}`,
+    )
+  }
+}
+
+/**
+ * Writes the manifest, by default for the current CLI version. `options`
+ * are the answers `upgrade` re-renders the templates with.
+ */
+export function writeManifest(
+  projectPath,
+  { options, files, cliVersion = cliPackage.version },
+) {
+  const filePath = path.join(projectPath, manifestPath)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(
+    filePath,
+    `${JSON.stringify({ cliVersion, options, files }, null, 2)}\n`,
+  )
+}
+
+/**
+ * Records files added to an existing project (e.g. by `add db`) and the
+ * options that now apply. Does nothing for projects without a manifest.
+ */
+export function recordInManifest(projectPath, { options = {}, files = [] }) {
+  const manifest = readManifest(projectPath)
+  if (!manifest) return
+
+  const hashes = Object.fromEntries(
+    files
+      .map((file) => file.split(path.sep).join('/'))
+      .filter((file) => fs.existsSync(path.join(projectPath, file)))
+      .map((file) => [
+        file,
+        hashContents(fs.readFileSync(path.join(projectPath, file))),
+      ]),
+  )
+  writeManifest(projectPath, {
+    cliVersion: manifest.cliVersion,
+    options: { ...manifest.options, ...options },
+    files: { ...manifest.files, ...hashes },
+  })
+}
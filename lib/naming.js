@@ -0,0 +1,56 @@
+// ────────────────────────────────
+// Naming helpers
+// ────────────────────────────────
+// Case conversions for the FSM naming table: kebab-case folders,
+// PascalCase components, camelCase identifiers and dot-case files.
+
+const splitWords = (input) =>
+  String(input)
+    .trim()
+    // Split camelCase / PascalCase boundaries: "blogPost" → "blog Post"
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase())
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1)
+
+export const toKebabCase = (input) => splitWords(input).join('-')
+
+export const toPascalCase = (input) =>
+  splitWords(input).map(capitalize).join('')
+
+export const toCamelCase = (input) => {
+  const pascal = toPascalCase(input)
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1)
+}
+
+export const toConstantCase = (input) =>
+  splitWords(input).join('_').toUpperCase()
+
+/**
+ * Every casing of a feature name used by the generators.
+ * `featureNames('blog post')` →
+ * `{ kebab: 'blog-post', pascal: 'BlogPost', camel: 'blogPost', constant: 'BLOG_POST' }`
+ */
+export const featureNames = (input) => ({
+  kebab: toKebabCase(input),
+  pascal: toPascalCase(input),
+  camel: toCamelCase(input),
+  constant: toConstantCase(input),
+})
+
+/**
+ * Returns an error message when `input` cannot become a feature folder and
+ * TypeScript identifiers, or `true` when it can.
+ */
+export const validateFeatureName = (input) => {
+  if (/[^a-zA-Z0-9 _-]/.test(input)) {
+    return 'Feature name may only contain letters, digits, spaces, "-" and "_"'
+  }
+  const kebab = toKebabCase(input)
+  if (!kebab) return 'Feature name must contain letters or digits'
+  if (/^[0-9]/.test(kebab)) return 'Feature name must start with a letter'
+  return true
+}
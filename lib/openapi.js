@@ -0,0 +1,339 @@
+// ────────────────────────────────
+// OpenAPI documents
+// ────────────────────────────────
+// Reads a local OpenAPI 3.x document (YAML or JSON) into what `api` needs:
+// the operations grouped by tag, with TypeScript types for their params,
+// bodies and responses, and the component schemas as TypeScript
+// declarations. Only local `#/components/...` references are followed.
+
+import path from 'path'
+import fs from 'fs'
+import YAML from 'yaml'
+import { CliError } from './cli.js'
+import { toCamelCase, toKebabCase, toPascalCase } from './naming.js'
+import { docComment, propertyKey } from '../templates/apiFiles.js'
+
+const methods = ['get', 'post', 'put', 'patch', 'delete']
+
+/**
+ * Parses `specPath` and checks that it is an OpenAPI 3 document with paths.
+ */
+export function loadSpec(specPath) {
+  if (!fs.existsSync(specPath)) {
+    throw new CliError(`OpenAPI document not found: ${specPath}`)
+  }
+
+  let spec
+  try {
+    spec = YAML.parse(fs.readFileSync(specPath, 'utf8'))
+  } catch (error) {
+    throw new CliError(
+      `Could not parse ${path.basename(specPath)}: ${error.message}`,
+    )
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new CliError(`${path.basename(specPath)} is not an OpenAPI document.`)
+  }
+  if (spec.swagger) {
+    throw new CliError(
+      'Swagger 2.0 documents are not supported; convert the document to OpenAPI 3 first.',
+    )
+  }
+  if (!/^3\./.test(String(spec.openapi ?? ''))) {
+    throw new CliError(
+      `${path.basename(specPath)} has no "openapi: 3.x" version field.`,
+    )
+  }
+  if (!spec.paths || typeof spec.paths !== 'object') {
+    throw new CliError(`${path.basename(specPath)} has no paths.`)
+  }
+  return spec
+}
+
+const schemaName = (ref) => {
+  const match = ref.match(/^#\/components\/schemas\/(.+)$/)
+  if (!match) {
+    throw new CliError(
+      `Unsupported $ref "${ref}": only local #/components/schemas references can be used in schemas.`,
+    )
+  }
+  return toPascalCase(match[1])
+}
+
+// Follows a local $ref (parameters, request bodies, responses).
+function resolve(spec, value) {
+  let current = value
+  const seen = new Set()
+  while (current?.$ref) {
+    if (seen.has(current.$ref) || !current.$ref.startsWith('#/')) {
+      throw new CliError(`Cannot resolve $ref "${current.$ref}".`)
+    }
+    seen.add(current.$ref)
+    current = current.$ref
+      .slice(2)
+      .split('/')
+      .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => node?.[part], spec)
+    if (current === undefined) {
+      throw new CliError(`Cannot resolve $ref "${[...seen].at(-1)}".`)
+    }
+  }
+  return current
+}
+
+const literal = (value) =>
+  typeof value === 'string' ? `'${value.replace(/'/g, "\\'")}'` : String(value)
+
+// Parenthesizes unions and intersections used as array items or members.
+const wrap = (type) => (/[|&]/.test(type) ? `(${type})` : type)
+
+function objectType(schema, indent) {
+  const required = new Set(schema.required ?? [])
+  const properties = Object.entries(schema.properties ?? {})
+  const additional = schema.additionalProperties
+  const record =
+    additional === undefined || additional === false
+      ? null
+      : `Record<string, ${additional === true ? 'unknown' : tsType(additional, indent)}>`
+
+  if (properties.length === 0) return record ?? 'Record<string, unknown>'
+
+  const inner = `${indent}  `
+  const members = properties
+    .map(
+      ([name, property]) =>
+        `${docComment(property?.description, inner)}${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${tsType(property, inner)};`,
+    )
+    .join('\n')
+  const literalType = `{\n${members}\n${indent}}`
+  return record ? `${literalType} & ${record}` : literalType
+}
+
+/**
+ * TypeScript type for a JSON schema. `indent` is the indentation of the
+ * line the type starts on, for nested object literals.
+ */
+export function tsType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown'
+  if (schema.$ref) return schemaName(schema.$ref)
+
+  let type
+  if (Array.isArray(schema.enum)) {
+    type = schema.enum.map(literal).join(' | ')
+  } else if (schema.const !== undefined) {
+    type = literal(schema.const)
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf ?? schema.anyOf)
+      .map((member) => wrap(tsType(member, indent)))
+      .join(' | ')
+  } else if (schema.allOf) {
+    type = schema.allOf
+      .map((member) => wrap(tsType(member, indent)))
+      .join(' & ')
+  } else {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    type = types
+      .map((name) => {
+        if (name === 'string')
+          return schema.format === 'binary' ? 'Blob' : 'string'
+        if (name === 'integer' || name === 'number') return 'number'
+        if (name === 'boolean') return 'boolean'
+        if (name === 'null') return 'null'
+        if (name === 'array') return `${wrap(tsType(schema.items, indent))}[]`
+        if (
+          name === 'object' ||
+          schema.properties ||
+          schema.additionalProperties
+        ) {
+          return objectType(schema, indent)
+        }
+        return 'unknown'
+      })
+      .join(' | ')
+  }
+  return schema.nullable ? `${type} | null` : type
+}
+
+// Objects with only named properties become interfaces, the rest type aliases.
+const isPlainObject = (schema) =>
+  Boolean(schema) &&
+  !schema.$ref &&
+  !schema.enum &&
+  schema.const === undefined &&
+  !schema.oneOf &&
+  !schema.anyOf &&
+  !schema.allOf &&
+  !schema.nullable &&
+  (schema.type === 'object' || schema.type === undefined) &&
+  Object.keys(schema.properties ?? {}).length > 0 &&
+  (schema.additionalProperties === undefined ||
+    schema.additionalProperties === false)
+
+/**
+ * `export interface`/`export type` declarations for components.schemas.
+ */
+export function schemaDeclarations(spec) {
+  return Object.entries(spec.components?.schemas ?? {}).map(
+    ([name, schema]) => {
+      const typeName = toPascalCase(name)
+      const type = tsType(schema)
+      const comment = docComment(schema?.description, '')
+      return isPlainObject(schema)
+        ? `${comment}export interface ${typeName} ${type}`
+        : `${comment}export type ${typeName} = ${type};`
+    },
+  )
+}
+
+// JSON-like media types are parsed as JSON by the generated client.
+const jsonMediaType = (content) =>
+  Object.keys(content ?? {}).find((type) =>
+    /^application\/(.+\+)?json/.test(type),
+  )
+
+function requestBody(spec, operation) {
+  const body = resolve(spec, operation.requestBody)
+  if (!body) return null
+  const content = body.content ?? {}
+  const json = jsonMediaType(content)
+  if (json) {
+    return {
+      kind: 'json',
+      type: tsType(content[json].schema, '  '),
+      required: Boolean(body.required),
+    }
+  }
+  if (
+    content['multipart/form-data'] ||
+    content['application/x-www-form-urlencoded']
+  ) {
+    return { kind: 'form', type: 'FormData', required: Boolean(body.required) }
+  }
+  return { kind: 'raw', type: 'Blob', required: Boolean(body.required) }
+}
+
+// Type of the first 2xx response: JSON schema, string for text, void
+// without content.
+function responseType(spec, operation) {
+  const responses = operation.responses ?? {}
+  const status = Object.keys(responses)
+    .filter((code) => /^2(\d\d|XX)$/i.test(code))
+    .sort()[0]
+  if (!status) return 'void'
+
+  const response = resolve(spec, responses[status])
+  const content = response?.content
+  if (!content || Object.keys(content).length === 0) return 'void'
+  const json = jsonMediaType(content)
+  if (json) return tsType(content[json].schema)
+  return Object.keys(content).some((type) => type.startsWith('text/'))
+    ? 'string'
+    : 'unknown'
+}
+
+// `getPostsById` for GET /posts/{id} when there is no operationId.
+const fallbackName = (method, route) => {
+  const words = route
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      const param = segment.match(/^\{(.+)\}$/)
+      return param ? `by ${param[1]}` : segment
+    })
+  return toCamelCase(`${method} ${words.join(' ')}`)
+}
+
+/**
+ * Operations of the document as
+ * `{ name, pascal, method, path, tag, summary, pathParams, queryParams, body, response }`.
+ * `tag` is the kebab-case first tag, or `defaultTag`. Header and cookie
+ * parameters are left to hand-written code.
+ */
+export function readOperations(spec, defaultTag) {
+  const operations = []
+  Object.entries(spec.paths).forEach(([route, pathItem]) => {
+    const shared = pathItem?.parameters ?? []
+    methods.forEach((method) => {
+      const operation = pathItem?.[method]
+      if (!operation) return
+
+      const parameters = new Map()
+      ;[...shared, ...(operation.parameters ?? [])].forEach((parameter) => {
+        const resolved = resolve(spec, parameter)
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved)
+      })
+      const params = (location) =>
+        [...parameters.values()]
+          .filter((parameter) => parameter.in === location)
+          .map((parameter) => ({
+            name: parameter.name,
+            description: parameter.description,
+            required: location === 'path' || Boolean(parameter.required),
+            type: tsType(parameter.schema, '  '),
+          }))
+
+      const name = operation.operationId
+        ? toCamelCase(operation.operationId)
+        : fallbackName(method, route)
+      if (!name || /^[0-9]/.test(name)) {
+        throw new CliError(
+          `${method.toUpperCase()} ${route}: operationId "${operation.operationId}" cannot become a function name.`,
+        )
+      }
+
+      const pathParams = params('path')
+      const queryParams = params('query')
+      if (
+        [...pathParams, ...queryParams].some((param) => param.name === 'body')
+      ) {
+        throw new CliError(
+          `${method.toUpperCase()} ${route}: a parameter named "body" clashes with the request body; rename it in the document.`,
+        )
+      }
+
+      operations.push({
+        name,
+        pascal: toPascalCase(name),
+        method,
+        path: route,
+        tag: toKebabCase(operation.tags?.[0] ?? '') || defaultTag,
+        summary: operation.summary ?? operation.description,
+        pathParams,
+        queryParams,
+        body: requestBody(spec, operation),
+        response: responseType(spec, operation),
+      })
+    })
+  })
+
+  if (operations.length === 0) {
+    throw new CliError(
+      'The document has no GET, POST, PUT, PATCH or DELETE operations.',
+    )
+  }
+  const names = operations.map(({ name }) => name)
+  const duplicates = [
+    ...new Set(names.filter((name, i) => names.indexOf(name) !== i)),
+  ]
+  if (duplicates.length > 0) {
+    throw new CliError(
+      `Operation names must be unique; found ${duplicates.join(', ')} more than once. Set distinct operationIds.`,
+    )
+  }
+  return operations
+}
+
+/**
+ * Base URL from the first server, with server variables set to their
+ * defaults. Empty when the document has no servers.
+ */
+export function serverUrl(spec) {
+  const server = spec.servers?.[0]
+  if (!server?.url) return ''
+  return server.url
+    .replace(
+      /\{([^}]+)\}/g,
+      (match, name) => server.variables?.[name]?.default ?? match,
+    )
+    .replace(/\/+$/, '')
+}
@@ -0,0 +1,155 @@
+// ────────────────────────────────
+// Package managers
+// ────────────────────────────────
+// Commands for npm, pnpm, yarn and bun. New projects use the manager that
+// ran the CLI (or --pm); commands run inside an existing project use the
+// one its lockfile belongs to, so lockfiles never get mixed.
+
+import path from 'path'
+import fs from 'fs'
+import { execSync } from 'child_process'
+
+export const packageManagers = {
+  npm: {
+    lockfile: 'package-lock.json',
+    install: 'npm install',
+    ci: 'npm ci',
+    add: (packages, dev) => `npm install${dev ? ' -D' : ''} ${packages}`,
+    run: (script) => (script === 'test' ? 'npm test' : `npm run ${script}`),
+    dlx: (command) => `npx ${command}`,
+  },
+  pnpm: {
+    lockfile: 'pnpm-lock.yaml',
+    install: 'pnpm install',
+    ci: 'pnpm install --frozen-lockfile',
+    add: (packages, dev) => `pnpm add${dev ? ' -D' : ''} ${packages}`,
+    run: (script) => `pnpm ${script}`,
+    dlx: (command) => `pnpm dlx ${command}`,
+  },
+  yarn: {
+    lockfile: 'yarn.lock',
+    install: 'yarn install',
+    ci: 'yarn install --frozen-lockfile',
+    add: (packages, dev) => `yarn add${dev ? ' -D' : ''} ${packages}`,
+    run: (script) => `yarn ${script}`,
+    // Yarn 1 has no `dlx`; npx comes with Node whichever Yarn runs it.
+    dlx: (command) => `npx ${command}`,
+  },
+  bun: {
+    lockfile: 'bun.lock',
+    install: 'bun install',
+    ci: 'bun install --frozen-lockfile',
+    add: (packages, dev) => `bun add${dev ? ' -d' : ''} ${packages}`,
+    // `bun test` would start Bun's own test runner instead of the script.
+    run: (script) => `bun run ${script}`,
+    dlx: (command) => `bunx ${command}`,
+  },
+}
+
+export const packageManagerNames = Object.keys(packageManagers)
+
+/**
+ * The manager that invoked the CLI, read from `npm_config_user_agent`
+ * (e.g. "pnpm/9.12.0 npm/? node/v20.18.0 linux x64"). Defaults to npm.
+ */
+export function detectPackageManager(
+  userAgent = process.env.npm_config_user_agent ?? '',
+) {
+  const name = userAgent.split('/')[0]
+  return packageManagerNames.includes(name) ? name : 'npm'
+}
+
+/**
+ * The manager an existing project uses: its lockfile, then the
+ * `packageManager` field of package.json, then npm.
+ */
+export function projectPackageManager(projectPath) {
+  const lockfiles = {
+    ...Object.fromEntries(
+      packageManagerNames.map((name) => [packageManagers[name].lockfile, name]),
+    ),
+    'bun.lockb': 'bun',
+  }
+  const found = Object.keys(lockfiles).find((file) =>
+    fs.existsSync(path.join(projectPath, file)),
+  )
+  if (found) return lockfiles[found]
+
+  const packageJsonPath = path.join(projectPath, 'package.json')
+  if (fs.existsSync(packageJsonPath)) {
+    const field = JSON.parse(
+      fs.readFileSync(packageJsonPath, 'utf8'),
+    ).packageManager
+    const name = typeof field === 'string' ? field.split('@')[0] : undefined
+    if (packageManagerNames.includes(name)) return name
+  }
+  return 'npm'
+}
+
+/**
+ * `name@version` for package.json's `packageManager` field, which Corepack
+ * and pnpm/action-setup read. Null when the manager isn't on the PATH.
+ */
+export function packageManagerSpec(name) {
+  try {
+    const version = execSync(`${name} --version`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim()
+    return `${name}@${version}`
+  } catch {
+    return null
+  }
+}
+
+// Commands for the manager of an existing project.
+export const projectCommands = (projectPath) =>
+  packageManagers[projectPackageManager(projectPath)]
+
+// Steps that install the manager and restore its cache in GitHub Actions.
+const workflowSetupSteps = {
+  npm: `      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '22'
+          cache: 'npm'`,
+  pnpm: `      - name: Set up pnpm
+        uses: pnpm/action-setup@v4
+
+      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '22'
+          cache: 'pnpm'`,
+  yarn: `      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '22'
+          cache: 'yarn'`,
+  bun: `      - name: Set up Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '22'
+
+      - name: Set up Bun
+        uses: oven-sh/setup-bun@v2`,
+}
+
+/**
+ * Rewrites a bundled workflow (written for npm) for `name`: setup and cache
+ * steps, the frozen-lockfile install and every `npm run`/`npm test` step.
+ */
+export function renderWorkflow(source, name) {
+  const pm = packageManagers[name]
+  return source
+    .replace(
+      /^ {6}- name: Set up Node\.js\n {8}uses: actions\/setup-node@v4\n {8}with:\n {10}node-version: '22'$/m,
+      workflowSetupSteps[name],
+    )
+    .replace(/^(\s+run: )npm ci$/gm, `$1${pm.ci}`)
+    .replace(/^(\s+run: )npm test$/gm, `$1${pm.run('test')}`)
+    .replace(
+      /^(\s+run: )npm run ([\w:-]+)$/gm,
+      (_, prefix, script) => `${prefix}${pm.run(script)}`,
+    )
+}
@@ -0,0 +1,178 @@
+// ────────────────────────────────
+// Scaffold plans
+// ────────────────────────────────
+// A plan is the ordered list of steps that builds a project. Each step is
+// either a command (`{ label, command(dir), cwd }`, e.g. an install) or a
+// file step (`{ label, run(dir) }`) that creates folders and writes files.
+//
+// Plans run in a staging folder next to the target, which is swapped in
+// only after every step succeeded; on failure the staging folder is removed
+// and an existing project folder is left exactly as it was.
+// `--dry-run` runs the file steps in a temp folder, skips the commands and
+// reports what would be created.
+
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+import { execSync } from 'child_process'
+import chalk from 'chalk'
+import { CliError } from './cli.js'
+
+// Folder to run a step's command in: the project itself, or its parent
+// for commands that create the project folder (create-next-app).
+const commandCwd = (step, dir) =>
+  step.cwd === 'parent' ? path.dirname(dir) : dir
+
+function runStep(step, dir) {
+  if (step.label) console.log(chalk.blue(step.label))
+  if (step.command) {
+    execSync(step.command(dir), {
+      cwd: commandCwd(step, dir),
+      stdio: 'inherit',
+      shell: true,
+    })
+  } else {
+    step.run(dir)
+  }
+}
+
+/**
+ * Runs `plan` for `projectPath`. Throws a CliError naming the failed step;
+ * nothing outside the staging folder has been touched at that point.
+ */
+export function runPlan(plan, projectPath) {
+  const name = path.basename(projectPath)
+  const stagingPath = path.join(
+    path.dirname(projectPath),
+    `${name}-lscs-staging-${process.pid}`,
+  )
+  const backupPath = path.join(
+    path.dirname(projectPath),
+    `${name}-lscs-backup-${process.pid}`,
+  )
+  const existed = fs.existsSync(projectPath)
+
+  fs.mkdirSync(stagingPath, { recursive: true })
+  for (const step of plan) {
+    try {
+      runStep(step, stagingPath)
+    } catch (err) {
+      fs.rmSync(stagingPath, { recursive: true, force: true })
+      throw new CliError(
+        `"${step.label ?? 'Unnamed step'}" failed: ${String(err.message).split('\n')[0]}\n` +
+          (existed
+            ? `   "${name}" was left unchanged.`
+            : `   Nothing was created.`),
+      )
+    }
+  }
+
+  if (existed) fs.renameSync(projectPath, backupPath)
+  try {
+    fs.renameSync(stagingPath, projectPath)
+  } catch (err) {
+    if (existed) fs.renameSync(backupPath, projectPath)
+    throw new CliError(
+      `Could not move the new project into "${name}": ${err.message}\n   The finished project is in ${stagingPath}.`,
+    )
+  }
+  if (existed) fs.rmSync(backupPath, { recursive: true, force: true })
+}
+
+function listTree(root, dir = root) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name)
+      const relativePath = path
+        .relative(root, fullPath)
+        .split(path.sep)
+        .join('/')
+      return entry.isDirectory()
+        ? [
+            { path: `${relativePath}/`, type: 'dir' },
+            ...listTree(root, fullPath),
+          ]
+        : [{ path: relativePath, type: 'file' }]
+    })
+}
+
+/**
+ * Runs the file steps of `plan` in a temp folder and passes that folder and
+ * the skipped commands to `callback`, whose result is returned. The folder
+ * is removed afterwards. A step's `dryRun(dir)` stands in for commands
+ * whose output later steps build on.
+ */
+export function withSimulatedPlan(plan, projectPath, callback) {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'lscs-dry-run-'))
+  const dir = path.join(tempRoot, path.basename(projectPath))
+  fs.mkdirSync(dir)
+
+  const commands = []
+  try {
+    plan.forEach((step) => {
+      if (step.command) {
+        commands.push({
+          label: step.label,
+          cwd: commandCwd(step, projectPath),
+          command: step.command(projectPath),
+        })
+        step.dryRun?.(dir)
+      } else {
+        step.run(dir)
+      }
+    })
+    return callback(dir, commands)
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true })
+  }
+}
+
+/**
+ * What `plan` would do for `projectPath`, without touching it:
+ * `{ target, commands, entries }`.
+ */
+export const simulatePlan = (plan, projectPath) =>
+  withSimulatedPlan(plan, projectPath, (dir, commands) => ({
+    target: projectPath,
+    commands,
+    entries: listTree(dir),
+  }))
+
+/**
+ * Text output for `--dry-run`: the commands in order, then the file tree.
+ */
+export function formatPlanTree({ target, commands, entries }) {
+  const lines = [chalk.bold(`Plan for ${target}`), '', chalk.bold('Commands:')]
+  commands.forEach(({ command, cwd }, index) => {
+    lines.push(`  ${index + 1}. ${command} ${chalk.gray(`(in ${cwd})`)}`)
+  })
+
+  lines.push('', chalk.bold('Files:'), `${path.basename(target)}/`)
+  const renderLevel = (prefix, parent) => {
+    const children = entries.filter(
+      (entry) =>
+        entry.path.startsWith(parent) &&
+        !entry.path.slice(parent.length).replace(/\/$/, '').includes('/') &&
+        entry.path !== parent,
+    )
+    children.forEach((entry, index) => {
+      const last = index === children.length - 1
+      lines.push(
+        `${prefix}${last ? '└── ' : '├── '}${entry.path.slice(parent.length)}`,
+      )
+      if (entry.type === 'dir') {
+        renderLevel(`${prefix}${last ? '    ' : '│   '}`, entry.path)
+      }
+    })
+  }
+  renderLevel('', '')
+  lines.push(
+    '',
+    chalk.gray(
+      `${entries.filter((entry) => entry.type === 'file').length} files; installed packages and lockfiles are not shown.`,
+    ),
+  )
+  return lines.join('\n')
+}
@@ -0,0 +1,432 @@
+// ────────────────────────────────
+// Presets
+// ────────────────────────────────
+// A preset is a folder with a `preset.json` that declares the stack a
+// project is created with: src/ folders, the folders of every feature,
+// packages, scripts, files to copy and extra prompts. `--preset` takes the
+// name of a bundled preset (presets/), a folder path or an installed npm
+// package; `lscs-rnd` is the default. See presets/README.md for the schema.
+//
+// The CLI's own generated files (env config, state stack, test configs,
+// ...) are not part of a preset, but the packages they import are: only
+// the preset's `dependencies` and `devDependencies` are installed.
+
+import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { CliError } from './cli.js'
+import { deploySettings, renderDeployment, validateWorkflow } from './deploy.js'
+import { hasDb } from './db.js'
+import { readManifest } from './manifest.js'
+import { projectPackageManager, renderWorkflow } from './packageManager.js'
+import { readPackageJson } from './project.js'
+
+export const defaultPresetName = 'lscs-rnd'
+export const presetsDir = fileURLToPath(new URL('../presets', import.meta.url))
+
+const presetFileName = 'preset.json'
+
+// Answers of the built-in questions; `when` may name them, prompts may not
+// reuse them.
+const builtInAnswers = ['shadcn', 'db', 'auth', 'workflows', 'compose', 'git']
+const reservedNames = [
+  'brand',
+  ...builtInAnswers,
+  'projectName',
+  'overwrite',
+  'packageManager',
+  'preset',
+  'deployTarget',
+  'devBranch',
+  'stagingBranch',
+  'prodBranch',
+  'remote',
+  'templateDir',
+  'latest',
+]
+
+const knownKeys = [
+  'name',
+  'description',
+  'srcDirs',
+  'featureDirs',
+  'dependencies',
+  'devDependencies',
+  'scripts',
+  'files',
+  'skills',
+  'prompts',
+]
+const promptTypes = ['confirm', 'input', 'list']
+const doctorChecks = ['present', 'unchanged']
+
+// Folder presets are given as ./path, ../path or an absolute path, so
+// scoped package names (@scope/preset) are not mistaken for folders.
+const isPathSpec = (spec) => spec.startsWith('.') || path.isAbsolute(spec)
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Relative, forward-slash paths that stay inside their root.
+const isRelativePath = (value) =>
+  typeof value === 'string' &&
+  value !== '' &&
+  !path.isAbsolute(value) &&
+  !value.split('/').includes('..') &&
+  !value.includes('\\')
+
+const fromPosix = (relativePath) => path.join(...relativePath.split('/'))
+
+export const bundledPresets = () =>
+  fs
+    .readdirSync(presetsDir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(presetsDir, entry.name, presetFileName)),
+    )
+    .map((entry) => entry.name)
+
+// node_modules/<spec> in `from` or any parent folder, then next to the CLI
+// (e.g. `npx -p <preset> -p create-lscs-next-app`).
+function findPackage(spec, from) {
+  const roots = [from, fileURLToPath(new URL('..', import.meta.url))]
+  for (const root of roots) {
+    let dir = path.resolve(root)
+    while (true) {
+      const candidate = path.join(dir, 'node_modules', spec)
+      if (fs.existsSync(path.join(candidate, presetFileName))) return candidate
+      const parent = path.dirname(dir)
+      if (parent === dir) break
+      dir = parent
+    }
+  }
+  return null
+}
+
+function resolvePresetDir(spec, from) {
+  if (isPathSpec(spec)) {
+    const dir = path.resolve(from, spec)
+    if (!fs.existsSync(path.join(dir, presetFileName))) {
+      throw new CliError(`No ${presetFileName} found in ${dir}.`)
+    }
+    return { dir, kind: 'path' }
+  }
+
+  if (bundledPresets().includes(spec)) {
+    return { dir: path.join(presetsDir, spec), kind: 'bundled' }
+  }
+  const packageDir = findPackage(spec, from)
+  if (packageDir) return { dir: packageDir, kind: 'package' }
+
+  throw new CliError(
+    `Preset "${spec}" not found. Use a bundled preset (${bundledPresets().join(', ')}), a folder with a ${presetFileName}, or an installed npm package that has one at its root.`,
+  )
+}
+
+function validatePreset(raw, dir) {
+  const errors = []
+  if (!isPlainObject(raw)) return ['must contain a JSON object']
+
+  Object.keys(raw)
+    .filter((key) => !knownKeys.includes(key))
+    .forEach((key) => errors.push(`unknown key "${key}"`))
+
+  if (typeof raw.name !== 'string' || raw.name.trim() === '') {
+    errors.push('name must be a non-empty string')
+  }
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    errors.push('description must be a string')
+  }
+
+  ;['srcDirs', 'featureDirs'].forEach((key) => {
+    if (raw[key] === undefined) return
+    if (!Array.isArray(raw[key])) {
+      errors.push(`${key} must be an array of relative paths`)
+      return
+    }
+    raw[key].forEach((dir, index) => {
+      if (!isRelativePath(dir)) {
+        errors.push(`${key}[${index}] must be a relative path inside src/`)
+      }
+    })
+  })
+
+  const prompts = raw.prompts ?? []
+  if (!Array.isArray(prompts)) {
+    errors.push('prompts must be an array')
+  } else {
+    const seen = new Set()
+    prompts.forEach((prompt, index) => {
+      const at = `prompts[${index}]`
+      if (!isPlainObject(prompt)) {
+        errors.push(`${at} must be an object`)
+        return
+      }
+      if (
+        typeof prompt.name !== 'string' ||
+        !/^[a-zA-Z][a-zA-Z0-9]*$/.test(prompt.name)
+      ) {
+        errors.push(`${at}.name must be a camelCase identifier`)
+      } else if (reservedNames.includes(prompt.name)) {
+        errors.push(`${at}.name "${prompt.name}" is used by the CLI`)
+      } else if (seen.has(prompt.name)) {
+        errors.push(`${at}.name "${prompt.name}" is declared twice`)
+      }
+      seen.add(prompt.name)
+      if (!promptTypes.includes(prompt.type)) {
+        errors.push(`${at}.type must be one of: ${promptTypes.join(', ')}`)
+      }
+      if (typeof prompt.message !== 'string') {
+        errors.push(`${at}.message must be a string`)
+      }
+      if (prompt.type === 'list') {
+        if (
+          !Array.isArray(prompt.choices) ||
+          prompt.choices.length === 0 ||
+          !prompt.choices.every((choice) => typeof choice === 'string')
+        ) {
+          errors.push(`${at}.choices must be a non-empty array of strings`)
+        } else if (
+          prompt.default !== undefined &&
+          !prompt.choices.includes(prompt.default)
+        ) {
+          errors.push(`${at}.default must be one of its choices`)
+        }
+      }
+      const defaultType = prompt.type === 'confirm' ? 'boolean' : 'string'
+      if (
+        prompt.default !== undefined &&
+        typeof prompt.default !== defaultType
+      ) {
+        errors.push(`${at}.default must be a ${defaultType}`)
+      }
+    })
+  }
+
+  const answerNames = [
+    ...builtInAnswers,
+    ...(Array.isArray(prompts) ? prompts.map((prompt) => prompt.name) : []),
+  ]
+  const checkWhen = (at, when) => {
+    if (when !== undefined && !answerNames.includes(when)) {
+      errors.push(
+        `${at}.when must name a prompt or one of: ${builtInAnswers.join(', ')}`,
+      )
+    }
+  }
+
+  ;['dependencies', 'devDependencies'].forEach((key) => {
+    if (raw[key] === undefined) return
+    if (!Array.isArray(raw[key])) {
+      errors.push(`${key} must be an array`)
+      return
+    }
+    raw[key].forEach((entry, index) => {
+      const at = `${key}[${index}]`
+      const name = typeof entry === 'string' ? entry : entry?.name
+      if (typeof name !== 'string' || !/^[^\s"'`$;&|]+$/.test(name)) {
+        errors.push(`${at} must be a package name or { "name", "when" }`)
+      }
+      if (isPlainObject(entry)) checkWhen(at, entry.when)
+    })
+  })
+
+  if (raw.scripts !== undefined) {
+    if (
+      !isPlainObject(raw.scripts) ||
+      !Object.values(raw.scripts).every((value) => typeof value === 'string')
+    ) {
+      errors.push('scripts must map script names to commands')
+    }
+  }
+
+  if (raw.files !== undefined) {
+    if (!Array.isArray(raw.files)) {
+      errors.push('files must be an array')
+    } else {
+      raw.files.forEach((file, index) => {
+        const at = `files[${index}]`
+        if (!isPlainObject(file)) {
+          errors.push(`${at} must be an object`)
+          return
+        }
+        if (!isRelativePath(file.from)) {
+          errors.push(`${at}.from must be a path inside the preset folder`)
+        } else if (!fs.existsSync(path.join(dir, fromPosix(file.from)))) {
+          errors.push(`${at}.from "${file.from}" does not exist`)
+        }
+        if (!isRelativePath(file.to)) {
+          errors.push(`${at}.to must be a path inside the project`)
+        }
+        checkWhen(at, file.when)
+        if (file.doctor !== undefined && !doctorChecks.includes(file.doctor)) {
+          errors.push(`${at}.doctor must be one of: ${doctorChecks.join(', ')}`)
+        }
+      })
+    }
+  }
+
+  if (raw.skills !== undefined) {
+    if (!Array.isArray(raw.skills)) {
+      errors.push('skills must be an array of folders')
+    } else {
+      raw.skills.forEach((skill, index) => {
+        if (!isRelativePath(skill)) {
+          errors.push(`skills[${index}] must be a folder inside the preset`)
+        } else if (
+          !fs.existsSync(path.join(dir, fromPosix(skill), 'SKILL.md'))
+        ) {
+          errors.push(`skills[${index}] "${skill}" has no SKILL.md`)
+        }
+      })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Loads and validates a preset. `spec` is a bundled preset name, a folder
+ * path (resolved from `from`) or an npm package name. Throws a CliError
+ * listing every schema problem.
+ */
+export function loadPreset(
+  spec = defaultPresetName,
+  { from = process.cwd() } = {},
+) {
+  const { dir, kind } = resolvePresetDir(spec, from)
+  const filePath = path.join(dir, presetFileName)
+
+  let raw
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new CliError(`${filePath} is not valid JSON: ${err.message}`)
+  }
+  const errors = validatePreset(raw, dir)
+  if (errors.length > 0) {
+    throw new CliError(
+      `Invalid preset ${filePath}:\n${errors.map((error) => `   - ${error}`).join('\n')}`,
+    )
+  }
+
+  const packages = (entries = []) =>
+    entries.map((entry) =>
+      typeof entry === 'string' ? { name: entry } : { ...entry },
+    )
+  return {
+    name: raw.name,
+    description: raw.description ?? '',
+    spec,
+    kind,
+    dir,
+    srcDirs: (raw.srcDirs ?? []).map(fromPosix),
+    featureDirs: (raw.featureDirs ?? []).map(fromPosix),
+    dependencies: packages(raw.dependencies),
+    devDependencies: packages(raw.devDependencies),
+    scripts: raw.scripts ?? {},
+    files: (raw.files ?? []).map((file) => ({
+      ...file,
+      from: path.join(dir, fromPosix(file.from)),
+      to: fromPosix(file.to),
+    })),
+    skills: (raw.skills ?? []).map((skill) =>
+      path.join(dir, fromPosix(skill), 'SKILL.md'),
+    ),
+    prompts: raw.prompts ?? [],
+  }
+}
+
+/**
+ * How a project refers to its preset in .lscs/manifest.json: the name, or
+ * for folder presets the path relative to the project.
+ */
+export function presetReference(preset, projectPath) {
+  if (preset.kind !== 'path') return preset.spec
+  const relative = path
+    .relative(projectPath, preset.dir)
+    .split(path.sep)
+    .join('/')
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
+
+// Answers for projects without a manifest, read from what exists on disk.
+function inferOptions(projectPath) {
+  const exists = (...parts) => fs.existsSync(path.join(projectPath, ...parts))
+  return {
+    projectName:
+      readPackageJson(projectPath).name ?? path.basename(projectPath),
+    packageManager: projectPackageManager(projectPath),
+    preset: defaultPresetName,
+    shadcn: exists('components.json'),
+    db: hasDb(projectPath),
+    auth: exists('src', 'lib', 'auth.ts'),
+    workflows: exists('.github', 'workflows'),
+    compose: exists('compose.yml'),
+    git: exists('.githooks'),
+    // The deployment workflow was edited by hand before it was rendered,
+    // so it is left alone; see lib/deploy.js.
+    deployTarget: 'none',
+  }
+}
+
+/**
+ * The preset recorded in the project's manifest and the answers it was
+ * created with; projects without a manifest get the default preset and
+ * answers read from what exists on disk.
+ */
+export function projectPreset(projectPath) {
+  const options =
+    readManifest(projectPath)?.options ?? inferOptions(projectPath)
+  const preset = loadPreset(options.preset ?? defaultPresetName, {
+    from: projectPath,
+  })
+  return { preset, options }
+}
+
+// Entries whose `when` answer is truthy (or that have none).
+const applies = (answers) => (entry) =>
+  !entry.when || Boolean(answers[entry.when])
+
+export const presetPackages = (preset, key, answers) =>
+  preset[key].filter(applies(answers)).map((entry) => entry.name)
+
+// `dayjs@^1` → `dayjs`, `@scope/pkg@2` → `@scope/pkg`
+export const packageName = (spec) => spec.replace(/(?<=.)@.*$/, '')
+
+export const presetFiles = (preset, answers) =>
+  preset.files.filter(applies(answers))
+
+/**
+ * Copies the preset's files into `projectPath`. YAML files under .github/
+ * are rendered for the package manager (see renderWorkflow) and the
+ * deployment target and branches (see lib/deploy.js), then validated;
+ * workflows left without jobs are not written.
+ */
+export function copyPresetFiles(projectPath, preset, answers) {
+  const copy = (src, dest) => {
+    if (fs.statSync(src).isDirectory()) {
+      fs.readdirSync(src).forEach((name) =>
+        copy(path.join(src, name), path.join(dest, name)),
+      )
+      return
+    }
+    const target = path.join(projectPath, dest)
+    const isWorkflow =
+      dest.split(path.sep)[0] === '.github' && /\.ya?ml$/.test(dest)
+    if (isWorkflow) {
+      const source = renderDeployment(
+        renderWorkflow(fs.readFileSync(src, 'utf8'), answers.packageManager),
+        deploySettings(answers),
+      )
+      if (!validateWorkflow(source, dest.split(path.sep).join('/'))) return
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.writeFileSync(target, source)
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.copyFileSync(src, target)
+    }
+  }
+  presetFiles(preset, answers).forEach((file) => copy(file.from, file.to))
+}
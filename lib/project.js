@@ -0,0 +1,189 @@
+// ────────────────────────────────
+// Project structure
+// ────────────────────────────────
+// What a scaffolded project is supposed to contain, beyond what its preset
+// declares (see lib/preset.js). New-project mode creates it and `doctor`
+// compares existing projects against it, so keep both in sync by changing
+// this file rather than either command.
+
+import path from 'path'
+import fs from 'fs'
+import { execSync } from 'child_process'
+import { CliError } from './cli.js'
+import { projectCommands } from './packageManager.js'
+
+export const atomicDirs = ['atoms', 'molecules', 'organisms']
+
+// Packages generated feature code imports; `feature` points out the ones
+// a project lacks. What gets installed comes from the preset alone.
+export const featureDependencies = ['@tanstack/react-query']
+
+export const prettierConfig = {
+  semi: true,
+  singleQuote: true,
+  tabWidth: 2,
+  trailingComma: 'all',
+  printWidth: 80,
+}
+
+export const prettierIgnore = ['node_modules', 'dist', '.next', 'coverage']
+
+// Paths referenced by the generated test configs.
+export const testSetupPath = path.join('src', '__tests__', 'setup.ts')
+export const cypressSupportPath = path.join('cypress', 'support', 'e2e.ts')
+export const cypressCommandsPath = path.join(
+  'cypress',
+  'support',
+  'commands.ts',
+)
+
+/**
+ * Creates `dirPath` with a `.gitkeep`, or the atomic subfolders (each with a
+ * `.gitkeep`) when it is a `components` folder.
+ */
+export function createKeptDir(dirPath) {
+  fs.mkdirSync(dirPath, { recursive: true })
+
+  if (path.basename(dirPath) === 'components') {
+    atomicDirs.forEach((sub) => {
+      const subDir = path.join(dirPath, sub)
+      fs.mkdirSync(subDir, { recursive: true })
+      fs.writeFileSync(path.join(subDir, '.gitkeep'), '')
+    })
+  } else {
+    fs.writeFileSync(path.join(dirPath, '.gitkeep'), '')
+  }
+}
+
+/**
+ * Writes a `{ relativePath: contents }` map of files under `projectPath`.
+ */
+export function writeFiles(projectPath, files) {
+  Object.entries(files).forEach(([relativePath, contents]) => {
+    const filePath = path.join(projectPath, relativePath)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, contents)
+  })
+}
+
+/**
+ * `source` with its generated region, from the line starting with `start`
+ * to the `end` line, replaced by `region` (markers included). Null when the
+ * file has no region.
+ */
+export function replaceRegion(source, region, { start, end }) {
+  const lines = source.split('\n')
+  const startLine = lines.findIndex((line) => line.startsWith(start))
+  if (startLine === -1) return null
+  const endLine = lines.findIndex((line, i) => i > startLine && line === end)
+  if (endLine === -1) {
+    throw new CliError(`"${start}" without a matching "${end}".`)
+  }
+  return [
+    ...lines.slice(0, startLine),
+    region,
+    ...lines.slice(endLine + 1),
+  ].join('\n')
+}
+
+/**
+ * Installs `packages` with the project's package manager (see
+ * projectPackageManager in lib/packageManager.js).
+ */
+export function installPackages(projectPath, packages, { dev = false } = {}) {
+  if (packages.length === 0) return
+  const pm = projectCommands(projectPath)
+  execSync(pm.add(packages.join(' '), dev), {
+    cwd: projectPath,
+    stdio: 'inherit',
+    shell: true,
+  })
+}
+
+/**
+ * Packages from `packages` that the project's package.json doesn't declare.
+ */
+export function undeclaredPackages(projectPath, packages) {
+  const packageJson = readPackageJson(projectPath)
+  const declared = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  }
+  return packages.filter((dep) => !declared[dep])
+}
+
+/**
+ * Adds scripts the project doesn't define yet; existing ones are kept.
+ * Returns the names that were added.
+ */
+export function addScripts(projectPath, scripts) {
+  const packageJson = readPackageJson(projectPath)
+  const added = Object.keys(scripts).filter(
+    (name) => !packageJson.scripts?.[name],
+  )
+  if (added.length === 0) return added
+
+  packageJson.scripts = {
+    ...packageJson.scripts,
+    ...Object.fromEntries(added.map((name) => [name, scripts[name]])),
+  }
+  writePackageJson(projectPath, packageJson)
+  return added
+}
+
+/**
+ * Appends `KEY=value` lines for keys missing from an env file (creating it
+ * if needed). Returns the keys that were added.
+ */
+export function addEnvVars(projectPath, fileName, vars) {
+  const filePath = path.join(projectPath, fileName)
+  const existing = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : ''
+  const declared = new Set(
+    existing
+      .split(/\r?\n/)
+      .map((line) =>
+        line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/),
+      )
+      .filter(Boolean)
+      .map((match) => match[1]),
+  )
+
+  const added = Object.keys(vars).filter((key) => !declared.has(key))
+  if (added.length === 0) return added
+
+  const lines = added.map((key) => `${key}=${vars[key]}`)
+  const separator = existing === '' || existing.endsWith('\n') ? '' : '\n'
+  fs.writeFileSync(filePath, `${existing}${separator}${lines.join('\n')}\n`)
+  return added
+}
+
+/**
+ * Appends missing entries to .gitignore (creating it if needed).
+ */
+export function addGitignoreEntries(projectPath, entries) {
+  const filePath = path.join(projectPath, '.gitignore')
+  const existing = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : ''
+  const lines = new Set(existing.split(/\r?\n/).map((line) => line.trim()))
+  const missing = entries.filter((entry) => !lines.has(entry))
+  if (missing.length === 0) return
+
+  const separator = existing === '' || existing.endsWith('\n') ? '' : '\n'
+  fs.writeFileSync(filePath, `${existing}${separator}${missing.join('\n')}\n`)
+}
+
+export function readPackageJson(projectPath) {
+  return JSON.parse(
+    fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'),
+  )
+}
+
+export function writePackageJson(projectPath, packageJson) {
+  fs.writeFileSync(
+    path.join(projectPath, 'package.json'),
+    `${JSON.stringify(packageJson, null, 2)}\n`,
+  )
+}
@@ -0,0 +1,322 @@
+// ────────────────────────────────
+// Route scaffolding
+// ────────────────────────────────
+// App Router segments for `route <path> [--feature <name>] [--api]`: the
+// page, loading and error files under src/app, optionally wired to a
+// feature's container, and with --api a route handler under src/app/api
+// plus the matching fetch call in the feature's services/.
+
+import path from 'path'
+import fs from 'fs'
+import { CliError } from './cli.js'
+import { featureNames, toKebabCase, toPascalCase } from './naming.js'
+import { hasGeneratedBarrel, syncFeatureBarrel } from './barrels.js'
+import {
+  apiRoute,
+  responseType,
+  routeError,
+  routeLoading,
+  routePage,
+  serviceFetch,
+} from '../templates/routeFiles.js'
+
+const kebabPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/
+const paramPattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+
+// One path segment as `{ kind, name }`; kind is static, group, param,
+// catchAll or optionalCatchAll.
+function parseSegment(segment) {
+  const match =
+    segment.match(/^\[\[\.\.\.(.+)\]\]$/) ?? segment.match(/^\[\.\.\.(.+)\]$/)
+  if (match) {
+    const kind = segment.startsWith('[[') ? 'optionalCatchAll' : 'catchAll'
+    return { kind, name: match[1] }
+  }
+  if (/^\[.+\]$/.test(segment)) {
+    return { kind: 'param', name: segment.slice(1, -1) }
+  }
+  if (/^\(.+\)$/.test(segment)) {
+    return { kind: 'group', name: segment.slice(1, -1) }
+  }
+  return { kind: 'static', name: segment }
+}
+
+/**
+ * Splits an App Router path such as `blog/[slug]` or `(shop)/cart` into
+ * segments and checks them against the naming table: kebab-case folders,
+ * camelCase params, catch-alls last. Throws a CliError otherwise.
+ */
+export function parseRoutePath(input) {
+  const raw = String(input ?? '')
+    .trim()
+    .replace(/^\/+|\/+$/g, '')
+  if (!raw) throw new CliError('Route path is required, e.g. blog/[slug].')
+
+  const segments = raw.split('/').map((segment) => {
+    if (/^[@_]|^\(\.+\)/.test(segment)) {
+      throw new CliError(
+        `"${segment}": parallel, private and intercepting segments are not generated; create them by hand.`,
+      )
+    }
+    return { ...parseSegment(segment), raw: segment }
+  })
+
+  const names = new Set()
+  segments.forEach(({ kind, name, raw: segment }, index) => {
+    if (kind === 'static' || kind === 'group') {
+      if (!kebabPattern.test(name)) {
+        const suggestion = toKebabCase(name)
+        throw new CliError(
+          `Route segment "${segment}" must be kebab-case` +
+            (suggestion
+              ? ` (did you mean "${kind === 'group' ? `(${suggestion})` : suggestion}"?)`
+              : '.'),
+        )
+      }
+      return
+    }
+    if (!paramPattern.test(name)) {
+      throw new CliError(
+        `Param "${segment}" must be a TypeScript identifier, e.g. [id] or [postId].`,
+      )
+    }
+    if (names.has(name)) {
+      throw new CliError(`Param "${name}" is used twice in "${raw}".`)
+    }
+    names.add(name)
+    if (kind !== 'param' && index !== segments.length - 1) {
+      throw new CliError(`Catch-all segment "${segment}" must be the last one.`)
+    }
+  })
+
+  if (segments.every(({ kind }) => kind === 'group')) {
+    throw new CliError(
+      `"${raw}" is the home page; edit src/app/page.tsx instead.`,
+    )
+  }
+  if (segments[0].kind === 'static' && segments[0].name === 'api') {
+    throw new CliError(
+      'Pages cannot live under src/app/api; pass --api to add a route handler.',
+    )
+  }
+  return segments
+}
+
+// The segments the URL is made of (route groups do not appear in it).
+const urlSegments = (segments) =>
+  segments.filter(({ kind }) => kind !== 'group')
+
+const displayPath = (segments) =>
+  `/${urlSegments(segments)
+    .map(({ raw }) => raw)
+    .join('/')}`
+
+// Where app code imports the feature from: its index.ts, unless that
+// barrel is hand-written and may not export what the route needs.
+const featureImportPath = (projectPath, kebab, deepPath) =>
+  hasGeneratedBarrel(projectPath, kebab)
+    ? `@/features/${kebab}`
+    : `@/features/${kebab}/${deepPath}`
+
+// Container rendered by the page: `<Name>ListContainer.tsx` when the feature
+// has the starter one, otherwise the first container in alphabetical order.
+function findContainer(projectPath, names) {
+  const dir = path.join('src', 'features', names.kebab, 'containers')
+  const absoluteDir = path.join(projectPath, dir)
+  const containers = fs.existsSync(absoluteDir)
+    ? fs
+        .readdirSync(absoluteDir)
+        .filter((file) => /^[A-Z][a-zA-Z0-9]*\.tsx$/.test(file))
+        .sort()
+    : []
+  const file =
+    containers.find((name) => name === `${names.pascal}ListContainer.tsx`) ??
+    containers[0]
+  if (!file) {
+    throw new CliError(
+      `Feature "${names.kebab}" has no container in ${dir.split(path.sep).join('/')}/ to render.`,
+    )
+  }
+  const name = file.replace(/\.tsx$/, '')
+  // The barrel re-exports the default export under the container's name.
+  const named = hasGeneratedBarrel(projectPath, names.kebab)
+  return {
+    name,
+    named,
+    importPath: featureImportPath(
+      projectPath,
+      names.kebab,
+      `containers/${name}`,
+    ),
+  }
+}
+
+// Adds `name` to the file's type import from `from`, or a new import line
+// after the last import.
+function addTypeImport(source, name, from) {
+  const existing = new RegExp(
+    `import type \\{([^}]*)\\} from '${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}';`,
+  )
+  const match = source.match(existing)
+  if (match) {
+    const imported = match[1]
+      .split(',')
+      .map((part) => part.trim())
+      .filter(Boolean)
+    return source.replace(
+      existing,
+      `import type { ${[...imported, name].join(', ')} } from '${from}';`,
+    )
+  }
+
+  const line = `import type { ${name} } from '${from}';\n`
+  const imports = [...source.matchAll(/^import [^;]+;\n/gm)]
+  if (imports.length === 0) return `${line}\n${source}`
+  const last = imports.at(-1)
+  const end = last.index + last[0].length
+  return source.slice(0, end) + line + source.slice(end)
+}
+
+/**
+ * Writes the segment's page.tsx, loading.tsx and error.tsx and, with `api`,
+ * src/app/api/<path>/route.ts; with a `feature`, the page renders its
+ * container and the handler's response type and fetch call go into the
+ * feature's types/ and services/. Nothing is written when a target file
+ * already exists. The feature's index.ts is refreshed to export the new
+ * type. Returns `{ created, updated }` relative to the project.
+ */
+export function scaffoldRoute(projectPath, routePath, { feature, api } = {}) {
+  const segments = parseRoutePath(routePath)
+  const urlParts = urlSegments(segments)
+  const params = urlParts.filter(({ kind }) => kind !== 'static')
+  const name = toPascalCase(urlParts.map(({ name }) => name).join(' '))
+  const title = urlParts.map((segment) =>
+    segment.kind === 'static'
+      ? toPascalCase(segment.name).replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      : segment,
+  )
+
+  let names
+  let container
+  if (feature) {
+    names = featureNames(feature)
+    const featureDir = path.join('src', 'features', names.kebab)
+    if (!fs.existsSync(path.join(projectPath, featureDir))) {
+      throw new CliError(
+        `Feature "${feature}" does not exist. Create it first with: npx create-lscs-next-app feature ${feature}`,
+      )
+    }
+    container = findContainer(projectPath, names)
+  }
+
+  const pageDir = path.join('src', 'app', ...segments.map(({ raw }) => raw))
+  const files = {
+    [path.join(pageDir, 'page.tsx')]: routePage({
+      name,
+      title,
+      params,
+      container,
+    }),
+    [path.join(pageDir, 'loading.tsx')]: routeLoading({ name }),
+    [path.join(pageDir, 'error.tsx')]: routeError({ name }),
+  }
+  const updates = {}
+
+  if (api) {
+    const apiPath = `/api${displayPath(segments)}`
+    const apiDir = path.join(
+      'src',
+      'app',
+      'api',
+      ...urlParts.map(({ raw }) => raw),
+    )
+    let response
+    if (names) {
+      const typesFile = path.join(
+        'src',
+        'features',
+        names.kebab,
+        'types',
+        `${names.kebab}.types.ts`,
+      )
+      const serviceFile = path.join(
+        'src',
+        'features',
+        names.kebab,
+        'services',
+        `${names.kebab}.service.ts`,
+      )
+      response = {
+        name: `${name}Response`,
+        importPath: featureImportPath(
+          projectPath,
+          names.kebab,
+          `types/${names.kebab}.types`,
+        ),
+      }
+      const functionName = `fetch${name}`
+      const read = (file) =>
+        fs.existsSync(path.join(projectPath, file))
+          ? fs.readFileSync(path.join(projectPath, file), 'utf8')
+          : ''
+
+      const types = read(typesFile)
+      if (new RegExp(`\\b${response.name}\\b`).test(types)) {
+        throw new CliError(`${response.name} already exists in ${typesFile}.`)
+      }
+      const service = read(serviceFile)
+      if (new RegExp(`\\b${functionName}\\b`).test(service)) {
+        throw new CliError(`${functionName} already exists in ${serviceFile}.`)
+      }
+
+      updates[typesFile] =
+        (types ? `${types.trimEnd()}\n` : '') +
+        responseType({ name: response.name, apiPath, params })
+      updates[serviceFile] =
+        (service
+          ? `${addTypeImport(service, response.name, `../types/${names.kebab}.types`).trimEnd()}\n`
+          : `import type { ${response.name} } from '../types/${names.kebab}.types';\n`) +
+        serviceFetch({
+          functionName,
+          apiPath,
+          segments: urlParts,
+          params,
+          response: response.name,
+        })
+    }
+    files[path.join(apiDir, 'route.ts')] = apiRoute({
+      apiPath,
+      params,
+      response,
+    })
+  }
+
+  const existing = Object.keys(files).filter((file) =>
+    fs.existsSync(path.join(projectPath, file)),
+  )
+  if (existing.length > 0) {
+    throw new CliError(`Refusing to overwrite: ${existing.join(', ')}`)
+  }
+
+  const write = ([relativePath, contents]) => {
+    const filePath = path.join(projectPath, relativePath)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, contents)
+  }
+  const updated = Object.keys(updates).filter((file) =>
+    fs.existsSync(path.join(projectPath, file)),
+  )
+  Object.entries(files).forEach(write)
+  Object.entries(updates).forEach(write)
+  const created = [
+    ...Object.keys(files),
+    ...Object.keys(updates).filter((file) => !updated.includes(file)),
+  ]
+
+  if (names) {
+    const barrel = syncFeatureBarrel(projectPath, names.kebab)
+    if (barrel.status === 'created') created.push(barrel.file)
+    if (barrel.status === 'updated') updated.push(barrel.file)
+  }
+  return { created, updated }
+}
@@ -0,0 +1,363 @@
+// ────────────────────────────────
+// New project plan
+// ────────────────────────────────
+// Every step of new-project mode, in order, as a plan for lib/plan.js.
+// Steps receive the folder they build in (a staging or dry-run folder),
+// never the final project path.
+
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+import chalk from 'chalk'
+import { createBaseProject } from './base.js'
+import { addAuth } from './auth.js'
+import { addBoundaryRules } from './boundaries.js'
+import { addDb } from './db.js'
+import { setupEnvConfig } from './env.js'
+import { addDocker } from './docker.js'
+import { deploySettings } from './deploy.js'
+import { addGitHooks, gitSteps } from './git.js'
+import { scaffoldFeature } from './feature.js'
+import { syncBarrels } from './barrels.js'
+import { syncAgentFiles } from './agents.js'
+import { collectGeneratedFiles, writeManifest } from './manifest.js'
+import { packageManagerSpec, packageManagers } from './packageManager.js'
+import { copyPresetFiles, presetPackages, presetReference } from './preset.js'
+import {
+  createKeptDir,
+  cypressCommandsPath,
+  cypressSupportPath,
+  prettierConfig,
+  prettierIgnore,
+  readPackageJson,
+  testSetupPath,
+  writeFiles,
+  writePackageJson,
+} from './project.js'
+import { addTheme, loadBrand } from './theme.js'
+import { addUiPrimitives, uiDependencies } from './ui.js'
+import { authDependencies } from '../templates/authFiles.js'
+import { pinnedVersions } from '../templates/baseFiles.js'
+import { dbDependencies, dbDevDependencies } from '../templates/dbFiles.js'
+import { readmeTemplate } from '../templates/readmeTemplate.js'
+import { stateFiles } from '../templates/stateFiles.js'
+import {
+  cypressCommands,
+  cypressConfig,
+  cypressSupport,
+  testSetup,
+  vitestConfig,
+} from '../templates/testingFiles.js'
+import { defaultUiPrimitives } from '../templates/uiFiles.js'
+
+/**
+ * Steps that create a project from the resolved answers and the loaded
+ * `preset` (see lib/preset.js); answers to the preset's own prompts are
+ * part of `answers`. See lib/plan.js for the step format.
+ */
+export function planProject({ preset, ...answers }) {
+  const {
+    projectName,
+    packageManager,
+    shadcn,
+    db,
+    auth,
+    workflows,
+    compose,
+    deployTarget,
+    devBranch,
+    stagingBranch,
+    prodBranch,
+    git,
+    remote,
+    brand,
+    templateDir,
+    latest,
+  } = answers
+  const pm = packageManagers[packageManager]
+  const name = path.basename(projectName)
+  const install = (label, packages, { dev = false } = {}) => ({
+    label,
+    command: () => pm.add([...new Set(packages)].join(' '), dev),
+  })
+
+  const plan = []
+
+  // Step 2: Create Next.js app
+  if (latest) {
+    plan.push({
+      label: '📦 Creating Next.js app with create-next-app@latest...',
+      cwd: 'parent',
+      command: (dir) =>
+        `npx create-next-app@latest "${path.basename(dir)}" --ts --eslint --tailwind --app --src-dir --import-alias "@/*" --use-${packageManager}`,
+      // Dry runs show the bundled base in place of create-next-app's output.
+      dryRun: (dir) => createBaseProject(dir, { name }),
+    })
+  } else {
+    plan.push({
+      label: `📦 Creating Next.js app from ${templateDir ?? `the bundled template (Next.js ${pinnedVersions.dependencies.next})`}...`,
+      run: (dir) => createBaseProject(dir, { templateDir, name }),
+    })
+  }
+
+  // Pin the manager so Corepack, CI and later `add` commands agree on it.
+  const packageManagerField = packageManagerSpec(packageManager)
+  plan.push({
+    run: (dir) =>
+      writePackageJson(dir, {
+        ...readPackageJson(dir),
+        name,
+        ...(packageManagerField && { packageManager: packageManagerField }),
+      }),
+  })
+  if (!latest) {
+    plan.push({
+      label: `📥 Installing dependencies with ${packageManager}...`,
+      command: () => pm.install,
+    })
+  }
+
+  // Preset packages; a preset without any skips the step.
+  const presetDependencies = presetPackages(preset, 'dependencies', answers)
+  const presetDevDependencies = presetPackages(
+    preset,
+    'devDependencies',
+    answers,
+  )
+  if (presetDependencies.length > 0) {
+    plan.push(
+      install(
+        `📦 Installing ${preset.name} dependencies...`,
+        presetDependencies,
+      ),
+    )
+  }
+  if (presetDevDependencies.length > 0) {
+    plan.push(
+      install(
+        `🧪 Installing ${preset.name} dev dependencies...`,
+        presetDevDependencies,
+        { dev: true },
+      ),
+    )
+  }
+
+  // Step 2.5: Prettier config + preset scripts
+  plan.push({
+    run: (dir) => {
+      fs.writeFileSync(
+        path.join(dir, '.prettierrc'),
+        `${JSON.stringify(prettierConfig, null, 2)}\n`,
+      )
+      fs.writeFileSync(
+        path.join(dir, '.prettierignore'),
+        prettierIgnore.join(os.EOL),
+      )
+      const packageJson = readPackageJson(dir)
+      packageJson.scripts = { ...packageJson.scripts, ...preset.scripts }
+      writePackageJson(dir, packageJson)
+    },
+  })
+
+  // Preset files (layout, page, logo, workflows, ...)
+  plan.push({
+    label: `📄 Adding files from the ${preset.name} preset...`,
+    run: (dir) => copyPresetFiles(dir, preset, answers),
+  })
+
+  // Preset folder structure
+  plan.push({
+    label: '📂 Setting up LSCS Feature-Based Architecture...',
+    run: (dir) =>
+      preset.srcDirs.forEach((srcDir) =>
+        createKeptDir(path.join(dir, 'src', srcDir)),
+      ),
+  })
+
+  // Data & state stack (TanStack Query + Zustand + Zod)
+  plan.push({ run: (dir) => writeFiles(dir, stateFiles) })
+
+  // src/styles with the brand theme, before shadcn/ui looks for it
+  const brandTokens = brand ?? loadBrand()
+  plan.push({
+    label: `🎨 Adding the ${brandTokens.name} theme with dark mode...`,
+    run: (dir) => addTheme(dir, brandTokens),
+  })
+
+  // Zod-validated environment config
+  plan.push({
+    label: '🔑 Adding typed environment config...',
+    run: (dir) => {
+      if (!setupEnvConfig(dir)) {
+        console.log(
+          chalk.yellow(
+            "⚠️ No next.config found; import './src/config/env' there to validate env vars at boot.",
+          ),
+        )
+      }
+    },
+  })
+
+  // shadcn/ui primitives + atom wrappers (optional)
+  if (shadcn) {
+    plan.push(
+      install(
+        '🧩 Installing shadcn/ui dependencies...',
+        uiDependencies(defaultUiPrimitives),
+      ),
+      {
+        label: '🧩 Setting up shadcn/ui...',
+        run: (dir) =>
+          addUiPrimitives(dir, defaultUiPrimitives, { install: false }),
+      },
+    )
+  }
+
+  // Database + auth modules (optional; auth adds the database itself)
+  if (db || auth) {
+    plan.push(
+      install('🗄️ Installing Drizzle ORM...', [
+        ...dbDependencies,
+        ...(auth ? authDependencies : []),
+      ]),
+      install('🗄️ Installing drizzle-kit...', dbDevDependencies, {
+        dev: true,
+      }),
+    )
+  }
+  if (db && !auth) {
+    plan.push({
+      label: '🗄️ Adding Drizzle ORM (SQLite)...',
+      run: (dir) => addDb(dir, { install: false }),
+    })
+  }
+  if (auth) {
+    plan.push({
+      label: '🔐 Adding BetterAuth...',
+      run: (dir) => addAuth(dir, { install: false }),
+    })
+  }
+
+  // First scaffolded feature + README
+  plan.push({
+    run: (dir) => {
+      scaffoldFeature(dir, 'example-feature', preset)
+      fs.writeFileSync(
+        path.join(dir, 'README.md'),
+        readmeTemplate(projectName, pm.run),
+      )
+    },
+  })
+
+  // index.ts barrels for the atomic component folders (the example
+  // feature already has its own)
+  plan.push({ run: (dir) => syncBarrels(dir) })
+
+  // AGENTS.md, CLAUDE.md, Cursor rules and skills, listing the features
+  plan.push({
+    label: '🤖 Writing AI agent instructions...',
+    run: (dir) => syncAgentFiles(dir, { preset, options: answers }),
+  })
+
+  // Testing configs (Vitest + Cypress)
+  plan.push({
+    run: (dir) =>
+      writeFiles(dir, {
+        'vitest.config.ts': vitestConfig,
+        'cypress.config.ts': cypressConfig,
+        [testSetupPath]: testSetup,
+        [cypressSupportPath]: cypressSupport,
+        [cypressCommandsPath]: cypressCommands,
+      }),
+  })
+
+  // ESLint import boundaries between features and layers
+  plan.push({
+    label: '🚧 Adding feature boundary lint rules...',
+    run: (dir) => {
+      if (!addBoundaryRules(dir)) {
+        console.log(
+          chalk.yellow(
+            "⚠️ Could not update eslint.config; add `...featureBoundaries` from './eslint.boundaries.mjs' to it by hand.",
+          ),
+        )
+      }
+    },
+  })
+
+  // Container build for the image workflow
+  if (workflows) {
+    plan.push({
+      label: '🐳 Adding Dockerfile and standalone build...',
+      run: (dir) => {
+        const { standalone } = addDocker(dir, {
+          packageManager,
+          projectName: name,
+          compose,
+        })
+        if (!standalone) {
+          console.log(
+            chalk.yellow(
+              "⚠️ Could not set output: 'standalone' in next.config; add it for the Dockerfile to work.",
+            ),
+          )
+        }
+      },
+    })
+  }
+
+  // Contribution hooks, enabled by the git steps below
+  const { branches } = deploySettings(answers)
+  if (git) {
+    plan.push({
+      label:
+        '🪝 Adding git hooks for branch names, commit messages and formatting...',
+      run: (dir) => addGitHooks(dir, { branches, pm }),
+    })
+  }
+
+  // Generation manifest for `upgrade`; must stay the last file step.
+  const presetAnswers = Object.fromEntries(
+    preset.prompts.map((prompt) => [prompt.name, answers[prompt.name]]),
+  )
+  plan.push({
+    run: (dir) =>
+      writeManifest(dir, {
+        options: {
+          projectName,
+          packageManager,
+          preset: presetReference(preset, path.resolve(projectName)),
+          shadcn,
+          db,
+          auth,
+          workflows,
+          compose: Boolean(compose),
+          git: Boolean(git),
+          // Other orgs' tokens, so `upgrade` renders the same theme.css
+          ...(brand && { brand }),
+          ...(workflows && {
+            deployTarget: deployTarget ?? 'none',
+            devBranch,
+            stagingBranch,
+            prodBranch,
+          }),
+          ...presetAnswers,
+        },
+        files: collectGeneratedFiles(dir),
+      }),
+  })
+
+  // Repository with everything above in its initial commit
+  if (git) {
+    plan.push(
+      ...gitSteps({
+        branches,
+        remote,
+        pm,
+        format: Boolean(preset.scripts.format),
+      }),
+    )
+  }
+
+  return plan
+}
@@ -0,0 +1,162 @@
+// ────────────────────────────────
+// Brand theme
+// ────────────────────────────────
+// New projects keep their global stylesheet in src/styles/, next to a
+// theme.css rendered from brand tokens: the LSCS ones bundled in
+// templates/brand/lscs.json, or another org's file passed with `--brand`.
+// See templates/themeFiles.js for the files and the token format.
+
+import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { CliError } from './cli.js'
+import { writeFiles } from './project.js'
+import {
+  colorFallbacks,
+  colorTokens,
+  defaultRadius,
+  defaultTypography,
+  globalsCss,
+  globalsCssPath,
+  themeCss,
+  themeCssPath,
+  themeFiles,
+} from '../templates/themeFiles.js'
+
+export const defaultBrandPath = fileURLToPath(
+  new URL('../templates/brand/lscs.json', import.meta.url),
+)
+
+const knownKeys = ['name', 'colors', 'typography', 'radius']
+const modes = ['light', 'dark']
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Anything that would end the declaration or the rule it sits in is
+// rejected, so values can be written into theme.css as is.
+const isCssValue = (value) =>
+  typeof value === 'string' && /^[^;{}]+$/.test(value.trim())
+
+function validateBrand(raw) {
+  const errors = []
+  if (!isPlainObject(raw)) return ['must contain a JSON object']
+
+  Object.keys(raw)
+    .filter((key) => !knownKeys.includes(key))
+    .forEach((key) => errors.push(`unknown key "${key}"`))
+
+  if (
+    typeof raw.name !== 'string' ||
+    raw.name.trim() === '' ||
+    raw.name.includes('*/')
+  ) {
+    errors.push('name must be a non-empty string without "*/"')
+  }
+
+  if (!isPlainObject(raw.colors)) {
+    errors.push('colors must be an object with light and dark colors')
+  } else {
+    const isName = (name) => /^[a-z][a-z0-9-]*$/.test(name)
+    // The brand's own colors (e.g. `charcoal`) need a value in both modes.
+    const custom = modes.flatMap((mode) =>
+      Object.keys(raw.colors[mode] ?? {}).filter(
+        (name) =>
+          isName(name) &&
+          !colorTokens.includes(name) &&
+          !(name in colorFallbacks),
+      ),
+    )
+    modes.forEach((mode) => {
+      const colors = raw.colors[mode]
+      if (!isPlainObject(colors)) {
+        errors.push(`colors.${mode} must be an object`)
+        return
+      }
+      const missing = [...new Set([...colorTokens, ...custom])].filter(
+        (name) => colors[name] === undefined,
+      )
+      if (missing.length > 0) {
+        errors.push(`colors.${mode} is missing ${missing.join(', ')}`)
+      }
+      Object.entries(colors).forEach(([name, value]) => {
+        if (!isName(name)) {
+          errors.push(`colors.${mode}: "${name}" must be kebab-case`)
+        } else if (!isCssValue(value)) {
+          errors.push(`colors.${mode}.${name} must be a CSS color`)
+        }
+      })
+    })
+  }
+
+  if (raw.typography !== undefined) {
+    if (!isPlainObject(raw.typography)) {
+      errors.push('typography must be an object')
+    } else {
+      Object.entries(raw.typography).forEach(([key, value]) => {
+        if (!(key in defaultTypography)) {
+          errors.push(`unknown key "typography.${key}"`)
+        } else if (!isCssValue(value)) {
+          errors.push(`typography.${key} must be a CSS font-family list`)
+        }
+      })
+    }
+  }
+  if (raw.radius !== undefined && !isCssValue(raw.radius)) {
+    errors.push('radius must be a CSS length')
+  }
+
+  return errors
+}
+
+/**
+ * Loads and validates a brand token file (a path resolved from the current
+ * folder; the bundled LSCS tokens by default). Throws a CliError listing
+ * every problem.
+ */
+export function loadBrand(file = defaultBrandPath) {
+  const filePath = path.resolve(process.cwd(), file)
+  if (!fs.existsSync(filePath)) {
+    throw new CliError(`Brand tokens not found: ${file}`)
+  }
+
+  let raw
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new CliError(`${filePath} is not valid JSON: ${err.message}`)
+  }
+  const errors = validateBrand(raw)
+  if (errors.length > 0) {
+    throw new CliError(
+      `Invalid brand tokens ${filePath}:\n${errors.map((error) => `   - ${error}`).join('\n')}`,
+    )
+  }
+
+  return {
+    name: raw.name.trim(),
+    colors: { light: raw.colors.light, dark: raw.colors.dark },
+    typography: { ...defaultTypography, ...raw.typography },
+    radius: raw.radius ?? defaultRadius,
+  }
+}
+
+/**
+ * Moves globals.css from src/app/ to src/styles/ (replacing the base
+ * template's version, which defines its own colors) and writes theme.css,
+ * the ThemeProvider and its config.
+ */
+export function addTheme(projectPath, brand) {
+  fs.rmSync(path.join(projectPath, 'src', 'app', 'globals.css'), {
+    force: true,
+  })
+  writeFiles(projectPath, {
+    [globalsCssPath]: globalsCss,
+    [themeCssPath]: themeCss(brand),
+    ...themeFiles,
+  })
+}
+
+/** Whether the project has a brand theme (shadcn/ui then uses its colors). */
+export const hasTheme = (projectPath) =>
+  fs.existsSync(path.join(projectPath, themeCssPath))
@@ -0,0 +1,152 @@
+// ────────────────────────────────
+// shadcn/ui setup
+// ────────────────────────────────
+// Writes bundled shadcn/ui primitives into components/ui/ together with
+// their atom wrappers, the cn utility, components.json and the CSS variable
+// theme. Used by `add ui` and by new-project mode when shadcn/ui is enabled.
+
+import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import chalk from 'chalk'
+import { CliError } from './cli.js'
+import { installPackages, undeclaredPackages, writeFiles } from './project.js'
+import { hasTheme } from './theme.js'
+import { syncComponentsBarrel } from './barrels.js'
+import {
+  cnUtil,
+  componentsJson,
+  shadcnCss,
+  shadcnCssStart,
+  uiAtom,
+  uiBaseDependencies,
+  uiPrimitives,
+} from '../templates/uiFiles.js'
+
+const uiTemplatesDir = fileURLToPath(
+  new URL('../templates/ui', import.meta.url),
+)
+
+// globals.css starts in src/app/ and may be moved to src/styles/.
+const globalsCssCandidates = [
+  path.join('src', 'styles', 'globals.css'),
+  path.join('src', 'app', 'globals.css'),
+]
+
+export function findGlobalsCss(projectPath) {
+  return globalsCssCandidates.find((candidate) =>
+    fs.existsSync(path.join(projectPath, candidate)),
+  )
+}
+
+/**
+ * Idempotently writes the cn utility, components.json and the theme
+ * variables. Returns the paths it created or changed.
+ */
+export function setupShadcn(projectPath) {
+  const changed = []
+  const cssPath = findGlobalsCss(projectPath)
+
+  const utilsPath = path.join('src', 'lib', 'utils.ts')
+  if (!fs.existsSync(path.join(projectPath, utilsPath))) {
+    writeFiles(projectPath, { [utilsPath]: cnUtil })
+    changed.push(utilsPath)
+  }
+
+  if (!fs.existsSync(path.join(projectPath, 'components.json'))) {
+    writeFiles(projectPath, {
+      'components.json': componentsJson(
+        (cssPath ?? globalsCssCandidates[1]).split(path.sep).join('/'),
+      ),
+    })
+    changed.push('components.json')
+  }
+
+  if (!cssPath) {
+    console.log(
+      chalk.yellow(
+        '⚠️ globals.css not found; add the shadcn/ui theme variables manually.',
+      ),
+    )
+  } else {
+    const css = fs.readFileSync(path.join(projectPath, cssPath), 'utf8')
+    // A brand theme.css (see lib/theme.js) already defines the variables.
+    if (!css.includes(shadcnCssStart) && !hasTheme(projectPath)) {
+      if (!/@import ['"]tailwindcss['"]/.test(css)) {
+        console.log(
+          chalk.yellow(
+            '⚠️ The bundled theme targets Tailwind CSS v4; map the CSS variables in your Tailwind config if you use v3.',
+          ),
+        )
+      }
+      fs.appendFileSync(path.join(projectPath, cssPath), `\n${shadcnCss}`)
+      changed.push(cssPath)
+    }
+  }
+
+  return changed
+}
+
+// npm packages needed by `primitives` and the cn utility.
+export const uiDependencies = (primitives) => [
+  ...new Set([
+    ...uiBaseDependencies,
+    ...primitives.flatMap((name) => uiPrimitives[name].dependencies),
+  ]),
+]
+
+/**
+ * Adds each primitive to components/ui/ and its wrapper to
+ * components/atoms/ and refreshes the atoms' index.ts. Existing files are
+ * skipped, not overwritten. Installs missing npm packages unless `install`
+ * is false, in which case they are returned as `missing`.
+ */
+export function addUiPrimitives(
+  projectPath,
+  primitives,
+  { install = true } = {},
+) {
+  const unknown = primitives.filter((name) => !uiPrimitives[name])
+  if (unknown.length > 0) {
+    throw new CliError(
+      `Unknown ui primitive(s): ${unknown.join(', ')}. Available: ${Object.keys(uiPrimitives).join(', ')}`,
+    )
+  }
+
+  const created = setupShadcn(projectPath)
+  const skipped = []
+
+  primitives.forEach((name) => {
+    const { exports } = uiPrimitives[name]
+    const files = {
+      [path.join('src', 'components', 'ui', `${name}.tsx`)]: fs.readFileSync(
+        path.join(uiTemplatesDir, `${name}.tsx`),
+        'utf8',
+      ),
+      [path.join('src', 'components', 'atoms', `${exports[0]}.tsx`)]: uiAtom(
+        name,
+        exports,
+      ),
+    }
+
+    Object.entries(files).forEach(([relativePath, contents]) => {
+      if (fs.existsSync(path.join(projectPath, relativePath))) {
+        skipped.push(relativePath)
+        return
+      }
+      writeFiles(projectPath, { [relativePath]: contents })
+      created.push(relativePath)
+    })
+  })
+
+  // The new atoms belong in components/atoms/index.ts.
+  const updated = []
+  const barrel = syncComponentsBarrel(projectPath, 'atoms')
+  if (barrel?.status === 'created') created.push(barrel.file)
+  if (barrel?.status === 'updated') updated.push(barrel.file)
+
+  const missing = undeclaredPackages(projectPath, uiDependencies(primitives))
+  if (install) installPackages(projectPath, missing)
+
+  return { created, updated, skipped, missing: install ? [] : missing }
+}
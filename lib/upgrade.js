@@ -0,0 +1,236 @@
+// ────────────────────────────────
+// Upgrade
+// ────────────────────────────────
+// Brings a project up to the current templates. The templates are rendered
+// again with the project's answers (from .lscs/manifest.json) and compared
+// with the files on disk, using the manifest hashes as the common base:
+//
+//   disk == base            untouched → replaced with the new template
+//   disk != base, new == base  edited, template unchanged → kept
+//   disk != base, new != base  edited on both sides → conflict markers
+//
+// Projects without a manifest (created before it existed) have no base, so
+// every file that differs from the current template is a conflict. AI
+// agent files are rendered from the project instead (see lib/agents.js).
+
+import path from 'path'
+import fs from 'fs'
+import { renderAgentFiles, syncAgentFiles } from './agents.js'
+import { cliPackage } from './cli.js'
+import {
+  collectGeneratedFiles,
+  hashContents,
+  readManifest,
+  writeManifest,
+} from './manifest.js'
+import { withSimulatedPlan } from './plan.js'
+import { projectPreset } from './preset.js'
+import { addScripts, createKeptDir, readPackageJson } from './project.js'
+import { planProject } from './scaffold.js'
+
+// Above this many line pairs the diff is skipped and the whole file becomes
+// one conflict.
+const maxDiffCells = 4_000_000
+
+// The starter feature from new-project mode; once its folder is gone it
+// stays gone.
+const starterFeature = 'example-feature'
+
+/**
+ * Line-based merge of `ours` and `theirs`: shared lines are kept and each
+ * differing region is wrapped in git-style conflict markers.
+ */
+export function mergeWithMarkers(ours, theirs, theirsLabel) {
+  const a = ours.split('\n')
+  const b = theirs.split('\n')
+  const conflict = (mine, other) => [
+    '<<<<<<< yours',
+    ...mine,
+    '=======',
+    ...other,
+    `>>>>>>> ${theirsLabel}`,
+  ]
+  if (a.length * b.length > maxDiffCells) return conflict(a, b).join('\n')
+
+  // lcs[i][j]: length of the longest common subsequence of a[i..], b[j..]
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  )
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const merged = []
+  let mine = []
+  let other = []
+  const flush = () => {
+    if (mine.length > 0 || other.length > 0) {
+      merged.push(...conflict(mine, other))
+    }
+    mine = []
+    other = []
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      flush()
+      merged.push(a[i])
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      mine.push(a[i++])
+    } else {
+      other.push(b[j++])
+    }
+  }
+  mine.push(...a.slice(i))
+  other.push(...b.slice(j))
+  flush()
+  return merged.join('\n')
+}
+
+const isBinary = (buffer) => buffer.includes(0)
+
+/**
+ * Compares the project with the current templates and, unless `write` is
+ * false, applies the result. Returns the report:
+ * `{ fromVersion, toVersion, hadManifest, updated, added, conflicts, kept,
+ *    binary, deleted, dirs, scripts }` (lists of paths or script names).
+ */
+export function upgradeProject(projectPath, { write = true } = {}) {
+  const manifest = readManifest(projectPath)
+  const { preset, options } = projectPreset(projectPath)
+  const baseHashes = manifest?.files ?? {}
+  const theirsLabel = `create-lscs-next-app ${cliPackage.version}`
+
+  const report = {
+    fromVersion: manifest?.cliVersion ?? null,
+    toVersion: cliPackage.version,
+    hadManifest: manifest !== null,
+    updated: [],
+    added: [],
+    conflicts: [],
+    kept: [],
+    binary: [],
+    deleted: [],
+    dirs: [],
+    scripts: [],
+  }
+  const tracked = {}
+  // Agent files describe the project as it is now (its features, not the
+  // starter one), so they are rendered from it instead of merged.
+  const agentFiles = Object.keys(
+    renderAgentFiles(projectPath, { preset, options }),
+  )
+
+  withSimulatedPlan(planProject({ ...options, preset }), projectPath, (dir) => {
+    const templateHashes = collectGeneratedFiles(dir)
+
+    Object.entries(templateHashes).forEach(([file, newHash]) => {
+      if (agentFiles.includes(file)) return
+      const target = path.join(projectPath, file)
+      const contents = fs.readFileSync(path.join(dir, file))
+      const baseHash = baseHashes[file]
+      const writeFile = (data) => {
+        if (!write) return
+        fs.mkdirSync(path.dirname(target), { recursive: true })
+        fs.writeFileSync(target, data)
+        // Keeps the git hooks executable.
+        fs.chmodSync(target, fs.statSync(path.join(dir, file)).mode)
+      }
+
+      if (!fs.existsSync(target)) {
+        const starterRemoved =
+          file.includes(`/${starterFeature}/`) &&
+          !fs.existsSync(
+            path.join(projectPath, 'src', 'features', starterFeature),
+          )
+        if (baseHash || starterRemoved) {
+          // Generated once and deleted on purpose; don't bring it back.
+          report.deleted.push(file)
+          if (baseHash) tracked[file] = baseHash
+        } else {
+          report.added.push(file)
+          writeFile(contents)
+          tracked[file] = newHash
+        }
+        return
+      }
+
+      const current = fs.readFileSync(target)
+      const currentHash = hashContents(current)
+      tracked[file] = newHash
+      if (currentHash === newHash) return
+
+      if (currentHash === baseHash) {
+        report.updated.push(file)
+        writeFile(contents)
+      } else if (newHash === baseHash) {
+        report.kept.push(file)
+      } else if (isBinary(current) || isBinary(contents)) {
+        // No markers for binary files; the team's version stays.
+        report.binary.push(file)
+      } else {
+        report.conflicts.push(file)
+        writeFile(
+          mergeWithMarkers(
+            current.toString('utf8'),
+            contents.toString('utf8'),
+            theirsLabel,
+          ),
+        )
+      }
+    })
+
+    const templateScripts = readPackageJson(dir).scripts ?? {}
+    const currentScripts = readPackageJson(projectPath).scripts ?? {}
+    report.scripts = write
+      ? addScripts(projectPath, templateScripts)
+      : Object.keys(templateScripts).filter((name) => !currentScripts[name])
+  })
+
+  const agents = syncAgentFiles(projectPath, { preset, options, write })
+  report.added.push(...agents.created)
+  report.updated.push(...agents.updated)
+  report.kept.push(...agents.skipped)
+  // Recorded as written, so the next upgrade has a base for them too.
+  agentFiles
+    .filter((file) => fs.existsSync(path.join(projectPath, file)))
+    .forEach((file) => {
+      tracked[file] = hashContents(
+        fs.readFileSync(path.join(projectPath, file)),
+      )
+    })
+  // Files the plan does not produce (e.g. from `add ui`) keep their base.
+  Object.entries(baseHashes)
+    .filter(([file]) => !(file in tracked))
+    .forEach(([file, hash]) => {
+      tracked[file] = hash
+    })
+
+  preset.srcDirs
+    .map((dir) => path.join('src', dir))
+    .filter((dir) => !fs.existsSync(path.join(projectPath, dir)))
+    .forEach((dir) => {
+      report.dirs.push(dir.split(path.sep).join('/'))
+      if (write) createKeptDir(path.join(projectPath, dir))
+    })
+
+  if (write) {
+    writeManifest(projectPath, {
+      options,
+      files: Object.fromEntries(
+        Object.entries(tracked).sort(([a], [b]) => a.localeCompare(b)),
+      ),
+    })
+  }
+  return report
+}
@@ -0,0 +1,24 @@
+/// <reference types="cypress" />
+
+describe('Home page', () => {
+  beforeEach(() => {
+    cy.visit('/');
+  });
+
+  it('shows the LSCS logo', () => {
+    cy.get('img[alt="LSCS logo"]').should('be.visible');
+  });
+
+  it('links to LSCS and the Next.js docs', () => {
+    cy.contains('a', 'Visit LSCS').should(
+      'have.attr',
+      'href',
+      'https://github.com/dlsu-lscs',
+    );
+    cy.contains('a', 'Next.js Docs').should(
+      'have.attr',
+      'href',
+      'https://nextjs.org/docs',
+    );
+  });
+});
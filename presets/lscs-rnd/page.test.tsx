@@ -0,0 +1,22 @@
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import Home from '@/app/page';
+
+describe('Home', () => {
+  it('renders the LSCS logo', () => {
+    render(<Home />);
+    expect(screen.getByAltText('LSCS logo')).toBeInTheDocument();
+  });
+
+  it('links to LSCS and the Next.js docs', () => {
+    render(<Home />);
+    expect(screen.getByRole('link', { name: 'Visit LSCS' })).toHaveAttribute(
+      'href',
+      'https://github.com/dlsu-lscs',
+    );
+    expect(screen.getByRole('link', { name: 'Next.js Docs' })).toHaveAttribute(
+      'href',
+      'https://nextjs.org/docs',
+    );
+  });
+});
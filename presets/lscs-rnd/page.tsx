@@ -1,4 +1,4 @@
-import Image from "next/image";
+import Image from 'next/image';
 
 export default function Home() {
   return (
@@ -15,10 +15,11 @@ export default function Home() {
         </div>
         <ol className="font-mono list-inside list-decimal text-sm/6 text-center sm:text-left">
           <li className="mb-2 tracking-[-.01em]">
-            Get started by editing{" "}
-            <code className="bg-black/[.05] dark:bg-white/[.06] font-mono font-semibold px-1 py-0.5 rounded">
+            Get started by editing{' '}
+            <code className="bg-muted font-mono font-semibold px-1 py-0.5 rounded-sm">
               src/app/page.tsx
-            </code>.
+            </code>
+            .
           </li>
           <li className="tracking-[-.01em]">
             Save and see your changes instantly.
@@ -27,7 +28,7 @@ export default function Home() {
 
         <div className="flex gap-4 items-center flex-col sm:flex-row">
           <a
-            className="rounded-full border border-solid border-transparent transition-colors flex items-center justify-center bg-foreground text-background gap-2 hover:bg-[#383838] dark:hover:bg-[#ccc] font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 sm:w-auto"
+            className="rounded-full border border-solid border-transparent transition-colors flex items-center justify-center bg-primary text-primary-foreground gap-2 hover:bg-primary/90 font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 sm:w-auto"
             href="https://github.com/dlsu-lscs"
             target="_blank"
             rel="noopener noreferrer"
@@ -35,7 +36,7 @@ export default function Home() {
             Visit LSCS
           </a>
           <a
-            className="rounded-full border border-solid border-black/[.08] dark:border-white/[.145] transition-colors flex items-center justify-center hover:bg-[#f2f2f2] dark:hover:bg-[#1a1a1a] hover:border-transparent font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 w-full sm:w-auto md:w-[158px]"
+            className="rounded-full border border-solid border-border transition-colors flex items-center justify-center hover:bg-accent hover:text-accent-foreground hover:border-transparent font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 w-full sm:w-auto md:w-[158px]"
             href="https://nextjs.org/docs"
             target="_blank"
             rel="noopener noreferrer"
@@ -45,9 +46,7 @@ export default function Home() {
         </div>
       </main>
       <footer className="row-start-3 flex gap-[24px] flex-wrap items-center justify-center">
-        <span className="text-sm text-gray-500">
-          © 2025 LSCS App
-        </span>
+        <span className="text-sm text-muted-foreground">© 2025 LSCS App</span>
       </footer>
     </div>
   );
@@ -0,0 +1,133 @@
+// ────────────────────────────────
+// AI Agent Templates
+// ────────────────────────────────
+// One project guide (name, stack, features and the essentials of the
+// preset's skills) rendered into every file coding agents read: AGENTS.md,
+// CLAUDE.md, a Cursor rule per skill and each skill's SKILL.md under
+// .claude/skills and .opencode/skills. lib/agents.js fills in the context
+// and re-renders the files on `ai sync`.
+//
+// `context` is `{ projectName, preset, stack, features, skills }`: `stack`
+// is a list of lines, `features` kebab-case names and `skills`
+// `{ name, description, version, body }` read from the preset.
+
+export const agentsStart = '<!-- lscs:agents:start'
+export const agentsEnd = '<!-- lscs:agents:end -->'
+
+const regionHeader = `${agentsStart} (generated by create-lscs-next-app ai sync; edits inside this region are overwritten) -->`
+
+export const skillDirs = ['.claude/skills', '.opencode/skills']
+
+export const skillPath = (dir, name) => `${dir}/${name}/SKILL.md`
+
+export const cursorRulePath = (name) => `.cursor/rules/${name}.mdc`
+
+/**
+ * A Markdown table with its columns padded the way Prettier aligns them,
+ * so `format` leaves generated docs alone.
+ */
+export const markdownTable = (header, rows) => {
+  const widths = header.map((_, column) =>
+    Math.max(3, ...[header, ...rows].map((row) => row[column].length)),
+  )
+  const line = (cells) =>
+    `| ${cells.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`
+  return [
+    line(header),
+    line(widths.map((width) => '-'.repeat(width))),
+    ...rows.map(line),
+  ].join('\n')
+}
+
+const featureTable = (features) =>
+  features.length > 0
+    ? markdownTable(
+        ['Feature', 'Import from'],
+        features.map((feature) => [
+          `\`${feature}\``,
+          `\`@/features/${feature}\``,
+        ]),
+      )
+    : 'None yet.'
+
+const skillList = (skills) =>
+  skills
+    .map(
+      ({ name, version }) =>
+        `- \`${name}\`${version ? ` (v${version})` : ''}: \`${skillPath(skillDirs[0], name)}\``,
+    )
+    .join('\n')
+
+/** The generated region shared by every agent file, markers included. */
+export const projectGuide = ({
+  projectName,
+  preset,
+  stack,
+  features,
+  skills,
+}) => `${regionHeader}
+
+## Project: ${projectName}
+
+This project was scaffolded with \`create-lscs-next-app\` using the \`${preset.name}\` preset${preset.description ? ` (${preset.description.replace(/\.$/, '')})` : ''}.
+${
+  skills.length > 0
+    ? `
+Before writing or reviewing code, read the full guide${skills.length > 1 ? 's' : ''} (copies are also in \`${skillDirs[1]}/\` and \`.cursor/rules/\`):
+
+${skillList(skills)}
+`
+    : ''
+}
+### Stack
+
+${stack.map((line) => `- ${line}`).join('\n')}
+
+### Features
+
+Domain code lives in \`src/features/<feature-name>/\`. Other code imports a
+feature only through its \`index.ts\`:
+
+${featureTable(features)}
+
+### Essentials
+
+- Generate features, components, routes and API clients with the CLI:
+  \`npx create-lscs-next-app feature <feature-name>\`, \`component <Name> --level atom|molecule|organism\`,
+  \`route <path>\` and \`api <spec> --feature <feature-name>\`.
+- Keep fetching in services, TanStack Query hooks and containers; presentational
+  components only render props.
+- Use native \`fetch\`, never Axios. Never use \`any\`.
+- A component file name must match its default export.
+- Run \`npx create-lscs-next-app sync\` after adding files a feature should export, and
+  \`npx create-lscs-next-app check\` before opening a PR.
+
+${agentsEnd}`
+
+const instructions = (title, guide) => `# ${title}
+
+${guide}
+
+<!-- Your own notes go below; \`ai sync\` keeps them. -->
+`
+
+export const agentsFile = (guide) => instructions('AGENTS.md', guide)
+
+export const claudeFile = (guide) => instructions('CLAUDE.md', guide)
+
+/** A skill's SKILL.md with the project guide appended. */
+export const skillFile = ({ frontmatter, body }, guide) =>
+  `---\n${frontmatter}\n---\n\n${body.trim()}\n\n---\n\n${guide}\n`
+
+/** A skill as an always-applied Cursor rule. */
+export const cursorRule = ({ description, body }, guide) => `---
+description: ${JSON.stringify(description)}
+alwaysApply: true
+---
+
+${body.trim()}
+
+---
+
+${guide}
+`
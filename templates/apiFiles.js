@@ -0,0 +1,370 @@
+// ────────────────────────────────
+// OpenAPI Client Templates
+// ────────────────────────────────
+// Generated regions for `npx create-lscs-next-app api <spec> --feature <name>`,
+// following the data flow in SKILL.md: native-fetch service functions →
+// query key factories and queryOptions → useQuery/useMutation hooks, with
+// the types in types/. Operations come from lib/openapi.js.
+//
+// Each template returns the region's contents, between regionStart and
+// regionEnd; lib/api.js replaces only that region when the command runs
+// again.
+
+const identifierPattern = /^[A-Za-z_$][A-Za-z0-9_$]*$/
+
+/** Object key as written in a type literal (quoted unless an identifier). */
+export const propertyKey = (name) =>
+  identifierPattern.test(name) ? name : `'${name.replace(/'/g, "\\'")}'`
+
+/** `object.name`, or `object['name']` when `name` is not an identifier. */
+export const propertyAccess = (object, name) =>
+  identifierPattern.test(name)
+    ? `${object}.${name}`
+    : `${object}[${propertyKey(name)}]`
+
+// One-line JSDoc comment for `text`; empty without text.
+export const docComment = (text, indent) =>
+  text
+    ? `${indent}/** ${String(text).replace(/\s+/g, ' ').replace(/\*\//g, '*\\/').trim()} */\n`
+    : ''
+
+export const regionStart = '// lscs:openapi:start'
+export const regionEnd = '// lscs:openapi:end'
+
+export const regionHeader = (specName) =>
+  `${regionStart} (generated from ${specName} by create-lscs-next-app api; edits inside this region are overwritten)`
+
+const hasParams = (operation) =>
+  operation.pathParams.length > 0 ||
+  operation.queryParams.length > 0 ||
+  Boolean(operation.body)
+
+// Every member optional: the params argument defaults to {}.
+const paramsOptional = (operation) =>
+  operation.pathParams.length === 0 &&
+  operation.queryParams.every(({ required }) => !required) &&
+  !operation.body?.required
+
+const paramsArgument = (operation) =>
+  `params: Api.${operation.pascal}Params${paramsOptional(operation) ? ' = {}' : ''}`
+
+// The helpers below wrap lines the way Prettier would at 80 columns, so the
+// project's `format` leaves the generated region alone.
+const maxWidth = 80
+
+// `head(args)tail` on one line, or one argument per line.
+const callLines = (indent, head, args, tail) => {
+  const line = `${indent}${head}(${args.join(', ')})${tail}`
+  return line.length <= maxWidth || args.length === 0
+    ? line
+    : `${indent}${head}(\n${args.map((arg) => `${indent}  ${arg},`).join('\n')}\n${indent})${tail}`
+}
+
+// `head value` on one line, or the value indented on the next one.
+const breakAfter = (indent, head, value) => {
+  const line = `${indent}${head} ${value}`
+  return line.split('\n')[0].length <= maxWidth
+    ? line
+    : `${indent}${head}\n${indent}  ${value}`
+}
+
+const importStatement = (names, specifier) => {
+  const line = `import { ${names.join(', ')} } from '${specifier}';`
+  return line.length <= maxWidth || names.length === 1
+    ? line
+    : `import {\n${names.map((name) => `  ${name},`).join('\n')}\n} from '${specifier}';`
+}
+
+const describe = (operation) =>
+  `${operation.summary ? `${operation.summary} ` : ''}(${operation.method.toUpperCase()} ${operation.path})`
+
+export const apiTypes = ({ declarations, operations }) => {
+  const operationTypes = operations.flatMap((operation) => {
+    const members = [
+      ...operation.pathParams,
+      ...operation.queryParams,
+      ...(operation.body
+        ? [
+            {
+              name: 'body',
+              required: operation.body.required,
+              type: operation.body.type,
+            },
+          ]
+        : []),
+    ].map(
+      ({ name, description, required, type }) =>
+        `${docComment(description, '  ')}  ${propertyKey(name)}${required ? '' : '?'}: ${type};`,
+    )
+    return [
+      ...(hasParams(operation)
+        ? [
+            `${docComment(`Params of ${operation.name} (${operation.method.toUpperCase()} ${operation.path}).`, '')}export interface ${operation.pascal}Params {\n${members.join('\n')}\n}`,
+          ]
+        : []),
+      breakAfter(
+        '',
+        `export type ${operation.pascal}Response =`,
+        `${operation.response};`,
+      ),
+    ]
+  })
+
+  return [...declarations, ...operationTypes].join('\n\n')
+}
+
+// `/posts/${encodeURIComponent(String(params.id))}` plus the query string.
+const urlExpression = (operation) => {
+  const pathname = operation.path.replace(
+    /\{([^}]+)\}/g,
+    (_, name) =>
+      `\${encodeURIComponent(String(${propertyAccess('params', name)}))}`,
+  )
+  const query =
+    operation.queryParams.length > 0
+      ? `\${toQueryString({ ${operation.queryParams
+          .map(
+            ({ name }) =>
+              `${propertyKey(name)}: ${propertyAccess('params', name)}`,
+          )
+          .join(', ')} })}`
+      : ''
+  const url = `${pathname}${query}`
+  return url.includes('${') ? `\`${url}\`` : `'${url}'`
+}
+
+// Members of the fetch options; JSON bodies keep them one per line.
+const requestInit = (operation) => {
+  if (operation.method === 'get') return null
+  const method = `method: '${operation.method.toUpperCase()}'`
+  if (!operation.body) return { members: [method], expanded: false }
+  if (operation.body.kind === 'json') {
+    return {
+      members: [
+        method,
+        `headers: { 'Content-Type': 'application/json' }`,
+        'body: JSON.stringify(params.body)',
+      ],
+      expanded: true,
+    }
+  }
+  return { members: [method, 'body: params.body'], expanded: false }
+}
+
+// `return apiRequest<Response>(url, init);`, with the options object kept
+// on the first line while the line up to its brace fits.
+const requestCall = (operation, response) => {
+  const head = `return apiRequest<${response}>`
+  const url = urlExpression(operation)
+  const init = requestInit(operation)
+  if (!init) return callLines('  ', head, [url], ';')
+
+  const flat = `{ ${init.members.join(', ')} }`
+  const expanded = (indent) =>
+    `{\n${init.members.map((member) => `${indent}  ${member},`).join('\n')}\n${indent}}`
+  if (!init.expanded && `  ${head}(${url}, ${flat});`.length <= maxWidth) {
+    return `  ${head}(${url}, ${flat});`
+  }
+  if (`  ${head}(${url}, {`.length <= maxWidth) {
+    return `  ${head}(${url}, ${expanded('  ')});`
+  }
+  const options =
+    !init.expanded && `    ${flat},`.length <= maxWidth
+      ? flat
+      : expanded('    ')
+  return `  ${head}(\n    ${url},\n    ${options},\n  );`
+}
+
+export const apiService = ({ operations, typesImport, envKey }) => {
+  const usesQuery = operations.some(({ queryParams }) => queryParams.length > 0)
+  const functions = operations.map((operation) => {
+    const response = `Api.${operation.pascal}Response`
+    return `/** ${describe(operation)} */
+${callLines(
+  '',
+  `export function ${operation.name}`,
+  hasParams(operation) ? [paramsArgument(operation)] : [],
+  `: Promise<${response}> {`,
+)}
+${requestCall(operation, response)}
+}`
+  })
+
+  return `import { env } from '@/config/env';
+import type * as Api from '${typesImport}';
+
+// Set ${envKey} in .env.local to point at another server.
+const API_URL = env.${envKey};
+
+async function apiRequest<T>(path: string, init?: RequestInit): Promise<T> {
+  const res = await fetch(\`\${API_URL}\${path}\`, init);
+  if (!res.ok) {
+    throw new Error(
+      \`\${init?.method ?? 'GET'} \${path} failed with \${res.status}\`,
+    );
+  }
+  const text = await res.text();
+  if (!text) return undefined as T;
+  return (
+    res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text
+  ) as T;
+}
+${
+  usesQuery
+    ? `
+function toQueryString(query: Record<string, unknown>): string {
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    (Array.isArray(value) ? value : [value]).forEach((item) =>
+      search.append(key, String(item)),
+    );
+  });
+  const text = search.toString();
+  return text ? \`?\${text}\` : '';
+}
+`
+    : ''
+}
+${functions.join('\n\n')}`
+}
+
+export const apiQueries = ({
+  tag,
+  keysName,
+  operations,
+  typesImport,
+  serviceImport,
+}) => {
+  const queries = operations.filter(({ method }) => method === 'get')
+  const usesTypes = queries.some(hasParams)
+  const keys = [
+    `  all: ['${tag}'] as const,`,
+    ...queries.map((operation) => {
+      const head = callLines(
+        '  ',
+        `${operation.name}: `,
+        hasParams(operation) ? [paramsArgument(operation)] : [],
+        ' =>',
+      )
+      const elements = [
+        `...${keysName}.all`,
+        `'${operation.name}'`,
+        ...(hasParams(operation) ? ['params'] : []),
+      ]
+      const key = `[${elements.join(', ')}] as const,`
+      if (`${head.split('\n').at(-1)} ${key}`.length <= maxWidth) {
+        return `${head} ${key}`
+      }
+      return `    ${key}`.length <= maxWidth
+        ? `${head}\n    ${key}`
+        : `${head}\n    [\n${elements.map((element) => `      ${element},`).join('\n')}\n    ] as const,`
+    }),
+  ]
+  const imports = [
+    ...(queries.length > 0
+      ? [`import { queryOptions } from '@tanstack/react-query';`]
+      : []),
+    ...(usesTypes ? [`import type * as Api from '${typesImport}';`] : []),
+    ...(queries.length > 0
+      ? [
+          importStatement(
+            queries.map(({ name }) => name),
+            serviceImport,
+          ),
+        ]
+      : []),
+  ]
+  const options = queries.map((operation) => {
+    const args = hasParams(operation) ? ['params'] : []
+    const keyCall = `${keysName}.${operation.name}(${args.join('')}),`
+    const queryKey =
+      `      ${keyCall}`.length <= maxWidth
+        ? breakAfter('    ', 'queryKey:', keyCall)
+        : `    queryKey:\n${callLines('      ', `${keysName}.${operation.name}`, args, ',')}`
+    return `${callLines(
+      '',
+      `export const ${operation.name}Query = `,
+      hasParams(operation) ? [paramsArgument(operation)] : [],
+      ' =>',
+    )}
+  queryOptions({
+${queryKey}
+${breakAfter('    ', 'queryFn: () =>', `${operation.name}(${args.join('')}),`)}
+  });`
+  })
+
+  return `${imports.join('\n')}${imports.length > 0 ? '\n\n' : ''}export const ${keysName} = {
+${keys.join('\n')}
+};${options.length > 0 ? `\n\n${options.join('\n\n')}` : ''}`
+}
+
+export const apiHooks = ({
+  keysName,
+  operations,
+  typesImport,
+  queriesImport,
+  serviceImport,
+}) => {
+  const queries = operations.filter(({ method }) => method === 'get')
+  const mutations = operations.filter(({ method }) => method !== 'get')
+  const reactQuery = [
+    ...(mutations.length > 0 ? ['useMutation'] : []),
+    ...(queries.length > 0 ? ['useQuery'] : []),
+    ...(mutations.length > 0 ? ['useQueryClient'] : []),
+  ]
+  const imports = [
+    `import { ${reactQuery.join(', ')} } from '@tanstack/react-query';`,
+    ...(queries.some(hasParams)
+      ? [`import type * as Api from '${typesImport}';`]
+      : []),
+    importStatement(
+      [
+        ...queries.map(({ name }) => `${name}Query`),
+        ...(mutations.length > 0 ? [keysName] : []),
+      ],
+      queriesImport,
+    ),
+    ...(mutations.length > 0
+      ? [
+          importStatement(
+            mutations.map(({ name }) => name),
+            serviceImport,
+          ),
+        ]
+      : []),
+  ]
+
+  const invalidate = `queryClient.invalidateQueries({ queryKey: ${keysName}.all }),`
+  const onSuccess =
+    `      ${invalidate}`.length <= maxWidth
+      ? breakAfter('    ', 'onSuccess: () =>', invalidate)
+      : `    onSuccess: () =>
+      queryClient.invalidateQueries({
+        queryKey: ${keysName}.all,
+      }),`
+  const hooks = [
+    ...queries.map(
+      (operation) => `${callLines(
+        '',
+        `export function use${operation.pascal}`,
+        hasParams(operation) ? [paramsArgument(operation)] : [],
+        ' {',
+      )}
+${callLines('  ', 'return useQuery', [`${operation.name}Query(${hasParams(operation) ? 'params' : ''})`], ';')}
+}`,
+    ),
+    // Mutations refetch every query of the tag once they succeed.
+    ...mutations.map(
+      (operation) => `export function use${operation.pascal}() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ${operation.name},
+${onSuccess}
+  });
+}`,
+    ),
+  ]
+
+  return `${imports.join('\n')}\n\n${hooks.join('\n\n')}`
+}
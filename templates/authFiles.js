@@ -0,0 +1,171 @@
+// ────────────────────────────────
+// BetterAuth Templates
+// ────────────────────────────────
+// Files written by `npx create-lscs-next-app add auth`: server and client
+// setup, the App Router route handler, the Drizzle auth schema, an
+// AuthProvider for src/providers and a protected page example.
+// Auth is stored through the Drizzle client from `add db`.
+//
+// Keys are paths relative to the project root.
+
+export const authDependencies = ['better-auth']
+
+// Pinned to a major version, so a breaking CLI release can't change the
+// generated schema.
+const authCli = '@better-auth/cli@1'
+
+// `pm` is an entry of packageManagers (lib/packageManager.js).
+export const authScripts = (pm) => ({
+  // Regenerates src/db/schema/auth.ts after enabling BetterAuth plugins.
+  'auth:schema': pm.dlx(`${authCli} generate --output src/db/schema/auth.ts`),
+})
+
+export const authEnv = (secret) => ({
+  BETTER_AUTH_SECRET: secret,
+  BETTER_AUTH_URL: 'http://localhost:3000',
+})
+
+// Added to the schema in src/config/env.ts.
+export const authEnvSchema = {
+  BETTER_AUTH_SECRET: 'z.string().min(32)',
+  BETTER_AUTH_URL: 'z.string().url()',
+}
+
+export const authFiles = {
+  'src/lib/auth.ts': `import { betterAuth } from 'better-auth';
+import { drizzleAdapter } from 'better-auth/adapters/drizzle';
+import { nextCookies } from 'better-auth/next-js';
+import { db } from '@/lib/db';
+import * as schema from '@/db/schema';
+
+// Server-only. Reads BETTER_AUTH_SECRET and BETTER_AUTH_URL from the env.
+export const auth = betterAuth({
+  database: drizzleAdapter(db, { provider: 'sqlite', schema }),
+  emailAndPassword: { enabled: true },
+  // Must stay last so server actions can set auth cookies.
+  plugins: [nextCookies()],
+});
+
+export type Session = typeof auth.$Infer.Session;
+`,
+
+  'src/lib/auth-client.ts': `import { createAuthClient } from 'better-auth/react';
+
+export const authClient = createAuthClient();
+
+export const { signIn, signUp, signOut, useSession } = authClient;
+`,
+
+  'src/app/api/auth/[...all]/route.ts': `import { toNextJsHandler } from 'better-auth/next-js';
+import { auth } from '@/lib/auth';
+
+export const { GET, POST } = toNextJsHandler(auth);
+`,
+
+  'src/db/schema/auth.ts': `import { integer, sqliteTable, text } from 'drizzle-orm/sqlite-core';
+
+// BetterAuth core tables. Regenerate with \`npm run auth:schema\`.
+export const user = sqliteTable('user', {
+  id: text('id').primaryKey(),
+  name: text('name').notNull(),
+  email: text('email').notNull().unique(),
+  emailVerified: integer('email_verified', { mode: 'boolean' })
+    .notNull()
+    .default(false),
+  image: text('image'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull(),
+});
+
+export const session = sqliteTable('session', {
+  id: text('id').primaryKey(),
+  expiresAt: integer('expires_at', { mode: 'timestamp' }).notNull(),
+  token: text('token').notNull().unique(),
+  createdAt: integer('created_at', { mode: 'timestamp' }).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull(),
+  ipAddress: text('ip_address'),
+  userAgent: text('user_agent'),
+  userId: text('user_id')
+    .notNull()
+    .references(() => user.id, { onDelete: 'cascade' }),
+});
+
+export const account = sqliteTable('account', {
+  id: text('id').primaryKey(),
+  accountId: text('account_id').notNull(),
+  providerId: text('provider_id').notNull(),
+  userId: text('user_id')
+    .notNull()
+    .references(() => user.id, { onDelete: 'cascade' }),
+  accessToken: text('access_token'),
+  refreshToken: text('refresh_token'),
+  idToken: text('id_token'),
+  accessTokenExpiresAt: integer('access_token_expires_at', {
+    mode: 'timestamp',
+  }),
+  refreshTokenExpiresAt: integer('refresh_token_expires_at', {
+    mode: 'timestamp',
+  }),
+  scope: text('scope'),
+  password: text('password'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull(),
+});
+
+export const verification = sqliteTable('verification', {
+  id: text('id').primaryKey(),
+  identifier: text('identifier').notNull(),
+  value: text('value').notNull(),
+  expiresAt: integer('expires_at', { mode: 'timestamp' }).notNull(),
+  createdAt: integer('created_at', { mode: 'timestamp' }),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }),
+});
+`,
+
+  'src/providers/AuthProvider.tsx': `'use client';
+
+import { createContext, useContext, type ReactNode } from 'react';
+import { useSession } from '@/lib/auth-client';
+
+type AuthState = ReturnType<typeof useSession>;
+
+const AuthContext = createContext<AuthState | null>(null);
+
+// Reads the session once and shares it with every client component.
+export function useAuth(): AuthState {
+  const value = useContext(AuthContext);
+  if (!value) throw new Error('useAuth must be used inside <AuthProvider>');
+  return value;
+}
+
+type AuthProviderProps = {
+  children: ReactNode;
+};
+
+export default function AuthProvider({ children }: AuthProviderProps) {
+  const session = useSession();
+
+  return (
+    <AuthContext.Provider value={session}>{children}</AuthContext.Provider>
+  );
+}
+`,
+
+  'src/app/dashboard/page.tsx': `import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { auth } from '@/lib/auth';
+
+// Protected page example: checks the session on the server before rendering.
+export default async function DashboardPage() {
+  const session = await auth.api.getSession({ headers: await headers() });
+  if (!session) redirect('/');
+
+  return (
+    <main className="p-8">
+      <h1 className="text-2xl font-semibold">Dashboard</h1>
+      <p>Signed in as {session.user.email}</p>
+    </main>
+  );
+}
+`,
+}
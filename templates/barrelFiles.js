@@ -0,0 +1,68 @@
+// ────────────────────────────────
+// Barrel Templates
+// ────────────────────────────────
+// index.ts entry points: a feature's public API (its containers, hooks and
+// types) and the global components/{atoms,molecules,organisms} barrels.
+// Only the region between barrelStart and barrelEnd is generated;
+// lib/barrels.js rewrites it on `sync` and keeps the rest of the file.
+//
+// `entries` are `{ specifier, defaultName, values, types }`, one per
+// re-exported file.
+
+export const barrelStart = '// lscs:barrel:start'
+export const barrelEnd = '// lscs:barrel:end'
+
+const barrelHeader = `${barrelStart} (generated by create-lscs-next-app sync; edits inside this region are overwritten)`
+
+// Wrapped the way Prettier would at 80 columns, so `format` leaves it alone.
+const exportStatement = (keyword, names, specifier) => {
+  const line = `${keyword} { ${names.join(', ')} } from '${specifier}';`
+  return line.length <= 80 || names.length === 1
+    ? line
+    : `${keyword} {\n${names.map((name) => `  ${name},`).join('\n')}\n} from '${specifier}';`
+}
+
+const exportLines = ({ specifier, defaultName, values, types }) => {
+  const valueNames = [
+    ...(defaultName ? [`default as ${defaultName}`] : []),
+    ...values,
+  ]
+  return [
+    ...(valueNames.length > 0
+      ? [exportStatement('export', valueNames, specifier)]
+      : []),
+    ...(types.length > 0
+      ? [exportStatement('export type', types, specifier)]
+      : []),
+  ]
+}
+
+/** The generated region, markers included. */
+export const barrelRegion = (entries) => {
+  const lines = entries.flatMap(exportLines)
+  // An index.ts without exports would be a script under isolatedModules.
+  return [
+    barrelHeader,
+    ...(lines.length > 0 ? lines : ['export {};']),
+    barrelEnd,
+  ].join('\n')
+}
+
+export const featureBarrel = (
+  kebab,
+  region,
+) => `// Public API of the ${kebab} feature: import it from '@/features/${kebab}'.
+// Other features may only use what this file exports (see eslint.boundaries.mjs).
+${region}
+
+// Hand-written exports go below; \`sync\` keeps them.
+`
+
+export const componentsBarrel = (
+  level,
+  region,
+) => `// Shared ${level}: import them from '@/components/${level}'.
+${region}
+
+// Hand-written exports go below; \`sync\` keeps them.
+`
@@ -0,0 +1,43 @@
+// ────────────────────────────────
+// Next.js Base Template
+// ────────────────────────────────
+// The skeleton `create-next-app --ts --eslint --tailwind --app --src-dir`
+// would produce, shipped with the CLI (templates/base/) so new projects
+// don't depend on whatever create-next-app@latest resolves to that day.
+// The preset's layout.tsx and page.tsx and the rest of the LSCS files are
+// added on top.
+//
+// Bump these together and re-test presets/lscs-rnd/layout.tsx and page.tsx
+// when moving to a new Next.js release.
+
+export const pinnedVersions = {
+  dependencies: {
+    next: '15.5.27',
+    react: '19.1.0',
+    'react-dom': '19.1.0',
+  },
+  devDependencies: {
+    '@eslint/eslintrc': '^3',
+    '@tailwindcss/postcss': '^4',
+    '@types/node': '^20',
+    '@types/react': '^19',
+    '@types/react-dom': '^19',
+    eslint: '^9',
+    'eslint-config-next': '15.5.27',
+    tailwindcss: '^4',
+    typescript: '^5',
+  },
+}
+
+export const basePackageJson = (name) => ({
+  name,
+  version: '0.1.0',
+  private: true,
+  scripts: {
+    dev: 'next dev --turbopack',
+    build: 'next build',
+    start: 'next start',
+    lint: 'eslint',
+  },
+  ...pinnedVersions,
+})
@@ -0,0 +1,125 @@
+// ────────────────────────────────
+// Feature Boundary Templates
+// ────────────────────────────────
+// A dependency-free ESLint rule that keeps the Feature-Based Architecture
+// layered: features only reach each other through their public entry
+// (index or types/), shared components never import features, lib/ never
+// imports UI, and nothing imports app/. lib/boundaries.js adds it to
+// eslint.config.mjs; the same rules drive the `graph` command's highlights.
+
+export const boundaryRulesPath = 'eslint.boundaries.mjs'
+
+export const boundaryRulesImport = `import featureBoundaries from './${boundaryRulesPath}';`
+
+export const boundaryRules = `// Import boundaries for the LSCS Feature-Based Architecture
+// (generated by create-lscs-next-app; see \`npx create-lscs-next-app graph\`).
+//
+// - src/features/<name> may import another feature only through its
+//   public entry: the feature folder (index.ts) or its types/.
+// - src/components must not import features or app.
+// - src/lib must not import features, components or app.
+// - Nothing outside src/app imports from src/app.
+//
+// Tests are exempt, so they can reach into the code they test.
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const srcDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'src');
+
+// Layers each layer must not import, besides app/.
+const forbiddenLayers = {
+  components: ['features'],
+  lib: ['features', 'components'],
+};
+
+// \`{ layer, feature, rest }\` for a path under src/, else null.
+function locate(filePath) {
+  const parts = path.relative(srcDir, filePath).split(path.sep);
+  if (parts[0] === '..' || path.isAbsolute(parts[0]) || parts.length < 2) {
+    return null;
+  }
+  const [layer, ...rest] = parts;
+  return layer === 'features'
+    ? { layer, feature: rest[0], rest: rest.slice(1) }
+    : { layer, rest };
+}
+
+function resolveImport(specifier, fromFile) {
+  if (specifier.startsWith('@/')) return path.join(srcDir, specifier.slice(2));
+  if (/^\\.\\.?(\\/|$)/.test(specifier)) {
+    return path.resolve(path.dirname(fromFile), specifier);
+  }
+  return null;
+}
+
+const isPublicEntry = ({ rest }) =>
+  rest.length === 0 ||
+  (rest.length === 1 && /^index(\\.[cm]?[jt]sx?)?$/.test(rest[0])) ||
+  rest[0] === 'types';
+
+const rule = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Enforce the feature and layer import boundaries.',
+    },
+    schema: [],
+    messages: {
+      layer: '{{from}} must not import from {{to}} ("{{specifier}}").',
+      feature:
+        'Feature "{{from}}" must not reach into feature "{{to}}" ("{{specifier}}"); import from its index.ts or types/ instead.',
+    },
+  },
+  create(context) {
+    const from = locate(context.filename);
+    if (!from) return {};
+
+    const check = (node) => {
+      const specifier = node.source?.value;
+      if (typeof specifier !== 'string') return;
+      const target = resolveImport(specifier, context.filename);
+      const to = target && locate(target);
+      if (!to) return;
+
+      const data = { from: from.layer, to: to.layer, specifier };
+      if (
+        (to.layer === 'app' && from.layer !== 'app') ||
+        forbiddenLayers[from.layer]?.includes(to.layer)
+      ) {
+        context.report({ node: node.source, messageId: 'layer', data });
+      } else if (
+        from.layer === 'features' &&
+        to.layer === 'features' &&
+        from.feature !== to.feature &&
+        !isPublicEntry(to)
+      ) {
+        context.report({
+          node: node.source,
+          messageId: 'feature',
+          data: { from: from.feature, to: to.feature, specifier },
+        });
+      }
+    };
+
+    return {
+      ImportDeclaration: check,
+      ExportNamedDeclaration: check,
+      ExportAllDeclaration: check,
+      ImportExpression: check,
+    };
+  },
+};
+
+const featureBoundaries = {
+  files: ['src/**/*.{js,jsx,mjs,ts,tsx}'],
+  ignores: [
+    'src/__tests__/**',
+    'src/**/*.test.{ts,tsx}',
+    'src/**/*.spec.{ts,tsx}',
+  ],
+  plugins: { lscs: { rules: { 'feature-boundaries': rule } } },
+  rules: { 'lscs/feature-boundaries': 'error' },
+};
+
+export default featureBoundaries;
+`
@@ -0,0 +1,40 @@
+// ────────────────────────────────
+// Component Template
+// ────────────────────────────────
+// Generates a presentational component and its co-located Vitest test for
+// the CLI command: `npx create-lscs-next-app component <Name> --level <level>`
+// The default export always matches the PascalCase file name (FSM rule).
+
+const levelNotes = {
+  atom: 'Atom: smallest UI element. Wrap shadcn/ui primitives from `ui/` here only.',
+  molecule: 'Molecule: composes atoms. Never import from `ui/` directly.',
+  organism:
+    'Organism: composes molecules and atoms. Never import from `ui/` directly.',
+}
+
+export const componentFiles = ({ name, level }) => ({
+  component: `import type { ReactNode } from 'react';
+
+// ${levelNotes[level]}
+export interface ${name}Props {
+  children?: ReactNode;
+  className?: string;
+}
+
+export default function ${name}({ children, className }: ${name}Props) {
+  return <div className={className}>{children}</div>;
+}
+`,
+
+  test: `import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import ${name} from './${name}';
+
+describe('${name}', () => {
+  it('renders its children', () => {
+    render(<${name}>Hello</${name}>);
+    expect(screen.getByText('Hello')).toBeInTheDocument();
+  });
+});
+`,
+})
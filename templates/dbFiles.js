@@ -0,0 +1,74 @@
+// ────────────────────────────────
+// Drizzle ORM Templates
+// ────────────────────────────────
+// Files written by `npx create-lscs-next-app add db`: Drizzle config, a
+// schema folder with an example table and a typed client in src/lib.
+// SQLite (through libSQL) is the default so the database runs locally
+// without any server; point DATABASE_URL at Turso or another libSQL host
+// to deploy.
+//
+// Keys are paths relative to the project root.
+
+export const dbDependencies = ['drizzle-orm', '@libsql/client']
+export const dbDevDependencies = ['drizzle-kit']
+
+export const dbScripts = {
+  'db:generate': 'drizzle-kit generate',
+  'db:migrate': 'drizzle-kit migrate',
+  'db:push': 'drizzle-kit push',
+  'db:studio': 'drizzle-kit studio',
+}
+
+export const dbEnv = {
+  DATABASE_URL: 'file:local.db',
+}
+
+// Added to the schema in src/config/env.ts.
+export const dbEnvSchema = {
+  DATABASE_URL: "z.string().min(1).default('file:local.db')",
+}
+
+export const dbFiles = {
+  'drizzle.config.ts': `import { defineConfig } from 'drizzle-kit';
+
+export default defineConfig({
+  schema: './src/db/schema',
+  out: './drizzle',
+  dialect: 'sqlite',
+  dbCredentials: {
+    url: process.env.DATABASE_URL ?? 'file:local.db',
+  },
+});
+`,
+
+  'src/db/schema/index.ts': `export * from './todos';
+`,
+
+  'src/db/schema/todos.ts': `import { sql } from 'drizzle-orm';
+import { integer, sqliteTable, text } from 'drizzle-orm/sqlite-core';
+
+export const todos = sqliteTable('todos', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  title: text('title').notNull(),
+  done: integer('done', { mode: 'boolean' }).notNull().default(false),
+  createdAt: integer('created_at', { mode: 'timestamp' })
+    .notNull()
+    .default(sql\`(unixepoch())\`),
+});
+
+export type Todo = typeof todos.$inferSelect;
+export type NewTodo = typeof todos.$inferInsert;
+`,
+
+  'src/lib/db.ts': `import { drizzle } from 'drizzle-orm/libsql';
+import * as schema from '@/db/schema';
+
+// Server-only: never import this from a client component.
+export const db = drizzle({
+  connection: { url: process.env.DATABASE_URL ?? 'file:local.db' },
+  schema,
+});
+
+export type Database = typeof db;
+`,
+}
@@ -0,0 +1,129 @@
+// ────────────────────────────────
+// Container Templates
+// ────────────────────────────────
+// What the image workflow (.github/workflows/002-build-push-image.yml)
+// needs to build: a multi-stage Dockerfile that installs with the
+// project's package manager and runs Next.js' standalone server as a
+// non-root user, a .dockerignore, a /api/health route for the container
+// health check and an optional compose.yml for local runs.
+//
+// Keys are paths relative to the project root.
+
+// Base image and lockfiles to copy for the install stage. corepack provides
+// pnpm and yarn at the version pinned in package.json's `packageManager`.
+const installStages = {
+  npm: {
+    image: 'node:22-alpine',
+    files: 'package.json package-lock.json',
+  },
+  pnpm: {
+    image: 'node:22-alpine',
+    setup: 'RUN corepack enable',
+    files: 'package.json pnpm-lock.yaml',
+  },
+  yarn: {
+    image: 'node:22-alpine',
+    setup: 'RUN corepack enable',
+    files: 'package.json yarn.lock .yarnrc.yml*',
+  },
+  bun: {
+    image: 'oven/bun:1-alpine',
+    files: 'package.json bun.lock*',
+  },
+}
+
+/**
+ * `installCommand` is the manager's frozen-lockfile install (see `ci` in
+ * lib/packageManager.js).
+ */
+export const dockerfile = (packageManager, installCommand) => {
+  const stage = installStages[packageManager]
+  return `# syntax=docker/dockerfile:1
+
+# ── Dependencies (${packageManager}) ──
+FROM ${stage.image} AS deps
+WORKDIR /app
+${stage.setup ? `${stage.setup}\n` : ''}COPY ${stage.files} ./
+RUN ${installCommand}
+
+# ── Build ──
+FROM node:22-alpine AS builder
+WORKDIR /app
+COPY --from=deps /app/node_modules ./node_modules
+COPY . .
+ENV NEXT_TELEMETRY_DISABLED=1
+# Runtime secrets are not available here; src/config/env.ts validates them
+# in the running container instead, when server code first reads \`env\`.
+ENV SKIP_ENV_VALIDATION=1
+# Scripts only need Node, whichever manager installed node_modules.
+RUN npm run build
+
+# ── Runtime ──
+FROM node:22-alpine AS runner
+WORKDIR /app
+ENV NODE_ENV=production
+ENV NEXT_TELEMETRY_DISABLED=1
+ENV PORT=3000
+ENV HOSTNAME=0.0.0.0
+
+RUN addgroup --system --gid 1001 nodejs \\
+  && adduser --system --uid 1001 --ingroup nodejs nextjs
+
+COPY --from=builder --chown=nextjs:nodejs /app/public ./public
+COPY --from=builder --chown=nextjs:nodejs /app/.next/standalone ./
+COPY --from=builder --chown=nextjs:nodejs /app/.next/static ./.next/static
+
+USER nextjs
+EXPOSE 3000
+HEALTHCHECK --interval=30s --timeout=5s --start-period=15s --retries=3 \\
+  CMD wget -qO- http://127.0.0.1:3000/api/health || exit 1
+CMD ["node", "server.js"]
+`
+}
+
+export const dockerignore = `node_modules
+.next
+.git
+.github
+.lscs
+coverage
+cypress/videos
+cypress/screenshots
+*.db
+*.db-journal
+.env*
+!.env.example
+Dockerfile
+compose.yml
+`
+
+export const healthRoutePath = 'src/app/api/health/route.ts'
+
+export const healthRoute = `import { NextResponse } from 'next/server';
+
+// Polled by the Docker HEALTHCHECK and deployment platforms; keep it free
+// of database or network calls so it only reports whether the server is up.
+export const dynamic = 'force-dynamic';
+
+export function GET() {
+  return NextResponse.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+}
+`
+
+export const composeFile = (projectName) => `services:
+  app:
+    build: .
+    image: ${projectName}:local
+    ports:
+      - '3000:3000'
+    env_file:
+      - path: .env.local
+        required: false
+    restart: unless-stopped
+`
+
+export const standaloneOutput = `output: 'standalone',`
@@ -0,0 +1,66 @@
+// ────────────────────────────────
+// Environment Config Templates
+// ────────────────────────────────
+// A Zod-validated src/config/env.ts and its matching .env.example.
+// Server variables are only parsed on the server; NEXT_PUBLIC_ variables
+// are listed explicitly so Next.js can inline them into the client bundle.
+// `npx create-lscs-next-app env` keeps .env.example in sync with the schema.
+//
+// Keep one variable per line inside the schemas: the `env` command and the
+// db/auth modules read and extend them line by line.
+
+export const envFiles = {
+  'src/config/env.ts': `import { z } from 'zod';
+
+const nodeEnvs = ['development', 'test', 'production'] as const;
+
+const serverSchema = z.object({
+  NODE_ENV: z.enum(nodeEnvs).default('development'),
+});
+
+const clientSchema = z.object({
+  NEXT_PUBLIC_APP_URL: z.string().url().default('http://localhost:3000'),
+});
+
+// process.env is not enumerable in the browser, so every NEXT_PUBLIC_
+// variable has to be referenced by name here.
+const clientValues = {
+  NEXT_PUBLIC_APP_URL: process.env.NEXT_PUBLIC_APP_URL,
+};
+
+function parseEnv<T extends z.ZodTypeAny>(
+  schema: T,
+  values: Record<string, string | undefined>,
+  label: string,
+): z.infer<T> {
+  const result = schema.safeParse(values);
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => \`  - \${issue.path.join('.')}: \${issue.message}\`)
+      .join('\\n');
+    throw new Error(\`❌ Invalid \${label} environment variables:\\n\${issues}\`);
+  }
+  return result.data;
+}
+
+const isServer = typeof window === 'undefined';
+// Set in the Docker build stage, where runtime secrets are not available.
+// Client variables are still checked: they are inlined at build time.
+const skipServerValidation = Boolean(process.env.SKIP_ENV_VALIDATION);
+
+export const env = {
+  ...parseEnv(clientSchema, clientValues, 'client'),
+  ...(isServer && !skipServerValidation
+    ? parseEnv(serverSchema, process.env, 'server')
+    : {}),
+} as z.infer<typeof serverSchema> & z.infer<typeof clientSchema>;
+`,
+
+  '.env.example': `# Copy to .env.local and fill in the values.
+# Keep in sync with src/config/env.ts: npx create-lscs-next-app env
+NEXT_PUBLIC_APP_URL=http://localhost:3000
+`,
+}
+
+// Imported first in next.config so invalid variables fail the build/boot.
+export const nextConfigEnvImport = `import './src/config/env';\n`
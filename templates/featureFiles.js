@@ -0,0 +1,154 @@
+// ────────────────────────────────
+// Feature Starter Files Template
+// ────────────────────────────────
+// Generates the connected starter files for a new feature, following the
+// "Scaffolding a New Feature" section of the bundled SKILL.md:
+// types → mock data → service → query options → hook → container → component.
+//
+// Receives the feature name in every casing (see lib/naming.js) and returns
+// a map of paths, relative to the project root, to file contents.
+
+export const featureFiles = ({ kebab, pascal, camel, constant }) => {
+  const base = `src/features/${kebab}`
+  const itemType = `${pascal}Item`
+  // Wrapped the way Prettier would at 80 columns, so `format` leaves it alone.
+  const hookHead = `export function use${pascal}(): UseQueryResult<`
+  const hookSignature =
+    `${hookHead}${itemType}[], Error> {`.length <= 80
+      ? `${hookHead}${itemType}[], Error> {`
+      : `${hookHead}\n  ${itemType}[],\n  Error\n> {`
+  const listHead = `export default function ${pascal}List(`
+  const listSignature =
+    `${listHead}{ items, isLoading, error }: ${pascal}ListProps) {`.length <= 80
+      ? `${listHead}{ items, isLoading, error }: ${pascal}ListProps) {`
+      : `${listHead}{\n  items,\n  isLoading,\n  error,\n}: ${pascal}ListProps) {`
+  const listProps = [
+    'items={data ?? []}',
+    'isLoading={isLoading}',
+    'error={error?.message}',
+  ]
+  const listElement =
+    `    <${pascal}List ${listProps.join(' ')} />`.length <= 80
+      ? `    <${pascal}List ${listProps.join(' ')} />`
+      : `    <${pascal}List\n${listProps.map((prop) => `      ${prop}`).join('\n')}\n    />`
+
+  return {
+    [`${base}/types/${kebab}.types.ts`]: `export interface ${itemType} {
+  id: string;
+  title: string;
+}
+`,
+
+    [`${base}/data/mock.${kebab}.ts`]: `import type { ${itemType} } from '../types/${kebab}.types';
+
+// Temporary data served by the service until the API is available.
+export const mock${pascal}: ${itemType}[] = [
+  { id: '1', title: 'First ${kebab} item' },
+  { id: '2', title: 'Second ${kebab} item' },
+];
+`,
+
+    [`${base}/services/${kebab}.service.ts`]: `import { mock${pascal} } from '../data/mock.${kebab}';
+import type { ${itemType} } from '../types/${kebab}.types';
+
+const ${constant}_ENDPOINT = '/api/${kebab}';
+
+// Flip to false once ${constant}_ENDPOINT is implemented.
+const USE_MOCK_DATA = true;
+
+export async function fetch${pascal}(): Promise<${itemType}[]> {
+  if (USE_MOCK_DATA) return mock${pascal};
+
+  const res = await fetch(${constant}_ENDPOINT);
+  if (!res.ok) throw new Error('Failed to fetch ${kebab}');
+  return res.json() as Promise<${itemType}[]>;
+}
+`,
+
+    [`${base}/queries/${kebab}.queries.ts`]: `import { queryOptions } from '@tanstack/react-query';
+import { fetch${pascal} } from '../services/${kebab}.service';
+
+export const ${camel}Keys = {
+  all: ['${kebab}'] as const,
+  list: () => [...${camel}Keys.all, 'list'] as const,
+};
+
+export const ${camel}ListQuery = () =>
+  queryOptions({
+    queryKey: ${camel}Keys.list(),
+    queryFn: fetch${pascal},
+  });
+`,
+
+    [`${base}/hooks/use-${kebab}.ts`]: `import { useQuery, type UseQueryResult } from '@tanstack/react-query';
+import { ${camel}ListQuery } from '../queries/${kebab}.queries';
+import type { ${itemType} } from '../types/${kebab}.types';
+
+${hookSignature}
+  return useQuery(${camel}ListQuery());
+}
+`,
+
+    [`${base}/components/${pascal}List.tsx`]: `import type { ${itemType} } from '../types/${kebab}.types';
+
+type ${pascal}ListProps = {
+  items: ${itemType}[];
+  isLoading: boolean;
+  error?: string;
+};
+
+${listSignature}
+  if (isLoading) return <p>Loading ${kebab}...</p>;
+  if (error) return <p>Error: {error}</p>;
+  if (items.length === 0) return <p>No ${kebab} yet.</p>;
+
+  return (
+    <ul>
+      {items.map((item) => (
+        <li key={item.id}>{item.title}</li>
+      ))}
+    </ul>
+  );
+}
+`,
+
+    [`${base}/containers/${pascal}ListContainer.tsx`]: `'use client';
+
+import ${pascal}List from '../components/${pascal}List';
+import { use${pascal} } from '../hooks/use-${kebab}';
+
+export default function ${pascal}ListContainer() {
+  const { data, isLoading, error } = use${pascal}();
+
+  return (
+${listElement}
+  );
+}
+`,
+
+    [`src/__tests__/unit/${kebab}/${pascal}List.test.tsx`]: `import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import ${pascal}List from '@/features/${kebab}/components/${pascal}List';
+import { mock${pascal} } from '@/features/${kebab}/data/mock.${kebab}';
+
+describe('${pascal}List', () => {
+  it('renders every item', () => {
+    render(<${pascal}List items={mock${pascal}} isLoading={false} />);
+    for (const item of mock${pascal}) {
+      expect(screen.getByText(item.title)).toBeInTheDocument();
+    }
+  });
+
+  it('renders the loading state', () => {
+    render(<${pascal}List items={[]} isLoading />);
+    expect(screen.getByText('Loading ${kebab}...')).toBeInTheDocument();
+  });
+
+  it('renders the error state', () => {
+    render(<${pascal}List items={[]} isLoading={false} error="Boom" />);
+    expect(screen.getByText('Error: Boom')).toBeInTheDocument();
+  });
+});
+`,
+  }
+}
@@ -3,10 +3,36 @@
 // ────────────────────────────────
 // This template is used to generate a README for each new feature
 // created via the CLI command: `npx create-lscs-next-app feature <feature-name>`
-// It explains folder structure, guidelines, and best practices.
+// It explains folder structure, starter files, guidelines, and best practices.
 
-export const featureReadme = (featureName) => `
-# Feature Module: ${featureName}
+import { featureNames } from '../lib/naming.js'
+import { markdownTable } from './agentFiles.js'
+
+export const featureReadme = (featureName) => {
+  const { kebab, pascal } = featureNames(featureName)
+  const starterFiles = markdownTable(
+    ['File', 'Role'],
+    [
+      [`\`types/${kebab}.types.ts\``, `\`${pascal}Item\` interface`],
+      [`\`data/mock.${kebab}.ts\``, 'Mock items served until the API exists'],
+      [
+        `\`services/${kebab}.service.ts\``,
+        `Native \`fetch\` call (\`fetch${pascal}\`)`,
+      ],
+      [
+        `\`queries/${kebab}.queries.ts\``,
+        'Query keys and TanStack Query options',
+      ],
+      [`\`hooks/use-${kebab}.ts\``, `\`use${pascal}\` query hook`],
+      [
+        `\`containers/${pascal}ListContainer.tsx\``,
+        'Connects the hook to the UI',
+      ],
+      [`\`components/${pascal}List.tsx\``, 'Presentational list (props only)'],
+      ['`index.ts`', 'Public API: re-exports the containers, hooks and types'],
+    ],
+  )
+  return `# Feature Module: ${featureName}
 
 This folder is a **template** for creating new features.
 To add a new feature:
@@ -32,6 +58,16 @@ To add a new feature:
 
 ---
 
+## 🧩 Starter Files
+
+The CLI generates a working, connected slice you can build on:
+
+${starterFiles}
+
+A matching Vitest test lives in \`src/__tests__/unit/${kebab}/${pascal}List.test.tsx\`.
+
+---
+
 ## 🧭 Guidelines
 
 - Follow the **Atomic Design** principle inside \`components/\`.
@@ -44,4 +80,4 @@ To add a new feature:
 
 ✅ This structure ensures each feature is **modular**, **scalable**, and **easy to maintain** within the LSCS architecture.
 `
-
+}
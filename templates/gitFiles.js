@@ -0,0 +1,133 @@
+// ────────────────────────────────
+// Git Templates
+// ────────────────────────────────
+// Dependency-free hooks that enforce the Code Contribution Guidelines in
+// the project README: branch names like `feature/<issue-no>-<description>`,
+// Conventional Commit messages, and Prettier and ESLint on the staged
+// files. Git runs them from .githooks once `core.hooksPath` points there
+// (lib/git.js sets it on `git init`; `hooks:install` does it after a clone).
+
+export const hooksDir = '.githooks'
+
+export const hooksScript = {
+  'hooks:install': `git config core.hooksPath ${hooksDir}`,
+}
+
+// The types in the README's Commit Message Reference.
+export const commitTypes = [
+  'feat',
+  'fix',
+  'docs',
+  'style',
+  'refactor',
+  'test',
+  'chore',
+]
+
+export const branchTypes = ['feature', 'fix', 'hotfix']
+
+export const initialCommitMessage =
+  'chore: initial commit from create-lscs-next-app'
+
+// A single-quoted array literal, as Prettier writes it.
+const arrayLiteral = (values) =>
+  `[${values.map((value) => `'${value}'`).join(', ')}]`
+
+// `branches` are the prod, dev and staging branches the workflows deploy
+// from; `pm` the project's package manager (see lib/packageManager.js).
+const preCommit = ({ branches, pm }) => `#!/usr/bin/env node
+// Runs before every commit (generated by create-lscs-next-app): checks the
+// branch name, then Prettier and ESLint on the staged files.
+// Skip it once with \`git commit --no-verify\`.
+const { execFileSync, spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+const longLivedBranches = ${arrayLiteral([branches.prod, branches.dev, branches.staging])};
+const branchPattern = /^(${branchTypes.join('|')})\\/[0-9]+-[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const git = (...args) => execFileSync('git', args, { encoding: 'utf8' });
+
+let branch = null;
+try {
+  branch = git('symbolic-ref', '--quiet', '--short', 'HEAD').trim();
+} catch {
+  // Detached HEAD, e.g. in the middle of a rebase.
+}
+if (
+  branch &&
+  !longLivedBranches.includes(branch) &&
+  !branchPattern.test(branch)
+) {
+  console.error(
+    \`✖ Branch "\${branch}" does not follow the naming convention <type>/<issue-no>-<description>, where <type> is ${branchTypes.join(', ')} (e.g. feature/42-login-form).\\n  Rename it with: git branch -m <new-name>\`,
+  );
+  process.exit(1);
+}
+
+const staged = git(
+  'diff',
+  '--cached',
+  '--name-only',
+  '--diff-filter=ACMR',
+  '-z',
+)
+  .split('\\0')
+  .filter(Boolean);
+
+// Binaries from node_modules/.bin, whichever package manager installed them.
+const run = (bin, args) => {
+  if (args.length === 0) return true;
+  const windows = process.platform === 'win32';
+  const command = path.join(
+    'node_modules',
+    '.bin',
+    windows ? \`\${bin}.cmd\` : bin,
+  );
+  return (
+    spawnSync(command, args, { stdio: 'inherit', shell: windows }).status === 0
+  );
+};
+
+const formatted = run('prettier', ['--check', '--ignore-unknown', ...staged]);
+const linted = run('eslint', [
+  '--no-warn-ignored',
+  ...staged.filter((file) => /\\.[cm]?[jt]sx?$/.test(file)),
+]);
+if (!formatted || !linted) {
+  console.error(
+    '✖ Fix the files above (${pm.run('format')} formats them), stage them and commit again.',
+  );
+  process.exit(1);
+}
+`
+
+const commitMsg = () => `#!/usr/bin/env node
+// Checks the commit message (generated by create-lscs-next-app): the first
+// line must follow Conventional Commits, e.g. \`feat(auth): add login form\`.
+const fs = require('node:fs');
+
+const types = ${arrayLiteral(commitTypes)};
+const pattern = new RegExp(\`^(\${types.join('|')})(\\\\([a-z0-9-]+\\\\))?!?: \\\\S\`);
+
+const subject =
+  fs
+    .readFileSync(process.argv[2], 'utf8')
+    .split('\\n')
+    .find((line) => line.trim() !== '' && !line.startsWith('#')) ?? '';
+
+// Messages git writes itself.
+if (/^(Merge|Revert|fixup!|squash!|amend!) /.test(subject)) process.exit(0);
+
+if (!pattern.test(subject)) {
+  console.error(
+    \`✖ "\${subject}" is not a Conventional Commit message.\\n  Use <type>(<scope>): <description>, where <type> is one of: \${types.join(', ')}\\n  e.g. feat(auth): add login form\`,
+  );
+  process.exit(1);
+}
+`
+
+/** The hook files, as `{ relativePath: contents }`. */
+export const gitHooks = (settings) => ({
+  [`${hooksDir}/pre-commit`]: preCommit(settings),
+  [`${hooksDir}/commit-msg`]: commitMsg(),
+})
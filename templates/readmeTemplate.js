@@ -8,9 +8,13 @@
 // It explains the setup, folder structure,
 // Atomic Design system, Container/Presentational pattern,
 // coding standards, and contribution workflow.
+// `run` formats a script command for the project's package manager
+// (e.g. `pnpm dev`); it defaults to npm.
 
-export const readmeTemplate = (projectName) => `
-# ${projectName}
+export const readmeTemplate = (
+  projectName,
+  run = (script) => `npm run ${script}`,
+) => `# ${projectName}
 
 This project was bootstrapped with **create-lscs-next-app** — a CLI that sets up a scalable, opinionated **Feature-Driven Next.js Architecture** using modern standards and conventions.
 
@@ -22,16 +26,52 @@ This project was bootstrapped with **create-lscs-next-app** — a CLI that sets
 - Organized, modular folder structure
 - Atomic Design + Feature Architecture
 - Vitest + Cypress preconfigured for testing
-- Global styles in \`src/styles/globals.css\`
+- Global styles in \`src/styles/globals.css\`, brand colors and fonts in \`src/styles/theme.css\`
+- Environment variables validated by Zod in \`src/config/env.ts\`
+
+### Environment Variables
+
+Copy \`.env.example\` to \`.env.local\` and fill in the values. Read variables
+through the typed \`env\` object instead of \`process.env\`:
+
+\`\`\`ts
+import { env } from '@/config/env';
+
+env.NEXT_PUBLIC_APP_URL; // string, validated at boot
+\`\`\`
+
+To add a variable, declare it in the server or client schema in
+\`src/config/env.ts\` (one per line; \`NEXT_PUBLIC_\` variables also go in
+\`clientValues\`), then run:
+
+\`\`\`bash
+npx create-lscs-next-app env          # add missing keys to .env.example and report drift
+npx create-lscs-next-app env --check  # report only (CI)
+\`\`\`
 
 ### Scripts
 
-- \`npm run dev\` → Start development server
-- \`npm run build\` → Build production bundle
-- \`npm run start\` → Run production build
-- \`npm run lint\` → Run ESLint
-- \`npm run test\` → Run Vitest
-- \`npm run test:e2e\` → Run Cypress end-to-end tests
+- \`${run('dev')}\` → Start development server
+- \`${run('build')}\` → Build production bundle
+- \`${run('start')}\` → Run production build
+- \`${run('lint')}\` → Run ESLint
+- \`${run('test')}\` → Run Vitest once
+- \`${run('test:watch')}\` → Run Vitest in watch mode
+- \`${run('test:coverage')}\` → Run Vitest with coverage thresholds
+- \`${run('test:e2e')}\` → Start the dev server and run the Cypress end-to-end tests
+
+### Upgrading the Templates
+
+\`.lscs/manifest.json\` records what the CLI generated. After a new
+release, bring the project up to date with:
+
+\`\`\`bash
+npx create-lscs-next-app@latest upgrade --dry-run  # list the changes
+npx create-lscs-next-app@latest upgrade            # apply them
+\`\`\`
+
+Untouched files are replaced; files you edited are kept or, if the template
+changed too, get \`<<<<<<< yours\` conflict markers to resolve.
 
 ---
 
@@ -52,10 +92,57 @@ This generates a folder under \`src/features/<feature-name>\` with:
 - queries/
 - types/
 - data/
+- index.ts
 - README.md
 
+It also generates typed starter files that are already connected to each other
+(\`[Name]List.tsx\`, \`[Name]ListContainer.tsx\`, \`use-[name].ts\`, \`[name].service.ts\`,
+\`[name].queries.ts\`, \`[name].types.ts\`, \`mock.[name].ts\`) plus a Vitest test in
+\`src/__tests__/unit/[name]/\`. The name is converted to kebab-case for folders and
+PascalCase for components, and an existing feature is never overwritten.
+
 Each generated feature is self-contained and ready to scale.
 
+To rename or delete a feature later, let the CLI fix the imports for you:
+
+\`\`\`bash
+npx create-lscs-next-app feature rename posts articles --dry-run
+npx create-lscs-next-app feature remove articles
+\`\`\`
+
+\`rename\` moves the folder and its tests, renames files and identifiers built from the
+feature name (\`PostsList.tsx\`, \`usePosts\`) and rewrites imports across \`src\`.
+\`remove\` refuses while other code still imports the feature unless you pass \`--force\`.
+Drop \`--dry-run\` to apply the changes.
+
+### 🧭 Adding a Route
+
+\`\`\`bash
+npx create-lscs-next-app route blog/[slug] --feature posts --api
+\`\`\`
+
+This creates \`src/app/blog/[slug]/\` with \`page.tsx\` (typed \`params\` and
+\`generateMetadata\`, rendering the feature's container), \`loading.tsx\` and
+\`error.tsx\`. \`--api\` adds \`src/app/api/blog/[slug]/route.ts\`, its response type in
+the feature's \`types/\` and a \`fetchBlogSlug(slug)\` call in its \`services/\`, so
+components keep getting data through the container. Route groups such as
+\`(shop)/cart\` and catch-alls (\`[...slug]\`, \`[[...slug]]\`) are supported; existing
+files are never overwritten.
+
+### 🔌 Generating an API Client
+
+\`\`\`bash
+npx create-lscs-next-app api ./openapi.yaml --feature posts
+\`\`\`
+
+This reads a local OpenAPI 3 document and writes, for each tag, \`services/<tag>-api.service.ts\`
+(native \`fetch\`), \`queries/<tag>-api.queries.ts\` (query keys and \`queryOptions\`) and
+\`hooks/use-<tag>-api.ts\` (\`useQuery\`/\`useMutation\`), with the types in
+\`types/posts-api.types.ts\`. The base URL is read from \`NEXT_PUBLIC_POSTS_API_URL\` in
+\`src/config/env.ts\`. Only the code between \`// lscs:openapi:start\` and
+\`// lscs:openapi:end\` is generated: re-run the command after the document changes and
+anything you wrote outside that region stays.
+
 ---
 
 ## 3. 🧬 Atomic Design System
@@ -76,7 +163,44 @@ Each feature uses **Atomic Design** to organize components by their role and reu
 - **Molecules** → Groups of atoms with simple interactivity.
 - **Organisms** → Larger composed sections of the interface.
 
+### 🎨 shadcn/ui Primitives
+
+shadcn/ui primitives live in \`components/ui/\` and are only imported by atoms.
+Add bundled primitives (and their atom wrappers) with:
+
+\`\`\`bash
+npx create-lscs-next-app add ui button input card
+\`\`\`
+
+### 🌗 Theme and Dark Mode
+
+\`src/styles/theme.css\` defines the brand colors for light and dark mode, the fonts and
+the corner radius as CSS variables, generated from the brand tokens the project was created
+with. Use them through Tailwind utilities (\`bg-primary\`, \`text-muted-foreground\`,
+\`border-border\`, \`rounded-lg\`) instead of hard-coded colors, so both modes and the
+shadcn/ui primitives follow the brand.
+
+\`ThemeProvider\` (\`src/providers/ThemeProvider.tsx\`) follows the system preference and
+toggles the \`dark\` class on \`<html>\`. Switch it from a client component:
+
+\`\`\`tsx
+const { resolvedTheme, setTheme } = useTheme();
+setTheme(resolvedTheme === 'dark' ? 'light' : 'dark'); // or 'system'
+\`\`\`
+
+### 🛠️ Generating Components
+
+\`\`\`bash
+npx create-lscs-next-app component SearchBar --level molecule
+npx create-lscs-next-app component PostCard --level organism --feature posts
+\`\`\`
+
+This creates \`SearchBar.tsx\` (default export \`SearchBar\`, typed \`SearchBarProps\`) and a
+co-located \`SearchBar.test.tsx\` in the matching tier. Names must be PascalCase and
+existing files are never overwritten.
+
 This structure allows:
+
 - Reusability and consistency in UI
 - Easier maintenance and scaling of complex designs
 - Clear boundaries between design layers
@@ -87,17 +211,20 @@ This structure allows:
 
 Inside each feature, logic and UI are **separated** into distinct layers to keep the codebase clean and modular.
 
-| Layer | Folder | Responsibility |
-|-------|---------|----------------|
-| **Presentational** | \`components/\` | Defines **how things look**. Purely visual, receives data via props. No business logic. |
-| **Container** | \`containers/\` | Defines **how things work**. Handles logic, data fetching, and passes props to components. |
+| Layer              | Folder        | Responsibility                                                                             |
+| ------------------ | ------------- | ------------------------------------------------------------------------------------------ |
+| **Presentational** | \`components/\` | Defines **how things look**. Purely visual, receives data via props. No business logic.    |
+| **Container**      | \`containers/\` | Defines **how things work**. Handles logic, data fetching, and passes props to components. |
 
 ### Example
 
 \`\`\`tsx
 // components/atoms/Button.tsx (Presentational)
 export const Button = ({ label, onClick }) => (
-  <button className="px-4 py-2 bg-green-600 text-white rounded" onClick={onClick}>
+  <button
+    className="px-4 py-2 bg-green-600 text-white rounded"
+    onClick={onClick}
+  >
     {label}
   </button>
 );
@@ -105,8 +232,8 @@ export const Button = ({ label, onClick }) => (
 
 \`\`\`tsx
 // containers/LoginContainer.tsx (Container)
-import { Button } from "../components/atoms/Button";
-import { useAuth } from "../hooks/useAuth";
+import { Button } from '../components/atoms/Button';
+import { useAuth } from '../hooks/useAuth';
 
 export const LoginContainer = () => {
   const { login } = useAuth();
@@ -115,6 +242,7 @@ export const LoginContainer = () => {
 \`\`\`
 
 ✅ **Benefits**
+
 - Components remain reusable and easy to test.
 - Logic is decoupled from presentation.
 - Easier collaboration between UI and logic developers.
@@ -130,8 +258,7 @@ All code is organized around features instead of technical layers — ensuring m
 src/
 ├── app/ # Next.js App Router
 │   ├── layout.tsx
-│   ├── page.tsx
-│   └── providers.tsx
+│   └── page.tsx
 │
 ├── components/ # Global shared UI (Atomic Design)
 │   ├── atoms/
@@ -151,33 +278,73 @@ src/
 │
 ├── lib/ # Global utilities & helpers
 ├── queries/ # Global TanStack Query setup
-├── store/ # Zustand stores
-├── providers/ # App-level providers (Auth, Theme, Query)
-├── config/ # Constants, environment setup
-├── styles/ # Global styles
+├── store/ # Zustand stores (e.g. sidebar.store.ts)
+├── providers/ # App-level providers (QueryProvider, Auth, Theme)
+├── config/ # Constants, env.ts (validated env vars), query.ts (shared QueryClient config)
+├── styles/ # globals.css, theme.css (brand tokens)
 ├── types/ # Global TypeScript types
-└── tests/ # Unit & E2E tests
+└── __tests__/ # Unit & E2E tests
 \`\`\`
 
 This structure keeps the app modular, testable, and highly maintainable.
 
+### 🚧 Feature Boundaries
+
+\`eslint.boundaries.mjs\` (loaded by \`eslint.config.mjs\`) makes \`${run('lint')}\` fail when
+an import breaks the layering:
+
+- a feature imports another feature only through its \`index.ts\` or \`types/\`, never its
+  \`components/\`, \`services/\` or other internals;
+- \`src/components\` never imports features, and \`src/lib\` imports neither features nor
+  components;
+- only \`src/app\` imports from \`src/app\`.
+
+Tests are exempt. To see how features and layers depend on each other:
+
+\`\`\`bash
+npx create-lscs-next-app graph > dependencies.mmd          # Mermaid (default)
+npx create-lscs-next-app graph --format dot | dot -Tsvg > dependencies.svg
+npx create-lscs-next-app graph --format json
+\`\`\`
+
+Imports that cross a boundary and features that import each other are drawn in red
+and listed on stderr.
+
+### 📦 Public API Barrels
+
+Each feature's \`index.ts\` re-exports its \`containers/\`, \`hooks/\` and \`types/\`, and
+\`src/components/{atoms,molecules,organisms}/index.ts\` re-export the shared components,
+so other code imports \`@/features/<feature-name>\` or \`@/components/atoms\`. After adding
+or removing files, regenerate them:
+
+\`\`\`bash
+npx create-lscs-next-app sync
+\`\`\`
+
+Only the region between \`// lscs:barrel:start\` and \`// lscs:barrel:end\` is rewritten;
+exports you add below it are kept. \`sync\` also warns about imports from outside a
+feature that reach a file its \`index.ts\` does not export.
+
 ---
 
 ## 6. 🧠 Tech Stack Recommendations
 
-These libraries are **recommended** (not auto-installed) for your feature development:
-
-| Category | Tool |
-|-----------|------|
-| Language | **TypeScript** |
-| Styling | **Tailwind CSS**, optionally **shadcn/ui** |
-| Data Fetching | **TanStack Query** |
-| State Management | **Zustand** |
-| Forms | **React Hook Form** + **Zod** |
-| Authentication | **NextAuth.js** |
-| Animations | **Framer Motion** |
-| Testing | **Vitest** + **Cypress** |
-| ORM | **Drizzle ORM** |
+**TanStack Query** and **Zustand** are installed and wired up out of the box:
+\`src/providers/QueryProvider.tsx\` wraps the app in \`layout.tsx\` using the shared
+client from \`src/config/query.ts\`, and \`src/store/sidebar.store.ts\` is an example store.
+The remaining libraries are **recommended** for your feature development:
+
+| Category         | Tool                                                                     |
+| ---------------- | ------------------------------------------------------------------------ |
+| Language         | **TypeScript**                                                           |
+| Styling          | **Tailwind CSS**, optionally **shadcn/ui**                               |
+| Data Fetching    | **TanStack Query**                                                       |
+| State Management | **Zustand**                                                              |
+| Forms            | **React Hook Form** + **Zod** (Zod is installed for \`src/config/env.ts\`) |
+| Authentication   | **BetterAuth** (\`npx create-lscs-next-app add auth\`)                     |
+| Animations       | **Framer Motion**                                                        |
+| Testing          | **Vitest** + **Cypress**                                                 |
+| ORM              | **Drizzle ORM** (\`npx create-lscs-next-app add db\`)                      |
 
 ---
 
@@ -192,16 +359,41 @@ These libraries are **recommended** (not auto-installed) for your feature develo
 - Test with **Vitest** (unit) and **Cypress** (e2e).
 - Comment only to explain **why**, not **what**.
 
+Run the standards check before opening a PR:
+
+\`\`\`bash
+npx create-lscs-next-app check
+\`\`\`
+
+It reports each violation with file, line, rule ID and a suggested fix, and exits with a
+non-zero code when anything is found. Use \`--format json\` or \`--format sarif\` for tooling.
+
+### 🤖 AI Coding Agents
+
+\`AGENTS.md\`, \`CLAUDE.md\`, \`.cursor/rules/\` and the skills in \`.claude/skills/\` and
+\`.opencode/skills/\` are rendered from one project guide: the project name, its stack and
+the features under \`src/features\`, next to the bundled FSM guide. Re-render them after
+adding or removing features, or after upgrading the CLI:
+
+\`\`\`bash
+npx create-lscs-next-app ai sync
+\`\`\`
+
+Notes you add below the generated region of \`AGENTS.md\` and \`CLAUDE.md\` are kept; the
+skills and Cursor rules are rewritten whole.
+
 ---
 
 ## 8. 🤝 Contribution Workflow
 
 ### Branch Model
+
 - \`main\` → production branch
 - \`staging\` → pre-release testing
 - \`dev\` → active development
 
 ### Workflow
+
 1. Create branch: \`feature/<issue-no-desc>\` or \`fix/<issue-no-desc>\`
 2. Commit using **Conventional Commits**:
    - \`feat(auth): add JWT authentication\`
@@ -210,17 +402,30 @@ These libraries are **recommended** (not auto-installed) for your feature develo
 4. Get at least **1 approval** before merging
 5. Use **Squash and Merge** to keep history clean
 
+### Git Hooks
+
+Projects created with git (the default) have hooks in \`.githooks/\` that check the rules
+above before every commit:
+
+- \`pre-commit\`: the branch name (\`feature|fix|hotfix/<issue-no>-<description>\`, or one
+  of the long-lived branches), then Prettier and ESLint on the staged files
+- \`commit-msg\`: a Conventional Commit first line
+
+Git does not take hook settings from a clone, so run \`${run('hooks:install')}\` once after
+cloning (\`npx create-lscs-next-app doctor --fix\` does the same). Skip the hooks for a single
+commit with \`git commit --no-verify\`.
+
 ### Commit Message Reference
 
-| Type | Description |
-|------|--------------|
-| feat | New feature |
-| fix | Bug fix |
-| docs | Documentation change |
-| style | Code style (no logic) |
+| Type     | Description            |
+| -------- | ---------------------- |
+| feat     | New feature            |
+| fix      | Bug fix                |
+| docs     | Documentation change   |
+| style    | Code style (no logic)  |
 | refactor | Refactor (no behavior) |
-| test | Add/update tests |
-| chore | Maintenance tasks |
+| test     | Add/update tests       |
+| chore    | Maintenance tasks      |
 
 ---
 
@@ -228,46 +433,68 @@ These libraries are **recommended** (not auto-installed) for your feature develo
 
 This project comes preconfigured with **Vitest** (unit/integration tests) and **Cypress** (end-to-end tests).
 
-### 🧩 Unit & Integration Tests — *Vitest*
+### 🧩 Unit & Integration Tests — _Vitest_
 
-- Location: \`/src/tests/unit/\` or near related files (e.g. \`Button.test.tsx\`)
+- Location: \`/src/__tests__/unit/\` or near related files (e.g. \`Button.test.tsx\`)
 - Run tests:
   \`\`\`bash
-  npm run test
+  ${run('test')}           # once
+  ${run('test:watch')}     # re-run on change
+  ${run('test:coverage')}  # with coverage (report in coverage/)
   \`\`\`
-- Example:
+- Coverage thresholds (80% lines, functions, branches and statements of the
+  files the tests load) are set in \`vitest.config.ts\`; CI runs \`test:coverage\`.
+- Example (\`src/__tests__/unit/page.test.tsx\`):
   \`\`\`tsx
-  import { render, screen } from "@testing-library/react";
-  import { Button } from "@/components/atoms/Button";
-
-  test("renders button label", () => {
-    render(<Button label="Click me" onClick={() => {}} />);
-    expect(screen.getByText("Click me")).toBeInTheDocument();
+  import { render, screen } from '@testing-library/react';
+  import { describe, expect, it } from 'vitest';
+  import Home from '@/app/page';
+
+  describe('Home', () => {
+    it('renders the LSCS logo', () => {
+      render(<Home />);
+      expect(screen.getByAltText('LSCS logo')).toBeInTheDocument();
+    });
   });
   \`\`\`
 
-### 🌐 End-to-End Tests — *Cypress*
+### 🌐 End-to-End Tests — _Cypress_
 
-- Location: \`/src/tests/e2e/\`
-- Run tests (interactive mode):
+- Location: \`/src/__tests__/e2e/\` (\`*.cy.ts\`); custom commands go in
+  \`cypress/support/commands.ts\`
+- Run tests (starts the dev server, then runs Cypress headless):
   \`\`\`bash
-  npm run test:e2e
+  ${run('test:e2e')}
+  npx cypress open  # interactive, with the dev server already running
   \`\`\`
 - Example:
-  \`\`\`js
-  // cypress/e2e/login.cy.ts
-  describe("Login Page", () => {
-    it("should allow user to login", () => {
-      cy.visit("/login");
-      cy.get("input[name=email]").type("user@example.com");
-      cy.get("input[name=password]").type("password123");
-      cy.get("button[type=submit]").click();
-      cy.url().should("include", "/dashboard");
+  \`\`\`ts
+  // src/__tests__/e2e/login.cy.ts
+  describe('Login Page', () => {
+    it('should allow user to login', () => {
+      cy.visit('/login');
+      cy.get('input[name=email]').type('user@example.com');
+      cy.get('input[name=password]').type('password123');
+      cy.get('button[type=submit]').click();
+      cy.url().should('include', '/dashboard');
     });
   });
   \`\`\`
 
+### 🩺 Checking Project Health
+
+If something stops working after a dependency bump or a manual edit, run:
+
+\`\`\`bash
+npx create-lscs-next-app doctor        # list problems
+npx create-lscs-next-app doctor --fix  # repair the safe ones
+\`\`\`
+
+It compares the project with what the scaffolder produces: folder layout, scripts,
+config file references, template files and installed dev dependencies.
+
 ✅ **Best Practices**
+
 - Keep unit tests close to the files they test.
 - Mock API responses using \`msw\` (Mock Service Worker).
 - Use **Vitest** for logic/UI testing, **Cypress** for full app flow.
@@ -277,4 +504,3 @@ This project comes preconfigured with **Vitest** (unit/integration tests) and **
 
 ✅ Following these conventions ensures your ${projectName} project remains **scalable**, **maintainable**, and **collaborative** — aligned with LSCS development standards.
 `
-
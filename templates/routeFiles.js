@@ -0,0 +1,216 @@
+// ────────────────────────────────
+// Route Templates
+// ────────────────────────────────
+// App Router files for `npx create-lscs-next-app route <path>`: a page with
+// typed params and generateMetadata, its loading and error states, and with
+// --api a route handler plus the feature's typed fetch call. Pages render a
+// feature container; fetching stays in services/ (SKILL.md: presentational
+// components never fetch).
+//
+// `params` is the list of dynamic segments, each
+// `{ name, kind: 'param' | 'catchAll' | 'optionalCatchAll' }`. `container`
+// is `{ name, importPath, named }`; `named` when it is imported from the
+// feature's index.ts rather than its own file.
+
+const paramType = ({ name, kind }) =>
+  kind === 'param'
+    ? `${name}: string`
+    : `${name}${kind === 'optionalCatchAll' ? '?' : ''}: string[]`
+
+const paramsType = (params) =>
+  `Promise<{ ${params.map(paramType).join('; ')} }>`
+
+const destructure = (params) =>
+  `const { ${params.map(({ name }) => name).join(', ')} } = await params;`
+
+// Text of a param inside a template literal.
+const paramText = ({ name, kind }) => {
+  if (kind === 'param') return `\${${name}}`
+  if (kind === 'catchAll') return `\${${name}.join('/')}`
+  return `\${${name}?.join('/') ?? ''}`
+}
+
+// `title` is a list of words and params; a string literal without params.
+const titleExpression = (title) =>
+  title.some((part) => typeof part !== 'string')
+    ? `\`${title.map((part) => (typeof part === 'string' ? part : paramText(part))).join(' ')}\``
+    : `'${title.join(' ')}'`
+
+export const routePage = ({ name, title, params, container }) => {
+  const props = `${name}PageProps`
+  const imports = [
+    `import type { Metadata } from 'next';`,
+    ...(container
+      ? [
+          container.named
+            ? `import { ${container.name} } from '${container.importPath}';`
+            : `import ${container.name} from '${container.importPath}';`,
+        ]
+      : []),
+  ].join('\n')
+  const heading =
+    params.length > 0 ? `{${titleExpression(title)}}` : title.join(' ')
+  const body = container
+    ? `<${container.name} />`
+    : '{/* Render a feature container here; pages never fetch data themselves. */}'
+
+  if (params.length === 0) {
+    return `${imports}
+
+export async function generateMetadata(): Promise<Metadata> {
+  return { title: ${titleExpression(title)} };
+}
+
+export default function ${name}Page() {
+  return (
+    <main className="p-8">
+      <h1 className="text-2xl font-semibold">${heading}</h1>
+      ${body}
+    </main>
+  );
+}
+`
+  }
+
+  return `${imports}
+
+type ${props} = {
+  params: ${paramsType(params)};
+};
+
+export async function generateMetadata({
+  params,
+}: ${props}): Promise<Metadata> {
+  ${destructure(params)}
+  return { title: ${titleExpression(title)} };
+}
+
+export default async function ${name}Page({ params }: ${props}) {
+  ${destructure(params)}
+
+  return (
+    <main className="p-8">
+      <h1 className="text-2xl font-semibold">${heading}</h1>
+      ${body}
+    </main>
+  );
+}
+`
+}
+
+export const routeLoading = ({
+  name,
+}) => `export default function ${name}Loading() {
+  // Shown while the page or a suspended container loads.
+  return <p className="p-8">Loading...</p>;
+}
+`
+
+export const routeError = ({ name }) => `'use client';
+
+// Rendered when this segment throws; reset() renders it again.
+export default function ${name}Error({
+  error,
+  reset,
+}: {
+  error: Error & { digest?: string };
+  reset: () => void;
+}) {
+  return (
+    <div className="p-8">
+      <p>Something went wrong: {error.message}</p>
+      <button type="button" onClick={reset}>
+        Try again
+      </button>
+    </div>
+  );
+}
+`
+
+/**
+ * `response` is `{ name, importPath }` of the feature's response type, or
+ * undefined for a handler without a feature.
+ */
+export const apiRoute = ({ apiPath, params, response }) => {
+  const imports = [
+    `import { NextResponse } from 'next/server';`,
+    ...(response
+      ? [`import type { ${response.name} } from '${response.importPath}';`]
+      : []),
+  ].join('\n')
+  const fields = [
+    `message: 'Replace this with the data for ${apiPath}',`,
+    ...params.map(({ name }) => `${name},`),
+  ]
+  const bodyDeclaration = response
+    ? `const body: ${response.name} = {`
+    : 'const body = {'
+
+  const handler =
+    params.length === 0
+      ? `// GET ${apiPath}
+export async function GET() {
+  ${bodyDeclaration}
+    ${fields.join('\n    ')}
+  };
+  return NextResponse.json(body);
+}`
+      : `type RouteContext = {
+  params: ${paramsType(params)};
+};
+
+// GET ${apiPath}
+export async function GET(_request: Request, { params }: RouteContext) {
+  ${destructure(params)}
+  ${bodyDeclaration}
+    ${fields.join('\n    ')}
+  };
+  return NextResponse.json(body);
+}`
+
+  return `${imports}
+
+${handler}
+`
+}
+
+export const responseType = ({ name, apiPath, params }) => `
+// Response of GET ${apiPath} (see its route.ts).
+export interface ${name} {
+  message: string;
+${params.map((param) => `  ${paramType(param)};`).join('\n')}${params.length > 0 ? '\n' : ''}}
+`
+
+// Path segments of the request URL, with each param URL-encoded.
+const urlExpression = (segments) => {
+  let url = ''
+  segments.forEach(({ kind, name }) => {
+    if (kind === 'static') url += `/${name}`
+    if (kind === 'param') url += `/\${encodeURIComponent(${name})}`
+    if (kind === 'catchAll') {
+      url += `/\${${name}.map(encodeURIComponent).join('/')}`
+    }
+    if (kind === 'optionalCatchAll') {
+      url += `\${${name}?.length ? \`/\${${name}.map(encodeURIComponent).join('/')}\` : ''}`
+    }
+  })
+  return url.includes('${') ? `\`/api${url}\`` : `'/api${url}'`
+}
+
+/**
+ * `segments` are the URL segments of the handler (route groups removed).
+ */
+export const serviceFetch = ({
+  functionName,
+  apiPath,
+  segments,
+  params,
+  response,
+}) => `
+// GET ${apiPath}
+export async function ${functionName}(${params.map(paramType).join(', ')}): Promise<${response}> {
+  const res = await fetch(${urlExpression(segments)});
+  if (!res.ok) throw new Error('Failed to fetch ${apiPath}');
+  return res.json() as Promise<${response}>;
+}
+`
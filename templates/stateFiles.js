@@ -0,0 +1,106 @@
+// ────────────────────────────────
+// Data & State Stack Templates
+// ────────────────────────────────
+// Files that wire the mandated data/state stack into a new project:
+// a shared QueryClient config, the QueryProvider used by layout.tsx and an
+// example Zustand store with its unit test.
+//
+// Keys are paths relative to the project root.
+
+export const stateFiles = {
+  'src/config/query.ts': `import {
+  isServer,
+  QueryClient,
+  type QueryClientConfig,
+} from '@tanstack/react-query';
+
+export const queryClientConfig: QueryClientConfig = {
+  defaultOptions: {
+    queries: {
+      // Avoid refetching immediately after hydrating server-fetched data.
+      staleTime: 60 * 1000,
+      retry: 1,
+      refetchOnWindowFocus: false,
+    },
+  },
+};
+
+export function makeQueryClient(): QueryClient {
+  return new QueryClient(queryClientConfig);
+}
+
+let browserQueryClient: QueryClient | undefined;
+
+// Server: always a new client so requests never share cache.
+// Browser: one client, so React suspending during the first render
+// does not throw the cache away.
+export function getQueryClient(): QueryClient {
+  if (isServer) return makeQueryClient();
+  browserQueryClient ??= makeQueryClient();
+  return browserQueryClient;
+}
+`,
+
+  'src/providers/QueryProvider.tsx': `'use client';
+
+import type { ReactNode } from 'react';
+import { QueryClientProvider } from '@tanstack/react-query';
+import { getQueryClient } from '@/config/query';
+
+type QueryProviderProps = {
+  children: ReactNode;
+};
+
+export default function QueryProvider({ children }: QueryProviderProps) {
+  const queryClient = getQueryClient();
+
+  return (
+    <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+  );
+}
+`,
+
+  'src/store/sidebar.store.ts': `import { create } from 'zustand';
+
+// Client/UI state only. Server data belongs in TanStack Query.
+type SidebarStore = {
+  open: boolean;
+  toggle: () => void;
+  close: () => void;
+};
+
+export const useSidebarStore = create<SidebarStore>((set) => ({
+  open: false,
+  toggle: () => set((state) => ({ open: !state.open })),
+  close: () => set({ open: false }),
+}));
+`,
+
+  'src/__tests__/unit/store/sidebar.store.test.ts': `import { beforeEach, describe, expect, it } from 'vitest';
+import { useSidebarStore } from '@/store/sidebar.store';
+
+describe('useSidebarStore', () => {
+  beforeEach(() => {
+    useSidebarStore.setState({ open: false });
+  });
+
+  it('starts closed', () => {
+    expect(useSidebarStore.getState().open).toBe(false);
+  });
+
+  it('toggles open and closed', () => {
+    useSidebarStore.getState().toggle();
+    expect(useSidebarStore.getState().open).toBe(true);
+
+    useSidebarStore.getState().toggle();
+    expect(useSidebarStore.getState().open).toBe(false);
+  });
+
+  it('closes', () => {
+    useSidebarStore.setState({ open: true });
+    useSidebarStore.getState().close();
+    expect(useSidebarStore.getState().open).toBe(false);
+  });
+});
+`,
+}
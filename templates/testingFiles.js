@@ -0,0 +1,73 @@
+// ────────────────────────────────
+// Testing Config Templates
+// ────────────────────────────────
+// Vitest and Cypress configs and support files written by new-project mode
+// (and restored by `doctor --fix`). Paths must match testSetupPath,
+// cypressSupportPath and cypressCommandsPath in lib/project.js.
+
+// Coverage counts the files the tests load, so the thresholds hold from the
+// first run and guard whatever gets tested; add `include: ['src/**']` to
+// measure untested files too.
+export const vitestConfig = `import path from 'node:path';
+import react from '@vitejs/plugin-react';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  plugins: [react()],
+  resolve: {
+    alias: { '@': path.resolve(__dirname, 'src') },
+  },
+  test: {
+    globals: true,
+    environment: 'jsdom',
+    setupFiles: './src/__tests__/setup.ts',
+    include: ['src/**/*.test.{ts,tsx}'],
+    coverage: {
+      provider: 'v8',
+      reporter: ['text', 'html', 'lcov'],
+      thresholds: { lines: 80, functions: 80, branches: 80, statements: 80 },
+    },
+  },
+});
+`
+
+export const cypressConfig = `import { defineConfig } from 'cypress';
+
+export default defineConfig({
+  e2e: {
+    baseUrl: 'http://localhost:3000',
+    specPattern: 'src/__tests__/e2e/**/*.cy.{ts,tsx}',
+    supportFile: 'cypress/support/e2e.ts',
+    video: false,
+  },
+});
+`
+
+export const testSetup = `import '@testing-library/jest-dom/vitest';
+`
+
+export const cypressSupport = `// Runs before every Cypress spec. Register custom commands in commands.ts.
+import './commands';
+`
+
+export const cypressCommands = `/// <reference types="cypress" />
+
+// Custom commands available as \`cy.<name>()\` in every spec. Declare each
+// one on Cypress.Chainable below so specs get types for it.
+
+declare global {
+  // eslint-disable-next-line @typescript-eslint/no-namespace
+  namespace Cypress {
+    interface Chainable {
+      /** Selects elements by their \`data-testid\` attribute. */
+      getByTestId(testId: string): Chainable<JQuery<HTMLElement>>;
+    }
+  }
+}
+
+Cypress.Commands.add('getByTestId', (testId: string) =>
+  cy.get(\`[data-testid="\${testId}"]\`),
+);
+
+export {};
+`
@@ -0,0 +1,233 @@
+// ────────────────────────────────
+// Theme Templates
+// ────────────────────────────────
+// The global stylesheet in src/styles, theme.css rendered from brand tokens
+// (see lib/theme.js and templates/brand/lscs.json) and a ThemeProvider that
+// switches between light, dark and the system preference by toggling the
+// `dark` class on <html>.
+//
+// The color names are the ones shadcn/ui components use, so `add ui` picks
+// up the brand instead of its neutral theme. `brand` is
+// `{ name, colors: { light, dark }, typography: { sans, mono }, radius }`.
+//
+// Keys are paths relative to the project root.
+
+export const globalsCssPath = 'src/styles/globals.css'
+export const themeCssPath = 'src/styles/theme.css'
+
+// Colors every brand defines, in both modes.
+export const colorTokens = [
+  'background',
+  'foreground',
+  'primary',
+  'primary-foreground',
+  'secondary',
+  'secondary-foreground',
+  'muted',
+  'muted-foreground',
+  'accent',
+  'accent-foreground',
+  'destructive',
+  'border',
+  'input',
+  'ring',
+]
+
+// Optional colors and the token they default to.
+export const colorFallbacks = {
+  card: 'background',
+  'card-foreground': 'foreground',
+  popover: 'background',
+  'popover-foreground': 'foreground',
+}
+
+export const defaultTypography = {
+  sans: 'var(--font-geist-sans), ui-sans-serif, system-ui, sans-serif',
+  mono: 'var(--font-geist-mono), ui-monospace, monospace',
+}
+
+export const defaultRadius = '0.625rem'
+
+// Standard colors first, then the brand's own (e.g. `charcoal`).
+const colorNames = (brand) => [
+  ...colorTokens,
+  ...Object.keys(colorFallbacks),
+  ...Object.keys(brand.colors.light).filter(
+    (name) => !colorTokens.includes(name) && !(name in colorFallbacks),
+  ),
+]
+
+const colorValue = (colors, name) =>
+  colors[name] ?? `var(--${colorFallbacks[name]})`
+
+const variables = (brand, mode) =>
+  colorNames(brand)
+    .map((name) => `  --${name}: ${colorValue(brand.colors[mode], name)};`)
+    .join('\n')
+
+export const themeCss = (brand) => `/*
+ * ${brand.name} theme, generated by create-lscs-next-app from brand tokens.
+ * Re-theme a new project with --brand <tokens.json>; edit the values here to
+ * adjust this one. Use the colors as Tailwind utilities (bg-primary,
+ * text-muted-foreground, border-border, ...).
+ */
+
+@custom-variant dark (&:where(.dark, .dark *));
+
+:root {
+  --radius: ${brand.radius};
+${variables(brand, 'light')}
+}
+
+.dark {
+${variables(brand, 'dark')}
+}
+
+@theme inline {
+  --font-sans: ${brand.typography.sans};
+  --font-mono: ${brand.typography.mono};
+  --radius-sm: calc(var(--radius) - 4px);
+  --radius-md: calc(var(--radius) - 2px);
+  --radius-lg: var(--radius);
+  --radius-xl: calc(var(--radius) + 4px);
+${colorNames(brand)
+  .map((name) => `  --color-${name}: var(--${name});`)
+  .join('\n')}
+}
+`
+
+export const globalsCss = `@import 'tailwindcss';
+@import './theme.css';
+
+@layer base {
+  * {
+    @apply border-border outline-ring/50;
+  }
+
+  body {
+    @apply bg-background text-foreground font-sans;
+  }
+}
+`
+
+export const themeFiles = {
+  'src/config/theme.ts': `export const themes = ['light', 'dark', 'system'] as const;
+
+export type Theme = (typeof themes)[number];
+
+export const themeStorageKey = 'theme';
+
+export const isTheme = (value: unknown): value is Theme =>
+  themes.includes(value as Theme);
+
+// Inlined in layout.tsx so the stored or system theme applies before the
+// first paint, without a flash of the light theme.
+export const themeScript = \`(() => {
+  try {
+    const theme = localStorage.getItem(\${JSON.stringify(themeStorageKey)});
+    const dark =
+      theme === 'dark' ||
+      (theme !== 'light' && matchMedia('(prefers-color-scheme: dark)').matches);
+    document.documentElement.classList.toggle('dark', dark);
+    document.documentElement.style.colorScheme = dark ? 'dark' : 'light';
+  } catch {}
+})();\`;
+`,
+
+  'src/providers/ThemeProvider.tsx': `'use client';
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useSyncExternalStore,
+  type ReactNode,
+} from 'react';
+import { isTheme, themeStorageKey, type Theme } from '@/config/theme';
+
+type ResolvedTheme = 'light' | 'dark';
+
+type ThemeState = {
+  theme: Theme;
+  resolvedTheme: ResolvedTheme;
+  setTheme: (theme: Theme) => void;
+};
+
+const ThemeContext = createContext<ThemeState | null>(null);
+
+// Light, dark or system, and the mode currently shown.
+export function useTheme(): ThemeState {
+  const value = useContext(ThemeContext);
+  if (!value) throw new Error('useTheme must be used inside <ThemeProvider>');
+  return value;
+}
+
+const darkQuery = '(prefers-color-scheme: dark)';
+const listeners = new Set<() => void>();
+
+// Re-renders on setTheme, on changes from other tabs and on OS changes.
+function subscribe(listener: () => void) {
+  const media = window.matchMedia(darkQuery);
+  listeners.add(listener);
+  media.addEventListener('change', listener);
+  window.addEventListener('storage', listener);
+  return () => {
+    listeners.delete(listener);
+    media.removeEventListener('change', listener);
+    window.removeEventListener('storage', listener);
+  };
+}
+
+const storedTheme = (): Theme => {
+  const value = localStorage.getItem(themeStorageKey);
+  return isTheme(value) ? value : 'system';
+};
+
+const systemTheme = (): ResolvedTheme =>
+  window.matchMedia(darkQuery).matches ? 'dark' : 'light';
+
+const resolveTheme = (theme: Theme, system: ResolvedTheme) =>
+  theme === 'system' ? system : theme;
+
+// Reads the preference itself rather than the rendered one, which is the
+// server's light default while hydrating.
+function applyTheme() {
+  const resolved = resolveTheme(storedTheme(), systemTheme());
+  const root = document.documentElement;
+  root.classList.toggle('dark', resolved === 'dark');
+  root.style.colorScheme = resolved;
+}
+
+type ThemeProviderProps = {
+  children: ReactNode;
+};
+
+export default function ThemeProvider({ children }: ThemeProviderProps) {
+  const theme = useSyncExternalStore(
+    subscribe,
+    storedTheme,
+    (): Theme => 'system',
+  );
+  const system = useSyncExternalStore(
+    subscribe,
+    systemTheme,
+    (): ResolvedTheme => 'light',
+  );
+  const resolvedTheme = resolveTheme(theme, system);
+
+  useEffect(applyTheme, [resolvedTheme]);
+
+  const setTheme = useCallback((next: Theme) => {
+    localStorage.setItem(themeStorageKey, next);
+    listeners.forEach((listener) => listener());
+  }, []);
+
+  return (
+    <ThemeContext.Provider value={{ theme, resolvedTheme, setTheme }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+`,
+}
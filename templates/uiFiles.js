@@ -0,0 +1,184 @@
+// ────────────────────────────────
+// shadcn/ui Templates
+// ────────────────────────────────
+// Bundled shadcn/ui primitives (templates/ui/*.tsx) and the files needed to
+// use them, so `add ui` works offline without the shadcn registry.
+// Every primitive gets an atom wrapper in components/atoms/ because
+// molecules and organisms must never import ui/ directly (SKILL.md).
+
+// npm packages each primitive imports, besides React.
+export const uiPrimitives = {
+  badge: {
+    dependencies: ['@radix-ui/react-slot', 'class-variance-authority'],
+    exports: ['Badge', 'badgeVariants'],
+  },
+  button: {
+    dependencies: ['@radix-ui/react-slot', 'class-variance-authority'],
+    exports: ['Button', 'buttonVariants'],
+  },
+  card: {
+    dependencies: [],
+    exports: [
+      'Card',
+      'CardHeader',
+      'CardTitle',
+      'CardDescription',
+      'CardContent',
+      'CardFooter',
+    ],
+  },
+  input: { dependencies: [], exports: ['Input'] },
+  label: { dependencies: ['@radix-ui/react-label'], exports: ['Label'] },
+  textarea: { dependencies: [], exports: ['Textarea'] },
+}
+
+// Added when shadcn/ui is enabled during project creation.
+export const defaultUiPrimitives = ['button', 'input', 'label', 'card']
+
+// Needed by the cn utility.
+export const uiBaseDependencies = ['clsx', 'tailwind-merge']
+
+export const cnUtil = `import { clsx, type ClassValue } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+export function cn(...inputs: ClassValue[]): string {
+  return twMerge(clsx(inputs));
+}
+`
+
+// Lets the official shadcn CLI add more primitives to the same folders.
+export const componentsJson = (cssPath) =>
+  `${JSON.stringify(
+    {
+      $schema: 'https://ui.shadcn.com/schema.json',
+      style: 'new-york',
+      rsc: true,
+      tsx: true,
+      tailwind: {
+        config: '',
+        css: cssPath,
+        baseColor: 'neutral',
+        cssVariables: true,
+        prefix: '',
+      },
+      aliases: {
+        components: '@/components',
+        utils: '@/lib/utils',
+        ui: '@/components/ui',
+        lib: '@/lib',
+        hooks: '@/hooks',
+      },
+      iconLibrary: 'lucide',
+    },
+    null,
+    2,
+  )}\n`
+
+// Appended to globals.css. The markers make the block easy to find again.
+export const shadcnCssStart = '/* lscs:shadcn-theme:start */'
+export const shadcnCssEnd = '/* lscs:shadcn-theme:end */'
+
+export const shadcnCss = `${shadcnCssStart}
+@custom-variant dark (&:is(.dark *));
+
+:root {
+  --radius: 0.625rem;
+  --background: oklch(1 0 0);
+  --foreground: oklch(0.145 0 0);
+  --card: oklch(1 0 0);
+  --card-foreground: oklch(0.145 0 0);
+  --popover: oklch(1 0 0);
+  --popover-foreground: oklch(0.145 0 0);
+  --primary: oklch(0.205 0 0);
+  --primary-foreground: oklch(0.985 0 0);
+  --secondary: oklch(0.97 0 0);
+  --secondary-foreground: oklch(0.205 0 0);
+  --muted: oklch(0.97 0 0);
+  --muted-foreground: oklch(0.556 0 0);
+  --accent: oklch(0.97 0 0);
+  --accent-foreground: oklch(0.205 0 0);
+  --destructive: oklch(0.577 0.245 27.325);
+  --border: oklch(0.922 0 0);
+  --input: oklch(0.922 0 0);
+  --ring: oklch(0.708 0 0);
+}
+
+.dark {
+  --background: oklch(0.145 0 0);
+  --foreground: oklch(0.985 0 0);
+  --card: oklch(0.205 0 0);
+  --card-foreground: oklch(0.985 0 0);
+  --popover: oklch(0.205 0 0);
+  --popover-foreground: oklch(0.985 0 0);
+  --primary: oklch(0.922 0 0);
+  --primary-foreground: oklch(0.205 0 0);
+  --secondary: oklch(0.269 0 0);
+  --secondary-foreground: oklch(0.985 0 0);
+  --muted: oklch(0.269 0 0);
+  --muted-foreground: oklch(0.708 0 0);
+  --accent: oklch(0.269 0 0);
+  --accent-foreground: oklch(0.985 0 0);
+  --destructive: oklch(0.704 0.191 22.216);
+  --border: oklch(1 0 0 / 10%);
+  --input: oklch(1 0 0 / 15%);
+  --ring: oklch(0.556 0 0);
+}
+
+@theme inline {
+  --radius-sm: calc(var(--radius) - 4px);
+  --radius-md: calc(var(--radius) - 2px);
+  --radius-lg: var(--radius);
+  --radius-xl: calc(var(--radius) + 4px);
+  --color-background: var(--background);
+  --color-foreground: var(--foreground);
+  --color-card: var(--card);
+  --color-card-foreground: var(--card-foreground);
+  --color-popover: var(--popover);
+  --color-popover-foreground: var(--popover-foreground);
+  --color-primary: var(--primary);
+  --color-primary-foreground: var(--primary-foreground);
+  --color-secondary: var(--secondary);
+  --color-secondary-foreground: var(--secondary-foreground);
+  --color-muted: var(--muted);
+  --color-muted-foreground: var(--muted-foreground);
+  --color-accent: var(--accent);
+  --color-accent-foreground: var(--accent-foreground);
+  --color-destructive: var(--destructive);
+  --color-border: var(--border);
+  --color-input: var(--input);
+  --color-ring: var(--ring);
+}
+
+@layer base {
+  * {
+    @apply border-border outline-ring/50;
+  }
+}
+${shadcnCssEnd}
+`
+
+// Wrapped the way Prettier would at 80 columns, so `format` leaves it alone.
+const reExport = (names, primitive) => {
+  const line = `export { ${names.join(', ')} } from '@/components/ui/${primitive}';`
+  return line.length <= 80
+    ? line
+    : `export {\n${names.map((name) => `  ${name},`).join('\n')}\n} from '@/components/ui/${primitive}';`
+}
+
+/**
+ * Atom wrapper for a primitive. The first export becomes the default export
+ * (matching the PascalCase file name); the rest are re-exported as-is.
+ */
+export const uiAtom = (
+  primitive,
+  [main, ...rest],
+) => `import type { ComponentProps } from 'react';
+import { ${main} as Ui${main} } from '@/components/ui/${primitive}';
+
+export type ${main}Props = ComponentProps<typeof Ui${main}>;
+
+// Molecules and organisms import this atom, never ui/${primitive} directly.
+export default function ${main}(props: ${main}Props) {
+  return <Ui${main} {...props} />;
+}
+${rest.length > 0 ? `\n${reExport(rest, primitive)}\n` : ''}`